@@ -0,0 +1,160 @@
+(function() {
+  "use strict";
+
+  var Promise = require("./promise");
+
+
+  /**
+   * Minimal AbortSignal for environments that do not have one. Cancellation works
+   * with any signal that has an `aborted` flag and `addEventListener`, so native
+   * AbortSignals can be used as well.
+   */
+  function AbortSignal() {
+    this.aborted    = false;
+    this._listeners = [];
+  }
+
+
+  AbortSignal.prototype.addEventListener = function(type, listener) {
+    if (type === "abort") {
+      this._listeners.push(listener);
+    }
+  };
+
+
+  AbortSignal.prototype.removeEventListener = function(type, listener) {
+    var index = this._listeners.indexOf(listener);
+    if (type === "abort" && index !== -1) {
+      this._listeners.splice(index, 1);
+    }
+  };
+
+
+  /**
+   * Minimal AbortController to create signals for cancelling imports.
+   *
+   * ``` javascript
+   * var controller = new Bitloader.AbortController();
+   * bitloader.import("app", {signal: controller.signal});
+   * controller.abort();
+   * ```
+   */
+  function AbortController() {
+    this.signal = new AbortSignal();
+  }
+
+
+  AbortController.prototype.abort = function() {
+    var signal = this.signal;
+
+    if (signal.aborted) {
+      return;
+    }
+
+    signal.aborted = true;
+    signal._listeners.slice(0).forEach(function(listener) {
+      listener.call(signal, {type: "abort", target: signal});
+    });
+  };
+
+
+  /**
+   * Creates the error used for rejecting operations that were aborted.
+   *
+   * @returns {Error}
+   */
+  AbortController.createAbortError = function() {
+    var error = new Error("The operation was aborted");
+    error.name = "AbortError";
+    return error;
+  };
+
+
+  /**
+   * Checks if an error is from an aborted operation.
+   */
+  AbortController.isAbortError = function(error) {
+    return !!error && error.name === "AbortError";
+  };
+
+
+  /**
+   * Throws an abort error if the signal is aborted.
+   */
+  AbortController.throwIfAborted = function(signal) {
+    if (signal && signal.aborted) {
+      throw AbortController.createAbortError();
+    }
+  };
+
+
+  /**
+   * Makes a promise reject as soon as the signal is aborted. The abort listener
+   * is removed once the promise settles, so signals that are used for many
+   * operations do not hold on to the ones that are done.
+   *
+   * @param {Promise} promise - Promise to race against the signal
+   * @param {AbortSignal} [signal]
+   *
+   * @returns {Promise}
+   */
+  AbortController.abortable = function(promise, signal) {
+    if (!signal) {
+      return promise;
+    }
+
+    return new Promise(function(resolve, reject) {
+      function onAbort() {
+        signal.removeEventListener("abort", onAbort);
+        reject(AbortController.createAbortError());
+      }
+
+      if (signal.aborted) {
+        onAbort();
+        return;
+      }
+
+      signal.addEventListener("abort", onAbort);
+
+      promise.then(function(result) {
+        signal.removeEventListener("abort", onAbort);
+        resolve(result);
+      }, function(error) {
+        signal.removeEventListener("abort", onAbort);
+        reject(error);
+      });
+    });
+  };
+
+
+  /**
+   * Waits on an operation that another caller started. The operation is
+   * rejected with an abort error when the signal of the caller that started it
+   * is aborted, so `retry` is called to start over unless `signal` is aborted
+   * as well.
+   *
+   * @param {Promise} shared - Promise of the operation in progress
+   * @param {AbortSignal} [signal] - Signal of the caller waiting on the operation
+   * @param {function(): Promise} retry - Starts the operation over
+   *
+   * @returns {Promise}
+   */
+  AbortController.join = function(shared, signal, retry) {
+    var joined = new Promise(function(resolve, reject) {
+      shared.then(resolve, function(error) {
+        if (AbortController.isAbortError(error) && !(signal && signal.aborted)) {
+          retry().then(resolve, reject);
+        }
+        else {
+          reject(error);
+        }
+      });
+    });
+
+    return AbortController.abortable(joined, signal);
+  };
+
+
+  AbortController.AbortSignal = AbortSignal;
+  module.exports = AbortController;
+})();
@@ -1,19 +1,40 @@
 (function () {
   "use strict";
 
-  var Logger      = require("./logger");
-  var Promise     = require("./promise");
-  var Utils       = require("./utils");
-  var Fetcher     = require("./interfaces/fetcher");
-  var Compiler    = require("./interfaces/compiler");
-  var Resolver    = require("./interfaces/resolver");
-  var Import      = require("./import");
-  var Loader      = require("./loader");
-  var Module      = require("./module");
-  var Plugin      = require("./plugin");
-  var Registry    = require("./registry");
-  var RuleMatcher = require("./rule-matcher");
-  var Middleware  = require("./middleware");
+  var Logger          = require("./logger");
+  var Promise         = require("./promise");
+  var Utils           = require("./utils");
+  var Fetcher         = require("./interfaces/fetcher");
+  var NodeFetcher     = require("./interfaces/node-fetcher");
+  var BrowserFetcher  = require("./interfaces/browser-fetcher");
+  var Compiler        = require("./interfaces/compiler");
+  var CjsCompiler     = require("./interfaces/cjs-compiler");
+  var AmdCompiler     = require("./interfaces/amd-compiler");
+  var SystemCompiler  = require("./interfaces/system-compiler");
+  var Resolver        = require("./interfaces/resolver");
+  var NodeResolver    = require("./interfaces/node-resolver");
+  var Import          = require("./import");
+  var ImportMap       = require("./import-map");
+  var ResolveConfig   = require("./resolve-config");
+  var Hot             = require("./hot");
+  var Graph           = require("./graph");
+  var Bundler         = require("./bundler");
+  var Watcher         = require("./watcher");
+  var Scheduler       = require("./scheduler");
+  var Cache           = require("./cache");
+  var DependencyExtractor = require("./dependency-extractor");
+  var AbortController = require("./abort");
+  var ModuleError     = require("./module-error");
+  var Events          = require("./events");
+  var Profiler        = require("./profiler");
+  var SourceMap       = require("./source-map");
+  var Loader          = require("./loader");
+  var Module          = require("./module");
+  var EsModule        = require("./module/es-module");
+  var Plugin          = require("./plugin");
+  var Registry        = require("./registry");
+  var RuleMatcher     = require("./rule-matcher");
+  var Middleware      = require("./middleware");
 
   var getRegistryId = Registry.idGenerator("bitloader");
 
@@ -33,6 +54,30 @@
     this.settings = options;
     this.context  = Registry.getById(getRegistryId());
     this.plugins  = {};
+    this.events   = new Events();
+
+    // Cache for the transform and dependency pipelines. Enable it with `true`
+    // for an in memory cache, or with a storage adapter.
+    this.cache = options.cache ? new Cache(this, options.cache === true ? null : options.cache) : null;
+
+    // Conditions like `browser`, `node` or `production` for the environment
+    // modules are loaded for. Module metas get them in `env`, which resolvers
+    // and plugin matching rules use.
+    this.conditions = (options.conditions || []).slice(0);
+
+    // Import map for remapping module names before they are resolved. Use
+    // `importMap.extend` to add mappings at runtime.
+    this.importMap = new ImportMap(options.importMap);
+
+    // RequireJS style `paths`, `packages` and `map` for remapping module names
+    // before they are resolved. Use `config` to add configuration at runtime.
+    // They are read from `options.resolveConfig` rather than from the top
+    // level options, which resolve hooks like bit-imports apply on their own.
+    this.resolveConfig = new ResolveConfig(options.resolveConfig);
+
+    // Scheduler for the fetch stage, which limits how many modules are fetched
+    // at the same time with `concurrency` and fetches entry modules first.
+    this.scheduler = new Scheduler({concurrency: options.concurrency});
 
     this.rules = {
       ignore: new RuleMatcher()
@@ -50,14 +95,15 @@
     this.providers = {
       // Internal helper that can be overriden
       loader   : new Bitloader.Loader(this),
-      importer : new Bitloader.Import(this)
+      importer : new Bitloader.Import(this),
+      hot      : new Bitloader.Hot(this)
     };
 
     // Public Interface
     var providers = this.providers;
 
     // Module loader hooks
-    this.resolve  = options.resolve || (new Bitloader.Resolver()).resolve;
+    this.resolve  = options.resolve || (new Bitloader.Resolver(options)).resolve;
     this.fetch    = options.fetch   || (new Bitloader.Fetcher()).fetch;
     this.compile  = options.compile || (new Bitloader.Compiler()).compile;
 
@@ -65,6 +111,15 @@
     this.load     = providers.loader.load.bind(providers.loader);
     this.register = providers.loader.register.bind(providers.loader);
     this.import   = providers.importer.import.bind(providers.importer);
+    this.reload   = providers.hot.reload.bind(providers.hot);
+    this.hot      = providers.hot.getHotModule.bind(providers.hot);
+
+    // Lifecycle events
+    this.on       = this.events.on.bind(this.events);
+    this.off      = this.events.off.bind(this.events);
+
+    // Opt-in profiling of how long modules take in each stage
+    this.profiler = options.profile ? new Profiler(this).start() : null;
 
     // Register plugins
     for (var plugin in options.plugins) {
@@ -124,6 +179,17 @@
    * @param {string|Array.<string>} names - Module or list of modules names to
    *  load. These names map back to the paths settings Bitloader was created
    *  with.
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Signal for cancelling the import.
+   *  Aborting it rejects the import with an `AbortError` and removes the
+   *  modules that were loading for it, so that importing them again starts
+   *  over.
+   *
+   * ``` javascript
+   * var controller = new Bitloader.AbortController();
+   * bitloader.import("app", {signal: controller.signal});
+   * controller.abort();
+   * ```
    *
    * @returns {Promise} That when resolved, all the imported modules are passed
    *  back as arguments.
@@ -131,6 +197,88 @@
   Bitloader.prototype.import = function(){};
 
 
+  /**
+   * Method to replace a module that has changed without reloading the host
+   * application. The module is run through the pipeline again, and all the
+   * modules that depend on it are linked again with the new module.
+   *
+   * Modules can register `dispose` and `accept` callbacks via
+   * [hot]{@link Bitloader#hot} to tear down and restore their state.
+   *
+   * @param {string} name - Name of the module to reload
+   *
+   * @returns {Promise} That when resolved, the new module code is returned
+   */
+  Bitloader.prototype.reload = function(){};
+
+
+  /**
+   * Method to get the hot module replacement handle for a module. The handle
+   * has `accept` and `dispose` methods for registering callbacks that are
+   * called when the module is replaced, and a `data` object with whatever the
+   * `dispose` callbacks stored in it.
+   *
+   * ``` javascript
+   * var hot = bitloader.hot("app");
+   *
+   * hot.dispose(function(data) {
+   *   data.state = app.state;
+   * });
+   *
+   * hot.accept(function(code) {
+   *   code.start(hot.data.state);
+   * });
+   * ```
+   *
+   * @param {string} name - Name of the module
+   *
+   * @returns {Hot.HotModule}
+   */
+  Bitloader.prototype.hot = function(){};
+
+
+  /**
+   * Method to register listeners for the different stages modules go through
+   * while they are loaded. The events are:
+   *
+   * - `resolve`, `transform`, `dependency` and `compile` when the module meta
+   *   finishes the stage.
+   * - `fetch:start` and `fetch:end` when fetching the module source starts and
+   *   ends.
+   * - `link` when the module is linked with its dependencies.
+   * - `error` when loading a module fails.
+   *
+   * Stage events are called with the module `name`, the `moduleMeta`, the
+   * `plugins` that handled the stage, and the `start`, `end` and `duration`
+   * of the stage in milliseconds. `error` events are called with the `name`
+   * of the module that was loading and the `error`.
+   *
+   * ``` javascript
+   * bitloader.on("fetch:end", function(event) {
+   *   console.log(event.name, event.duration);
+   * });
+   * ```
+   *
+   * @param {string} name - Name of the event
+   * @param {Function} listener - Function called with the event payload
+   *
+   * @returns {Events}
+   */
+  Bitloader.prototype.on = function(){};
+
+
+  /**
+   * Method to remove listeners registered with [on]{@link Bitloader#on}. If no
+   * listener is provided, all the listeners for the event are removed.
+   *
+   * @param {string} name - Name of the event
+   * @param {Function} [listener] - Listener to remove
+   *
+   * @returns {Events}
+   */
+  Bitloader.prototype.off = function(){};
+
+
   /**
    * Method that converts source file to a module code that can be consumed by
    * the host application.
@@ -149,7 +297,9 @@
    * @param {Array.<string>} deps - Collection of dependencies to be loaded and
    *  passed into the factory callback method.
    * @param {Function} factory - Function to be called in order to instantiate
-   *  (realize) the module
+   *  (realize) the module. ES modules are registered with their `declare`
+   *  function instead.
+   * @param {string} [type] - One of {@link Module.Type}
    */
   Bitloader.prototype.register = function(){};
 
@@ -281,6 +431,107 @@
   };
 
 
+  /**
+   * Creates a snapshot of the dependency graph with all the modules that are
+   * loaded, pending or loading. The graph can be queried for dependencies and
+   * dependents of modules, sorted in topological order, and exported as JSON or
+   * DOT.
+   *
+   * @returns {Graph}
+   */
+  Bitloader.prototype.graph = function() {
+    return Graph.create(this);
+  };
+
+
+  /**
+   * Creates a single file bundle with the modules and all their dependencies.
+   * The bundle has a small runtime to link the modules, so it can run without
+   * Bitloader or any of its pipelines.
+   *
+   * @param {string | Array.<string>} names - Names of the entry modules, which
+   *  are executed when the bundle runs.
+   * @param {Object} [options] - Bundler settings. See {@link Bundler}.
+   *
+   * @returns {Promise} That when resolved, the source of the bundle is returned
+   */
+  Bitloader.prototype.bundle = function(names, options) {
+    return new Bitloader.Bundler(this, options).bundle(names);
+  };
+
+
+  /**
+   * Fetches modules and their dependencies with `low` priority, so that they
+   * are ready when they are imported later on without holding up the modules
+   * that are being imported now. Prefetched modules are not compiled until
+   * they are imported.
+   *
+   * ``` javascript
+   * bitloader.import("app");
+   * bitloader.prefetch(["settings", "help"]);
+   * ```
+   *
+   * @param {string | Array.<string>} names - Names of the modules to prefetch
+   *
+   * @returns {Promise} That is resolved when all the modules are fetched
+   */
+  Bitloader.prototype.prefetch = function(names) {
+    var loader = this.providers.loader;
+    names = Utils.isArray(names) ? names : [names];
+
+    return Promise.all(names.map(function(name) {
+      return loader.fetch(name, null, {priority: Scheduler.Priority.LOW});
+    })).then(Utils.noop, Utils.forwardError);
+  };
+
+
+  /**
+   * Imports modules and imports them again whenever the files that were
+   * fetched for them change. The module of a file that changed and all the
+   * modules that depend on it are removed from the module registry, so that
+   * they are run through the pipeline again. The files are watched until
+   * `close` is called on the returned watcher.
+   *
+   * ``` javascript
+   * bitloader.watch("app", function(err, codes, changed) {
+   *   console.log(changed);
+   * });
+   * ```
+   *
+   * @param {string | Array.<string>} entries - Names of the modules to import
+   * @param {Function} callback - Called after the modules are imported again,
+   *  with an error if the import failed, the codes of the entries, and the
+   *  names of the modules that changed.
+   * @param {Object} [options] - Watcher settings. See {@link Watcher}.
+   *
+   * @returns {Watcher}
+   */
+  Bitloader.prototype.watch = function(entries, callback, options) {
+    var watcher = new Bitloader.Watcher(this, entries, callback, options);
+    watcher.start().then(Utils.noop, function(error) {
+      callback(error, null, []);
+    });
+    return watcher;
+  };
+
+
+  /**
+   * Merges RequireJS style `paths`, `packages` and `map` configuration into
+   * the existing configuration. See {@link ResolveConfig}.
+   *
+   * @param {Object} config - Configuration to merge
+   * @returns {Bitloader} Bitloader instance
+   */
+  Bitloader.prototype.config = function(config) {
+    if (!config) {
+      throw new TypeError("Must provide a configuration");
+    }
+
+    this.resolveConfig.extend(config);
+    return this;
+  };
+
+
   /**
    * Add ignore rules for configuring what the different pipelines shoud not process.
    *
@@ -382,18 +633,39 @@
   Bitloader.prototype.Middleware = Middleware;
 
   // Expose constructors and utilities
-  Bitloader.Promise     = Promise;
-  Bitloader.Utils       = Utils;
-  Bitloader.Registry    = Registry;
-  Bitloader.Loader      = Loader;
-  Bitloader.Import      = Import;
-  Bitloader.Module      = Module;
-  Bitloader.Plugin      = Plugin;
-  Bitloader.Resolver    = Resolver;
-  Bitloader.Fetcher     = Fetcher;
-  Bitloader.Compiler    = Compiler;
-  Bitloader.Middleware  = Middleware;
-  Bitloader.RuleMatcher = RuleMatcher;
-  Bitloader.Logger      = Logger;
+  Bitloader.Promise         = Promise;
+  Bitloader.Utils           = Utils;
+  Bitloader.Registry        = Registry;
+  Bitloader.Loader          = Loader;
+  Bitloader.Import          = Import;
+  Bitloader.ImportMap       = ImportMap;
+  Bitloader.ResolveConfig   = ResolveConfig;
+  Bitloader.Hot             = Hot;
+  Bitloader.Graph           = Graph;
+  Bitloader.Bundler         = Bundler;
+  Bitloader.Watcher         = Watcher;
+  Bitloader.Scheduler       = Scheduler;
+  Bitloader.Cache           = Cache;
+  Bitloader.DependencyExtractor = DependencyExtractor;
+  Bitloader.AbortController = AbortController;
+  Bitloader.ModuleError     = ModuleError;
+  Bitloader.Events          = Events;
+  Bitloader.Profiler        = Profiler;
+  Bitloader.SourceMap       = SourceMap;
+  Bitloader.Module          = Module;
+  Bitloader.EsModule        = EsModule;
+  Bitloader.Plugin          = Plugin;
+  Bitloader.Resolver        = Resolver;
+  Bitloader.NodeResolver    = NodeResolver;
+  Bitloader.Fetcher         = Fetcher;
+  Bitloader.NodeFetcher     = NodeFetcher;
+  Bitloader.BrowserFetcher  = BrowserFetcher;
+  Bitloader.Compiler        = Compiler;
+  Bitloader.CjsCompiler     = CjsCompiler;
+  Bitloader.AmdCompiler     = AmdCompiler;
+  Bitloader.SystemCompiler  = SystemCompiler;
+  Bitloader.Middleware      = Middleware;
+  Bitloader.RuleMatcher     = RuleMatcher;
+  Bitloader.Logger          = Logger;
   module.exports        = Bitloader;
 })();
@@ -0,0 +1,220 @@
+(function() {
+  "use strict";
+
+  var Promise = require("./promise");
+  var Utils   = require("./utils");
+  var Graph   = require("./graph");
+  var logger  = require("./logger").factory("Bundler");
+
+
+  /**
+   * Bundler serializes modules and all their dependencies into a single file that
+   * can run without any of the loader pipelines. Modules are written out after
+   * they have gone through the fetch, transform and dependency pipelines, and
+   * are registered in a small runtime that links them CJS style.
+   *
+   * @param {Bitloader} manager
+   * @param {Object} [options={}] - Bundle settings.
+   * @param {string} [options.expose] - Name of the global variable the bundle's
+   *  `require` is assigned to. Bundles do not expose a `require` by default.
+   */
+  function Bundler(manager, options) {
+    if (!manager) {
+      throw new TypeError("Must provide a manager");
+    }
+
+    this.manager  = manager;
+    this.settings = options || {};
+  }
+
+
+  /**
+   * Creates a bundle with the entry modules and all their dependencies. Entry
+   * modules are executed when the bundle runs.
+   *
+   * @param {string | Array.<string>} names - Names of the entry modules
+   *
+   * @returns {Promise} That when resolved, the source of the bundle is returned
+   */
+  Bundler.prototype.bundle = function(names) {
+    var bundler = this;
+    var loader  = this.manager.providers.loader;
+
+    if (Utils.isString(names)) {
+      names = [names];
+    }
+
+    if (!Utils.isArray(names) || !names.length) {
+      return Promise.reject(new TypeError("Must provide the name of the modules to bundle"));
+    }
+
+    function fetchEntry(name) {
+      // Registered modules are not fetched, but their dependencies might not
+      // be loaded yet.
+      if (loader.isPending(name)) {
+        return Promise.all(loader.getPending(name).deps.map(fetchEntry));
+      }
+
+      return loader.fetch(name).then(function() {
+        return loader._waitForDependencies(name);
+      }, Utils.forwardError);
+    }
+
+    function entriesFetched() {
+      return bundler.serialize(names);
+    }
+
+    return Promise.all(names.map(fetchEntry))
+      .then(entriesFetched, Utils.forwardError);
+  };
+
+
+  /**
+   * Writes out the bundle source for modules that have already been fetched.
+   *
+   * @param {Array.<string>} names - Names of the entry modules
+   *
+   * @returns {string} Bundle source
+   */
+  Bundler.prototype.serialize = function(names) {
+    var bundler = this;
+    var nodes   = {};
+    var metas   = {};
+
+    (function collect(names) {
+      names.forEach(function(name) {
+        if (nodes.hasOwnProperty(name)) {
+          return;
+        }
+
+        var moduleMeta = bundler.getModuleMeta(name);
+        metas[name] = moduleMeta;
+        nodes[name] = {
+          name: name,
+          deps: (moduleMeta.deps || []).slice(0)
+        };
+
+        collect(nodes[name].deps);
+      });
+    })(names);
+
+    var modules = new Graph(nodes).topologicalOrder().map(function(name) {
+      logger.log(name, metas[name]);
+      return "  register(" + JSON.stringify(name) + ", " + JSON.stringify(nodes[name].deps) + ", " + createFactory(metas[name]) + ");";
+    });
+
+    var run = names.map(function(name) {
+      return "  register.require(" + JSON.stringify(name) + ");";
+    });
+
+    var expose = [];
+    if (this.settings.expose) {
+      expose.push("  global[" + JSON.stringify(this.settings.expose) + "] = register.require;");
+    }
+
+    return [
+      "(function(global) {",
+      "  var register = (" + bundleRuntime.toString() + ")(global);",
+      ""
+    ]
+    .concat(modules, [""], expose, run, [
+      "})(typeof(window) !== \"undefined\" ? window : this);",
+      ""
+    ])
+    .join("\n");
+  };
+
+
+  /**
+   * Gets the module meta with the source of the module. Modules can still be in
+   * the loader, or already built and in the module registry.
+   *
+   * @param {string} name - Name of the module
+   *
+   * @returns {Object} Module meta
+   */
+  Bundler.prototype.getModuleMeta = function(name) {
+    var manager = this.manager;
+    var loader  = manager.providers.loader;
+
+    if (loader.isLoaded(name)) {
+      return loader.getLoaded(name);
+    }
+    else if (loader.isPending(name)) {
+      return loader.getPending(name);
+    }
+    else if (manager.isModuleCached(name)) {
+      var mod = manager.context.getModule(name);
+      return mod.meta || mod;
+    }
+
+    throw new TypeError("Module `" + name + "` is not loaded and cannot be bundled");
+  };
+
+
+  /**
+   * Creates the source of the factory function a module is registered with in the
+   * bundle runtime. Factories are called CJS style with `require`, `module` and
+   * `exports`.
+   */
+  function createFactory(moduleMeta) {
+    if (Utils.isString(moduleMeta.source)) {
+      return "function(require, module, exports) {\n" + moduleMeta.source + "\n}";
+    }
+
+    // Factories from registered modules get their dependencies as arguments
+    if (Utils.isFunction(moduleMeta.factory)) {
+      return "function(require) {\n" +
+        "    return (" + moduleMeta.factory.toString() + ").apply(this, " + JSON.stringify(moduleMeta.deps || []) + ".map(require));\n" +
+        "  }";
+    }
+
+    if (moduleMeta.hasOwnProperty("code") && !Utils.isFunction(moduleMeta.code)) {
+      return "function(require, module) {\n    module.exports = " + JSON.stringify(moduleMeta.code) + ";\n  }";
+    }
+
+    throw new TypeError("Module `" + moduleMeta.name + "` does not have source that can be bundled");
+  }
+
+
+  /**
+   * Runtime that is written out to the bundle. This is serialized with
+   * `toString`, so it must not reference anything outside of it.
+   */
+  function bundleRuntime(global) {
+    var modules = {};
+    var cache   = {};
+
+    function register(name, deps, factory) {
+      modules[name] = {
+        deps: deps,
+        factory: factory
+      };
+    }
+
+    function require(name) {
+      if (cache.hasOwnProperty(name)) {
+        return cache[name].exports;
+      }
+
+      if (!modules.hasOwnProperty(name)) {
+        throw new TypeError("Module `" + name + "` is not in the bundle");
+      }
+
+      var mod = cache[name] = {id: name, exports: {}};
+      var result = modules[name].factory.call(global, require, mod, mod.exports);
+
+      if (result !== undefined) {
+        mod.exports = result;
+      }
+
+      return mod.exports;
+    }
+
+    register.require = require;
+    return register;
+  }
+
+
+  module.exports = Bundler;
+})();
@@ -0,0 +1,198 @@
+(function() {
+  "use strict";
+
+  var Promise       = require("./promise");
+  var Utils         = require("./utils");
+  var Module        = require("./module");
+  var MemoryStorage = require("./cache/memory-storage");
+  var FileStorage   = require("./cache/file-storage");
+  var logger        = require("./logger").factory("Cache");
+
+
+  /**
+   * Cache for the output of the transform and dependency pipelines. Entries are
+   * keyed on the module path, a hash of the fetched source, and the plugin
+   * configuration of those pipelines. So when a module has not changed since the
+   * last time it was processed, the transform and dependency plugins are skipped.
+   *
+   * Storage adapters must implement `get(key)` and `set(key, value)`, and they
+   * can return promises if they are asynchronous.
+   *
+   * @param {Bitloader} manager
+   * @param {Object} [storage=MemoryStorage] - Storage adapter for cache entries
+   */
+  function Cache(manager, storage) {
+    if (!manager) {
+      throw new TypeError("Must provide a manager");
+    }
+
+    this.manager = manager;
+    this.storage = storage || new MemoryStorage();
+  }
+
+
+  /**
+   * Creates the key for the cache entry of a module meta. This must be called
+   * with the source from the fetch pipeline, before it is transformed.
+   *
+   * @param {Module.Meta} moduleMeta
+   *
+   * @returns {string}
+   */
+  Cache.prototype.getKey = function(moduleMeta) {
+    var fingerprint = this.getFingerprint(moduleMeta);
+
+    return Utils.hash([
+      fingerprint.path,
+      fingerprint.sourceHash,
+      fingerprint.configuration
+    ].join("\n"));
+  };
+
+
+  /**
+   * Gets what identifies the cache entry of a module meta. Keys are short
+   * hashes that can collide, so the fingerprint is saved with the entry and
+   * checked when the entry is restored.
+   *
+   * @param {Module.Meta} moduleMeta - Module meta with the fetched source
+   *
+   * @returns {{path: string, sourceHash: string, configuration: string}}
+   */
+  Cache.prototype.getFingerprint = function(moduleMeta) {
+    var source = String(moduleMeta.source);
+
+    return {
+      path          : moduleMeta.path || moduleMeta.name,
+      sourceHash    : Utils.hash(source) + source.length.toString(16),
+      configuration : this.getConfigurationHash()
+    };
+  };
+
+
+  /**
+   * Creates a hash of the providers in the transform and dependency pipelines so
+   * that changes to the plugins invalidate the cache.
+   *
+   * @returns {string}
+   */
+  Cache.prototype.getConfigurationHash = function() {
+    var manager = this.manager;
+
+    var configuration = ["transform", "dependency"].map(function(pipelineName) {
+      return pipelineName + ":" + manager.pipelines[pipelineName].providers.map(function(provider) {
+        var plugin = manager.plugins[provider.name];
+
+        if (plugin && plugin._handlers[pipelineName]) {
+          return provider.name + plugin._handlers[pipelineName].map(function(handlerConfig) {
+            return stringify(handlerConfig.handler) + JSON.stringify(handlerConfig.options);
+          }).join();
+        }
+
+        return provider.name + stringify(provider.handler);
+      }).join();
+    });
+
+    return Utils.hash(configuration.join("\n"));
+  };
+
+
+  /**
+   * Restores the cache entry for the module meta if there is one.
+   *
+   * @param {Module.Meta} moduleMeta - Module meta with the fetched source
+   *
+   * @returns {Promise} That when resolved, returns true if the module meta was
+   *  restored from the cache.
+   */
+  Cache.prototype.restore = function(moduleMeta) {
+    var fingerprint = moduleMeta.cacheFingerprint = this.getFingerprint(moduleMeta);
+    var key = moduleMeta.cacheKey = this.getKey(moduleMeta);
+
+    function entryReady(entry) {
+      if (!entry || !matches(entry, fingerprint)) {
+        logger.log("miss", moduleMeta.name, key);
+        return false;
+      }
+
+      logger.log("hit", moduleMeta.name, key);
+      Utils.extend(moduleMeta, {
+        source : entry.source,
+        deps   : entry.deps.slice(0),
+        cached : true
+      });
+
+      if (entry.sourceMap) {
+        Module.Meta.setSourceMap(moduleMeta, entry.sourceMap);
+      }
+
+      if (entry.dynamicDeps) {
+        moduleMeta.dynamicDeps = entry.dynamicDeps.slice(0);
+      }
+
+      return true;
+    }
+
+    return Promise.resolve(this.storage.get(key))
+      .then(entryReady, Utils.forwardError);
+  };
+
+
+  /**
+   * Saves the transformed source and dependencies of the module meta.
+   *
+   * @param {Module.Meta} moduleMeta - Module meta that has gone through the
+   *  transform and dependency pipelines.
+   *
+   * @returns {Promise}
+   */
+  Cache.prototype.save = function(moduleMeta) {
+    if (!moduleMeta.cacheKey || moduleMeta.cached) {
+      return Promise.resolve();
+    }
+
+    var fingerprint = moduleMeta.cacheFingerprint || {};
+
+    var saving = Promise.resolve(this.storage.set(moduleMeta.cacheKey, {
+      path          : fingerprint.path,
+      sourceHash    : fingerprint.sourceHash,
+      configuration : fingerprint.configuration,
+      source        : moduleMeta.source,
+      sourceMap     : moduleMeta.sourceMap,
+      deps          : moduleMeta.deps.slice(0),
+      dynamicDeps   : moduleMeta.dynamicDeps ? moduleMeta.dynamicDeps.slice(0) : undefined
+    }));
+
+    // Failing to write to the cache should never fail loading the module
+    return new Promise(function(resolve) {
+      saving.then(resolve, function(err) {
+        logger.error("Unable to save cache entry for", moduleMeta.name, err);
+        resolve();
+      });
+    });
+  };
+
+
+  /**
+   * Checks that an entry was saved for the same module, source and plugin
+   * configuration, and not for another module whose key collides.
+   */
+  function matches(entry, fingerprint) {
+    return entry.path === fingerprint.path &&
+      entry.sourceHash === fingerprint.sourceHash &&
+      entry.configuration === fingerprint.configuration;
+  }
+
+
+  /**
+   * Gets the source of handler functions, ignoring any custom `toString`.
+   */
+  function stringify(handler) {
+    return Utils.isFunction(handler) ? Function.prototype.toString.call(handler) : String(handler);
+  }
+
+
+  Cache.MemoryStorage = MemoryStorage;
+  Cache.FileStorage   = FileStorage;
+  module.exports = Cache;
+})();
@@ -0,0 +1,93 @@
+(function() {
+  "use strict";
+
+  var fs      = require("fs");
+  var path    = require("path");
+  var Promise = require("../promise");
+
+
+  /**
+   * Cache storage that writes entries as JSON files in a directory, so that
+   * entries survive restarts. This storage is only available in nodejs.
+   *
+   * @param {Object} [options={}]
+   * @param {string} [options.directory=".bit-loader-cache"] - Directory where
+   *  cache entries are written to. It is created if it does not exist.
+   */
+  function FileStorage(options) {
+    options = options || {};
+    this.directory = path.resolve(options.directory || ".bit-loader-cache");
+  }
+
+
+  FileStorage.prototype.get = function(key) {
+    var file = this.getFile(key);
+
+    return new Promise(function(resolve) {
+      fs.readFile(file, "utf8", function(err, content) {
+        if (err) {
+          return resolve();
+        }
+
+        try {
+          resolve(JSON.parse(content));
+        }
+        catch(ex) {
+          // Corrupted entries are treated as a cache miss
+          resolve();
+        }
+      });
+    });
+  };
+
+
+  FileStorage.prototype.set = function(key, value) {
+    var storage = this;
+
+    return new Promise(function(resolve, reject) {
+      storage.ensureDirectory(function(err) {
+        if (err) {
+          return reject(err);
+        }
+
+        fs.writeFile(storage.getFile(key), JSON.stringify(value), "utf8", function(err) {
+          return err ? reject(err) : resolve();
+        });
+      });
+    });
+  };
+
+
+  FileStorage.prototype.remove = function(key) {
+    var file = this.getFile(key);
+
+    return new Promise(function(resolve) {
+      fs.unlink(file, function() {
+        resolve();
+      });
+    });
+  };
+
+
+  FileStorage.prototype.getFile = function(key) {
+    return path.join(this.directory, key + ".json");
+  };
+
+
+  FileStorage.prototype.ensureDirectory = function(callback) {
+    var directory = this.directory;
+
+    fs.stat(directory, function(err) {
+      if (!err) {
+        return callback();
+      }
+
+      fs.mkdir(directory, function(err) {
+        callback(err && err.code !== "EEXIST" ? err : null);
+      });
+    });
+  };
+
+
+  module.exports = FileStorage;
+})();
@@ -0,0 +1,35 @@
+(function() {
+  "use strict";
+
+
+  /**
+   * Cache storage that keeps entries in memory for as long as the storage is
+   * around.
+   */
+  function MemoryStorage() {
+    this.items = {};
+  }
+
+
+  MemoryStorage.prototype.get = function(key) {
+    return this.items.hasOwnProperty(key) ? this.items[key] : (void 0);
+  };
+
+
+  MemoryStorage.prototype.set = function(key, value) {
+    this.items[key] = value;
+  };
+
+
+  MemoryStorage.prototype.remove = function(key) {
+    delete this.items[key];
+  };
+
+
+  MemoryStorage.prototype.clear = function() {
+    this.items = {};
+  };
+
+
+  module.exports = MemoryStorage;
+})();
@@ -0,0 +1,375 @@
+(function() {
+  "use strict";
+
+  var Utils = require("./utils");
+
+  // Dependencies that AMD modules get from the loader rather than loading them
+  var SpecialDeps = ["require", "exports", "module"];
+
+  // Keywords after which a `/` starts a regular expression instead of a division
+  var RegexKeywords = ["return", "typeof", "instanceof", "in", "of", "new", "delete", "void", "throw", "case", "do", "else", "yield", "await"];
+
+  // Keywords with a condition in parentheses, after which a `/` starts a
+  // regular expression as in `if (a) /x/.test(b)`
+  var ConditionKeywords = ["if", "while", "for", "with"];
+
+  // Tokens that can be part of the clause in `import ... from` and `export ... from`
+  var ClausePunctuators = ["{", "}", ",", "*"];
+
+
+  /**
+   * Dependency plugin that finds the dependencies of JavaScript modules by
+   * scanning their source. It understands comments, strings, template literals
+   * and regular expressions, so only real code is matched. It finds:
+   *
+   * - `require("x")`
+   * - `import ... from "x"` and `import "x"`
+   * - `export ... from "x"`
+   * - `define(["x", "y"], factory)`
+   * - `import("x")`, which is a dynamic dependency
+   *
+   * Static dependencies are added to `deps`, and dynamic dependencies are set
+   * in `dynamicDeps` so that they are not loaded until they are imported.
+   *
+   * ``` javascript
+   * bitloader.pipelines.dependency.use(Bitloader.DependencyExtractor.dependency);
+   * ```
+   */
+  var DependencyExtractor = {};
+
+
+  /**
+   * Dependency handler that sets the dependencies found in the source of the
+   * module meta.
+   *
+   * @param {Module.Meta} moduleMeta - Module meta with the `source` to scan
+   */
+  DependencyExtractor.dependency = function(moduleMeta) {
+    if (!Utils.isString(moduleMeta.source)) {
+      return;
+    }
+
+    var result = DependencyExtractor.extract(moduleMeta.source);
+
+    moduleMeta.deps = unique((moduleMeta.deps || []).concat(result.deps));
+    moduleMeta.dynamicDeps = result.dynamicDeps.filter(function(name) {
+      return moduleMeta.deps.indexOf(name) === -1;
+    });
+  };
+
+
+  /**
+   * Finds the dependencies in JavaScript source
+   *
+   * @param {string} source - Source to scan
+   *
+   * @returns {{deps: Array.<string>, dynamicDeps: Array.<string>}} Names of
+   *  the static and the dynamic dependencies, in the order they are found.
+   *  Modules that are both are only static dependencies.
+   */
+  DependencyExtractor.extract = function(source) {
+    var tokens      = tokenize(source);
+    var deps        = [];
+    var dynamicDeps = [];
+    var i, token;
+
+    for (i = 0; i < tokens.length; i++) {
+      token = tokens[i];
+
+      // Properties like `loader.require` are not dependencies
+      if (token.type !== "name" || isPunctuator(tokens[i - 1], ".")) {
+        continue;
+      }
+
+      switch (token.value) {
+        case "require":
+          if (isPunctuator(tokens[i + 1], "(") && isString(tokens[i + 2]) && isPunctuator(tokens[i + 3], ")")) {
+            deps.push(tokens[i + 2].value);
+          }
+          break;
+
+        case "import":
+          if (isPunctuator(tokens[i + 1], "(")) {
+            if (isString(tokens[i + 2]) && (isPunctuator(tokens[i + 3], ")") || isPunctuator(tokens[i + 3], ","))) {
+              dynamicDeps.push(tokens[i + 2].value);
+            }
+          }
+          else if (isString(tokens[i + 1])) {
+            deps.push(tokens[i + 1].value);
+          }
+          else if (!isPunctuator(tokens[i + 1], ".")) {
+            pushFrom(tokens, i + 1, deps);
+          }
+          break;
+
+        case "export":
+          if (isPunctuator(tokens[i + 1], "*") || isPunctuator(tokens[i + 1], "{")) {
+            pushFrom(tokens, i + 1, deps);
+          }
+          break;
+
+        case "define":
+          if (isPunctuator(tokens[i + 1], "(")) {
+            pushDefine(tokens, isString(tokens[i + 2]) && isPunctuator(tokens[i + 3], ",") ? i + 4 : i + 2, deps);
+          }
+          break;
+      }
+    }
+
+    deps = unique(deps);
+
+    return {
+      deps: deps,
+      dynamicDeps: unique(dynamicDeps).filter(function(name) {
+        return deps.indexOf(name) === -1;
+      })
+    };
+  };
+
+
+  /**
+   * Finds the `from "x"` at the end of an import or export clause
+   */
+  function pushFrom(tokens, start, deps) {
+    for (var i = start; i < tokens.length; i++) {
+      var token = tokens[i];
+
+      if (token.type === "name" && token.value === "from" && isString(tokens[i + 1])) {
+        deps.push(tokens[i + 1].value);
+        return;
+      }
+
+      if (!(token.type === "name" || token.type === "string" || (token.type === "punctuator" && ClausePunctuators.indexOf(token.value) !== -1))) {
+        return;
+      }
+    }
+  }
+
+
+  /**
+   * Reads the array of dependencies in `define`
+   */
+  function pushDefine(tokens, start, deps) {
+    if (!isPunctuator(tokens[start], "[")) {
+      return;
+    }
+
+    var names = [];
+    for (var i = start + 1; i < tokens.length; i++) {
+      if (isPunctuator(tokens[i], "]")) {
+        deps.push.apply(deps, names);
+        return;
+      }
+
+      if (isString(tokens[i])) {
+        if (SpecialDeps.indexOf(tokens[i].value) === -1) {
+          names.push(tokens[i].value);
+        }
+      }
+      else if (!isPunctuator(tokens[i], ",")) {
+        return;
+      }
+    }
+  }
+
+
+  /**
+   * Splits source into name, string and punctuator tokens, skipping comments
+   * and regular expressions. Template literals without `${}` expressions are
+   * strings. Other template literals are a single `template` token, but the
+   * code in their `${}` expressions is tokenized. Closing parentheses have the
+   * index of the token that opens them in `open`.
+   */
+  function tokenize(source) {
+    var tokens    = [];
+    var templates = [];
+    var parens    = [];
+    var length    = source.length;
+    var i = 0, start, ch, token;
+
+    // Reads template literal text up to the closing backtick or the next `${`.
+    // `plain` is true when the text is from the start of the template literal,
+    // which is then a string if it ends before any `${`.
+    function readTemplate(plain) {
+      var textStart = i;
+
+      while (i < length) {
+        ch = source[i];
+
+        if (ch === "\\") {
+          i += 2;
+        }
+        else if (ch === "`") {
+          i++;
+          tokens.push(plain ? {type: "string", value: unescape(source.slice(textStart, i - 1))} : {type: "template"});
+          return;
+        }
+        else if (ch === "$" && source[i + 1] === "{") {
+          i += 2;
+          templates.push(0);
+          return;
+        }
+        else {
+          i++;
+        }
+      }
+    }
+
+    while (i < length) {
+      ch = source[i];
+
+      if (/\s/.test(ch)) {
+        i++;
+      }
+      else if (ch === "/" && source[i + 1] === "/") {
+        i = source.indexOf("\n", i);
+        i = i === -1 ? length : i;
+      }
+      else if (ch === "/" && source[i + 1] === "*") {
+        i = source.indexOf("*/", i + 2);
+        i = i === -1 ? length : i + 2;
+      }
+      else if (ch === "/" && isRegexAllowed(tokens, tokens[tokens.length - 1])) {
+        i = skipRegex(source, i);
+      }
+      else if (ch === "'" || ch === "\"") {
+        start = i;
+        i = skipString(source, i);
+        tokens.push({type: "string", value: unescape(source.slice(start + 1, i - 1))});
+      }
+      else if (ch === "`") {
+        i++;
+        readTemplate(true);
+      }
+      else if (/[A-Za-z_$]/.test(ch)) {
+        start = i;
+        while (i < length && /[\w$]/.test(source[i])) {
+          i++;
+        }
+        tokens.push({type: "name", value: source.slice(start, i)});
+      }
+      else if (/[0-9]/.test(ch)) {
+        while (i < length && /[\w.]/.test(source[i])) {
+          i++;
+        }
+        tokens.push({type: "number"});
+      }
+      else if (ch === "}" && templates.length && templates[templates.length - 1] === 0) {
+        templates.pop();
+        i++;
+        readTemplate(false);
+      }
+      else {
+        if (templates.length && (ch === "{" || ch === "}")) {
+          templates[templates.length - 1] += ch === "{" ? 1 : -1;
+        }
+
+        token = {type: "punctuator", value: ch};
+
+        if (ch === "(") {
+          parens.push(tokens.length);
+        }
+        else if (ch === ")" && parens.length) {
+          token.open = parens.pop();
+        }
+
+        tokens.push(token);
+        i++;
+      }
+    }
+
+    return tokens;
+  }
+
+
+  function isRegexAllowed(tokens, token) {
+    if (!token) {
+      return true;
+    }
+
+    if (token.type === "name") {
+      return RegexKeywords.indexOf(token.value) !== -1;
+    }
+
+    if (isPunctuator(token, ")")) {
+      return token.hasOwnProperty("open") && isConditionKeyword(tokens, token.open - 1);
+    }
+
+    return token.type === "punctuator" && token.value !== "]" && token.value !== "}";
+  }
+
+
+  function isConditionKeyword(tokens, index) {
+    var token = tokens[index];
+    return !!token && token.type === "name" && ConditionKeywords.indexOf(token.value) !== -1 && !isPunctuator(tokens[index - 1], ".");
+  }
+
+
+  function skipRegex(source, i) {
+    var inClass = false;
+
+    for (i++; i < source.length && source[i] !== "\n"; i++) {
+      if (source[i] === "\\") {
+        i++;
+      }
+      else if (source[i] === "[") {
+        inClass = true;
+      }
+      else if (source[i] === "]") {
+        inClass = false;
+      }
+      else if (source[i] === "/" && !inClass) {
+        i++;
+        break;
+      }
+    }
+
+    // Skip the flags
+    while (i < source.length && /\w/.test(source[i])) {
+      i++;
+    }
+
+    return i;
+  }
+
+
+  function skipString(source, i) {
+    var quote = source[i];
+
+    for (i++; i < source.length; i++) {
+      if (source[i] === "\\") {
+        i++;
+      }
+      else if (source[i] === quote || source[i] === "\n") {
+        return i + 1;
+      }
+    }
+
+    return i;
+  }
+
+
+  function unescape(value) {
+    return value.replace(/\\(.)/g, "$1");
+  }
+
+
+  function isPunctuator(token, value) {
+    return !!token && token.type === "punctuator" && token.value === value;
+  }
+
+
+  function isString(token) {
+    return !!token && token.type === "string";
+  }
+
+
+  function unique(items) {
+    return items.filter(function(item, index) {
+      return items.indexOf(item) === index;
+    });
+  }
+
+
+  module.exports = DependencyExtractor;
+})();
@@ -0,0 +1,146 @@
+(function() {
+  "use strict";
+
+  var Utils  = require("./utils");
+  var logger = require("./logger").factory("Events");
+
+
+  /**
+   * Event emitter for observing the different stages modules go through while
+   * they are loaded.
+   *
+   * Listeners are called synchronously in the order in which they were
+   * registered. A listener that throws is logged and does not prevent other
+   * listeners or the loader from running.
+   */
+  function Events() {
+    this.listeners = {};
+  }
+
+
+  /**
+   * Registers a listener for an event
+   *
+   * @param {string} name - Name of the event
+   * @param {Function} listener - Function called with the event payload
+   *
+   * @returns {Events}
+   */
+  Events.prototype.on = function(name, listener) {
+    if (!Utils.isString(name)) {
+      throw new TypeError("Must provide the name of the event");
+    }
+
+    if (!Utils.isFunction(listener)) {
+      throw new TypeError("Event listener must be a function");
+    }
+
+    (this.listeners[name] || (this.listeners[name] = [])).push(listener);
+    return this;
+  };
+
+
+  /**
+   * Removes a listener for an event. If no listener is provided, all the
+   * listeners for the event are removed.
+   *
+   * @param {string} name - Name of the event
+   * @param {Function} [listener] - Listener to remove
+   *
+   * @returns {Events}
+   */
+  Events.prototype.off = function(name, listener) {
+    var listeners = this.listeners[name];
+
+    if (!listeners) {
+      return this;
+    }
+
+    if (!listener) {
+      delete this.listeners[name];
+    }
+    else if (listeners.indexOf(listener) !== -1) {
+      listeners.splice(listeners.indexOf(listener), 1);
+    }
+
+    return this;
+  };
+
+
+  /**
+   * Checks if there are listeners for an event, which is useful to skip
+   * creating payloads that nobody is going to see.
+   *
+   * @param {string} name - Name of the event
+   *
+   * @returns {boolean}
+   */
+  Events.prototype.hasListeners = function(name) {
+    return !!(this.listeners[name] && this.listeners[name].length);
+  };
+
+
+  /**
+   * Calls all the listeners for an event with the payload
+   *
+   * @param {string} name - Name of the event
+   * @param {Object} payload - Data passed to the listeners
+   */
+  Events.prototype.emit = function(name, payload) {
+    if (!this.hasListeners(name)) {
+      return;
+    }
+
+    this.listeners[name].slice(0).forEach(function(listener) {
+      try {
+        listener(payload);
+      }
+      catch(ex) {
+        logger.error("listener for", name, "failed", ex);
+      }
+    });
+  };
+
+
+  /**
+   * Emits an event in the manager if it has an event emitter. Loader services
+   * can be created with managers that are not Bitloader instances, so this
+   * is how services emit events.
+   *
+   * @param {Bitloader} manager
+   * @param {string} name - Name of the event
+   * @param {Object} payload - Data passed to the listeners
+   */
+  Events.emit = function(manager, name, payload) {
+    if (manager && manager.events) {
+      manager.events.emit(name, payload);
+    }
+  };
+
+
+  /**
+   * Creates the payload for events of pipeline stages, with the timing of the
+   * stage and the plugins that handled it.
+   *
+   * @param {Module.Meta} moduleMeta - Module meta processed in the stage
+   * @param {number} start - Time when the stage started, from `Utils.now`
+   * @param {Array.<string>} [plugins] - Names of the plugins that handled the stage
+   *
+   * @returns {Object}
+   */
+  Events.createPayload = function(moduleMeta, start, plugins) {
+    var end = Utils.now();
+
+    return {
+      name       : moduleMeta.name,
+      moduleMeta : moduleMeta,
+      plugins    : plugins || [],
+      start      : start,
+      end        : end,
+      duration   : end - start
+    };
+  };
+
+
+  module.exports = Events;
+})();
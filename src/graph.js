@@ -0,0 +1,268 @@
+(function() {
+  "use strict";
+
+  var Utils = require("./utils");
+
+
+  /**
+   * State of modules in the graph. Linked modules are in the module registry
+   * and ready to be consumed. The others are the module meta states from the
+   * loader.
+   */
+  var NodeState = {
+    LINKED:  "linked",
+    LOADED:  "loaded",
+    PENDING: "pending",
+    LOADING: "loading"
+  };
+
+
+  /**
+   * Snapshot of the dependency graph of modules.
+   *
+   * @param {Object} nodes - Map of module names to nodes. Nodes have the `name`,
+   *  `state`, `path` and `deps` of the module.
+   */
+  function Graph(nodes) {
+    this.nodes = nodes || {};
+  }
+
+
+  /**
+   * Creates a graph with all the modules in the module registry and the modules
+   * the loader is processing.
+   *
+   * @param {Bitloader} manager
+   *
+   * @returns {Graph}
+   */
+  Graph.create = function(manager) {
+    var nodes   = {};
+    var loader  = manager.providers.loader;
+    var context = manager.context;
+
+    loader.context.getModuleNames().forEach(function(name) {
+      var state = loader.context.getModuleState(name);
+      var moduleMeta;
+
+      if (state === NodeState.LOADING) {
+        moduleMeta = loader.fetching[name] || {};
+      }
+      else {
+        moduleMeta = loader.context.getModule(name);
+      }
+
+      nodes[name] = createNode(name, state, moduleMeta);
+    });
+
+    context.getModuleNames().forEach(function(name) {
+      var mod = context.getModule(name);
+      nodes[name] = createNode(name, NodeState.LINKED, mod.meta || mod);
+      nodes[name].deps = mod.deps.slice(0);
+    });
+
+    return new Graph(nodes);
+  };
+
+
+  /**
+   * Checks if the module is in the graph.
+   */
+  Graph.prototype.hasNode = function(name) {
+    return this.nodes.hasOwnProperty(name);
+  };
+
+
+  /**
+   * Gets the node for a module in the graph.
+   *
+   * @param {string} name - Name of the module
+   *
+   * @returns {Object} Node with the `name`, `state`, `path` and `deps` of the module
+   */
+  Graph.prototype.getNode = function(name) {
+    if (!this.hasNode(name)) {
+      throw new TypeError("Module `" + name + "` is not in the graph");
+    }
+
+    return this.nodes[name];
+  };
+
+
+  /**
+   * Gets the names of all the modules in the graph.
+   *
+   * @returns {Array.<string>}
+   */
+  Graph.prototype.getNames = function() {
+    return Object.keys(this.nodes);
+  };
+
+
+  /**
+   * Gets the names of the modules a module depends on.
+   *
+   * @param {string} name - Name of the module
+   * @param {boolean} [transitive=false] - Whether or not to include indirect
+   *  dependencies.
+   *
+   * @returns {Array.<string>}
+   */
+  Graph.prototype.dependencies = function(name, transitive) {
+    var graph = this;
+    var deps  = this.getNode(name).deps;
+
+    if (!transitive) {
+      return deps.slice(0);
+    }
+
+    return traverse(name, function(name) {
+      return graph.hasNode(name) ? graph.nodes[name].deps : [];
+    });
+  };
+
+
+  /**
+   * Gets the names of the modules that depend on a module. This is what answers
+   * the question "why is this module loaded?".
+   *
+   * @param {string} name - Name of the module
+   * @param {boolean} [transitive=false] - Whether or not to include indirect
+   *  dependents.
+   *
+   * @returns {Array.<string>}
+   */
+  Graph.prototype.dependents = function(name, transitive) {
+    var graph = this;
+
+    if (!this.hasNode(name)) {
+      throw new TypeError("Module `" + name + "` is not in the graph");
+    }
+
+    function getDependents(name) {
+      return graph.getNames().filter(function(dependent) {
+        return graph.nodes[dependent].deps.indexOf(name) !== -1;
+      });
+    }
+
+    return transitive ? traverse(name, getDependents) : getDependents(name);
+  };
+
+
+  /**
+   * Sorts the modules in the graph so that dependencies come before the modules
+   * that depend on them, which is the order in which modules are linked.
+   * Modules in circular dependencies are ordered by whichever is found first.
+   *
+   * @returns {Array.<string>}
+   */
+  Graph.prototype.topologicalOrder = function() {
+    var graph   = this;
+    var ordered = [];
+    var visited = {};
+
+    function visit(name) {
+      if (visited[name] || !graph.hasNode(name)) {
+        return;
+      }
+
+      visited[name] = true;
+      graph.nodes[name].deps.forEach(visit);
+      ordered.push(name);
+    }
+
+    this.getNames().forEach(visit);
+    return ordered;
+  };
+
+
+  /**
+   * Serializable representation of the graph.
+   *
+   * @returns {{nodes: Array.<Object>, edges: Array.<Object>}}
+   */
+  Graph.prototype.toJSON = function() {
+    var graph = this;
+    var edges = [];
+
+    var nodes = this.getNames().map(function(name) {
+      var node = graph.nodes[name];
+
+      node.deps.forEach(function(dep) {
+        edges.push({from: name, to: dep});
+      });
+
+      return Utils.extend({}, node, {
+        deps: node.deps.slice(0)
+      });
+    });
+
+    return {
+      nodes: nodes,
+      edges: edges
+    };
+  };
+
+
+  /**
+   * Graphviz DOT representation of the graph.
+   *
+   * @returns {string}
+   */
+  Graph.prototype.toDOT = function() {
+    var graph = this;
+    var lines = ["digraph modules {"];
+
+    this.getNames().forEach(function(name) {
+      lines.push("  " + quote(name) + " [state=" + quote(graph.nodes[name].state) + "];");
+    });
+
+    this.toJSON().edges.forEach(function(edge) {
+      lines.push("  " + quote(edge.from) + " -> " + quote(edge.to) + ";");
+    });
+
+    lines.push("}");
+    return lines.join("\n");
+  };
+
+
+  function createNode(name, state, moduleMeta) {
+    return {
+      name  : name,
+      state : state,
+      path  : moduleMeta.path,
+      deps  : (moduleMeta.deps || []).slice(0)
+    };
+  }
+
+
+  /**
+   * Collects all the names reachable from `name`, not including `name` itself.
+   */
+  function traverse(name, getNext) {
+    var result  = [];
+    var visited = {};
+    visited[name] = true;
+
+    (function visit(name) {
+      getNext(name).forEach(function(next) {
+        if (!visited[next]) {
+          visited[next] = true;
+          result.push(next);
+          visit(next);
+        }
+      });
+    })(name);
+
+    return result;
+  }
+
+
+  function quote(value) {
+    return JSON.stringify(String(value));
+  }
+
+
+  Graph.NodeState = NodeState;
+  module.exports = Graph;
+})();
@@ -0,0 +1,369 @@
+(function() {
+  "use strict";
+
+  var Promise     = require("./promise");
+  var Module      = require("./module");
+  var Utils       = require("./utils");
+  var Registry    = require("./registry");
+  var metaCompile = require("./meta/compile");
+  var logger      = require("./logger").factory("Hot");
+
+  var getRegistryId = Registry.idGenerator("hot");
+
+  var ModuleState = {
+    HOT: "hot"
+  };
+
+
+  /**
+   * Handle that modules use to register callbacks that are called when the
+   * module is replaced. Callbacks belong to the module instance that registers
+   * them; so once a module is replaced, the new module instance registers its
+   * own callbacks.
+   *
+   * @param {string} name - Name of the module the handle is for
+   */
+  function HotModule(name) {
+    this.name     = name;
+    this.data     = {};
+    this._accept  = [];
+    this._dispose = [];
+  }
+
+
+  /**
+   * Registers a callback that is called with the new module code once the
+   * module and its dependents have been replaced.
+   *
+   * @param {Function} callback
+   *
+   * @returns {HotModule}
+   */
+  HotModule.prototype.accept = function(callback) {
+    if (!Utils.isFunction(callback)) {
+      throw new TypeError("Must provide a callback function to `accept`");
+    }
+
+    this._accept.push(callback);
+    return this;
+  };
+
+
+  /**
+   * Registers a callback that is called before the module is replaced. The
+   * callback gets a `data` object that is made available to the new module
+   * instance as `hot.data`.
+   *
+   * @param {Function} callback
+   *
+   * @returns {HotModule}
+   */
+  HotModule.prototype.dispose = function(callback) {
+    if (!Utils.isFunction(callback)) {
+      throw new TypeError("Must provide a callback function to `dispose`");
+    }
+
+    this._dispose.push(callback);
+    return this;
+  };
+
+
+  /**
+   * Hot module replacement. Reloads modules that have changed and relinks all
+   * the modules that depend on them.
+   */
+  function Hot(manager) {
+    if (!manager) {
+      throw new TypeError("Must provide a manager");
+    }
+
+    this.manager = manager;
+    this.context = Registry.getById(getRegistryId());
+  }
+
+
+  /**
+   * Gets the hot handle for a module, which modules use to register `accept`
+   * and `dispose` callbacks.
+   *
+   * @param {string} name - Name of the module
+   *
+   * @returns {HotModule}
+   */
+  Hot.prototype.getHotModule = function(name) {
+    if (!this.context.hasModuleWithState(ModuleState.HOT, name)) {
+      return this.context.setModule(ModuleState.HOT, name, new HotModule(name));
+    }
+
+    return this.context.getModuleWithState(ModuleState.HOT, name);
+  };
+
+
+  /**
+   * Reloads a module by running it through the pipeline again, and then relinks
+   * all the modules that directly or indirectly depend on it.
+   *
+   * The old modules are only disposed once the new modules are linked, so that
+   * `dispose` callbacks are not called when the reload fails. If it does fail,
+   * the old modules are put back in the module registry along with their hot
+   * callbacks, and no `accept` callbacks are called.
+   *
+   * @param {string} name - Name of the module to reload
+   *
+   * @returns {Promise} That when resolved, the new module code is returned
+   */
+  Hot.prototype.reload = function(name) {
+    var hot     = this;
+    var manager = this.manager;
+    var loader  = manager.providers.loader;
+    var mod, accepts, hotModules;
+
+    if (!manager.isModuleCached(name)) {
+      return Promise.reject(new TypeError("Module `" + name + "` has not yet been loaded"));
+    }
+
+    logger.log("reload", name);
+
+    var dependents = hot.getDependents(name);
+    var modules    = [manager.getModule(name)].concat(dependents);
+
+    modules.forEach(function(mod) {
+      manager.deleteModule(mod.name);
+    });
+
+    function relinkDependent(mod) {
+      var moduleMeta = createRelinkMeta(mod);
+
+      function relinkReady() {
+        loader.setLoaded(moduleMeta.name, moduleMeta);
+      }
+
+      // Modules with a factory or a declare are ready to be linked. Otherwise
+      // they have to be compiled again.
+      if (moduleMeta.factory || moduleMeta.declare) {
+        return Promise.resolve(relinkReady());
+      }
+
+      return metaCompile
+        .pipeline(manager, moduleMeta)
+        .then(relinkReady, Utils.forwardError);
+    }
+
+    function fetchModule() {
+      return loader.fetch(name);
+    }
+
+    function compileModule() {
+      mod = loader._compileModuleMeta(name);
+    }
+
+    function detachModules() {
+      // The new module instances register their own callbacks while they are
+      // linked, so the callbacks of the old instances are set aside until the
+      // reload is done.
+      hotModules = modules.map(function(mod) {
+        return hot._detach(mod.name);
+      });
+    }
+
+    function disposeModules() {
+      accepts = hotModules.map(function(snapshot) {
+        return hot._dispose(snapshot);
+      });
+    }
+
+    function buildModules() {
+      // Modules that register themselves when they are compiled, like AMD
+      // modules, are built by the loader.
+      var building = loader.isPending(name) ? loader.asyncBuild(name) : loader._linkModule(mod);
+
+      return Promise.resolve(building).then(function() {
+        dependents.forEach(function(mod) {
+          manager.getModule(mod.name);
+        });
+      }, Utils.forwardError);
+    }
+
+    function acceptModules() {
+      modules.forEach(function(mod, i) {
+        var code = manager.getModuleCode(mod.name);
+        accepts[i].forEach(function(callback) {
+          callback(code);
+        });
+      });
+
+      return manager.getModuleCode(name);
+    }
+
+    function reloadFailed(error) {
+      modules.forEach(function(mod) {
+        if (manager.isModuleCached(mod.name)) {
+          manager.deleteModule(mod.name);
+        }
+
+        if (loader.hasModule(mod.name)) {
+          loader.deleteModule(mod.name);
+        }
+
+        manager.setModule(mod);
+      });
+
+      if (hotModules) {
+        hotModules.forEach(function(snapshot) {
+          hot._restore(snapshot);
+        });
+      }
+
+      return error;
+    }
+
+    return Promise.all(dependents.map(relinkDependent))
+      .then(fetchModule, Utils.forwardError)
+      .then(compileModule, Utils.forwardError)
+      .then(detachModules, Utils.forwardError)
+      .then(buildModules, Utils.forwardError)
+      .then(disposeModules, Utils.forwardError)
+      .then(acceptModules, reloadFailed);
+  };
+
+
+  /**
+   * Gets all the modules in the module registry that directly or indirectly
+   * depend on a module. Modules are returned in the order in which they need
+   * to be linked, which is dependencies first.
+   *
+   * @param {string} name - Name of the module to get the dependents for
+   *
+   * @returns {Array.<Module>}
+   */
+  Hot.prototype.getDependents = function(name) {
+    var context = this.manager.context;
+    var modules = context.getModuleNames().map(function(moduleName) {
+      return context.getModule(moduleName);
+    });
+
+    var dependents = {};
+    dependents[name] = false;
+
+    (function findDependents(name) {
+      modules.forEach(function(mod) {
+        if (!dependents.hasOwnProperty(mod.name) && mod.deps.indexOf(name) !== -1) {
+          dependents[mod.name] = mod;
+          findDependents(mod.name);
+        }
+      });
+    })(name);
+
+    var ordered = [];
+    var visited = {};
+
+    function orderDependent(mod) {
+      if (!mod || visited[mod.name]) {
+        return;
+      }
+
+      visited[mod.name] = true;
+      mod.deps.forEach(function(dep) {
+        orderDependent(dependents[dep]);
+      });
+
+      ordered.push(mod);
+    }
+
+    for (var dependent in dependents) {
+      orderDependent(dependents[dependent]);
+    }
+
+    return ordered;
+  };
+
+
+  /**
+   * Takes a snapshot of the hot callbacks and data of a module, and clears the
+   * callbacks so that the new module instance can register its own. The
+   * snapshot is used for disposing the old module instance once the reload is
+   * done, or for restoring it when the reload fails.
+   */
+  Hot.prototype._detach = function(name) {
+    if (!this.context.hasModuleWithState(ModuleState.HOT, name)) {
+      return null;
+    }
+
+    var hotModule = this.context.getModuleWithState(ModuleState.HOT, name);
+    var snapshot  = {
+      hotModule : hotModule,
+      data      : hotModule.data,
+      accept    : hotModule._accept,
+      dispose   : hotModule._dispose
+    };
+
+    hotModule._accept  = [];
+    hotModule._dispose = [];
+    return snapshot;
+  };
+
+
+  /**
+   * Restores the hot callbacks and data from a snapshot.
+   */
+  Hot.prototype._restore = function(snapshot) {
+    if (snapshot) {
+      snapshot.hotModule.data     = snapshot.data;
+      snapshot.hotModule._accept  = snapshot.accept;
+      snapshot.hotModule._dispose = snapshot.dispose;
+    }
+  };
+
+
+  /**
+   * Calls the `dispose` callbacks the old module instance had registered, and
+   * makes the data they store available in `hot.data`.
+   *
+   * @returns {Array.<Function>} `accept` callbacks the module had registered
+   */
+  Hot.prototype._dispose = function(snapshot) {
+    if (!snapshot) {
+      return [];
+    }
+
+    var data = {};
+
+    snapshot.dispose.forEach(function(callback) {
+      callback(data);
+    });
+
+    snapshot.hotModule.data = data;
+    return snapshot.accept;
+  };
+
+
+  /**
+   * Creates a module meta object from a Module instance that can be compiled
+   * and linked again. Modules that only have code cannot be rebuilt, so their
+   * code is kept.
+   */
+  function createRelinkMeta(mod) {
+    var moduleMeta = new Module.Meta(Utils.extend({}, mod.meta || mod.settings, {
+      name: mod.name,
+      deps: mod.deps.slice(0)
+    }));
+
+    if (mod.factory) {
+      moduleMeta.factory = mod.factory;
+      delete moduleMeta.code;
+    }
+    else if (mod.declare) {
+      moduleMeta.declare = mod.declare;
+      delete moduleMeta.code;
+    }
+    else if (Utils.isString(moduleMeta.source)) {
+      delete moduleMeta.code;
+    }
+
+    return moduleMeta;
+  }
+
+
+  Hot.HotModule = HotModule;
+  module.exports = Hot;
+})();
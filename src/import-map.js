@@ -0,0 +1,224 @@
+(function() {
+  "use strict";
+
+  var Utils = require("./utils");
+  var Path  = require("./path");
+
+
+  /**
+   * Import map in the WHATWG format, which remaps module names before they are
+   * resolved. `imports` maps names to addresses, and `scopes` has maps that
+   * are only used by modules whose path starts with the scope.
+   *
+   * Keys that end with `/` map all names with that prefix, so `lodash/` maps
+   * `lodash/map` to the address of `lodash/` with `map` appended.
+   *
+   * Keys, addresses and scopes that are URLs or that start with `/`, `./` or
+   * `../` are resolved against `baseUrl`, and so are names that look like them
+   * when they are remapped. Entries with a `null` address block the names they
+   * match.
+   *
+   * ``` javascript
+   * var importMap = new ImportMap({
+   *   imports: {
+   *     "react": "/vendor/react.js",
+   *     "lodash/": "/vendor/lodash/"
+   *   },
+   *   scopes: {
+   *     "/legacy/": {
+   *       "react": "/vendor/react-15.js"
+   *     }
+   *   }
+   * });
+   * ```
+   *
+   * @param {{imports: Object, scopes: Object}} [map]
+   * @param {string} [baseUrl="/"] - URL relative entries are resolved against
+   */
+  function ImportMap(map, baseUrl) {
+    this.baseUrl = baseUrl || "/";
+    this.imports = {};
+    this.scopes  = {};
+
+    if (map) {
+      this.extend(map);
+    }
+  }
+
+
+  /**
+   * Merges a map into this import map. Entries in the new map replace the
+   * existing entries with the same name, and scopes are merged per scope.
+   *
+   * @param {{imports: Object, scopes: Object}} map
+   *
+   * @returns {ImportMap}
+   */
+  ImportMap.prototype.extend = function(map) {
+    if (!Utils.isPlainObject(map)) {
+      throw new TypeError("Import map must be an object");
+    }
+
+    var importMap = this;
+
+    var baseUrl   = importMap.baseUrl;
+
+    if (map.imports) {
+      Utils.extend(importMap.imports, parseSpecifierMap(map.imports, baseUrl));
+    }
+
+    if (map.scopes) {
+      Object.keys(map.scopes).forEach(function(scope) {
+        var prefix = resolveUrl(scope, baseUrl);
+        importMap.scopes[prefix] = Utils.extend(importMap.scopes[prefix] || {}, parseSpecifierMap(map.scopes[scope], baseUrl, scope));
+      });
+    }
+
+    return importMap;
+  };
+
+
+  /**
+   * Remaps a module name. Names that are URLs or that start with `/`, `./` or
+   * `../` are resolved against the path of the parent module first. Scopes
+   * that match the path of the parent module are checked first, the most
+   * specific scope first, and then `imports`.
+   *
+   * @param {string} name - Module name to remap
+   * @param {string} [parentPath] - Path of the module that imports `name`
+   *
+   * @returns {string} The remapped name, or `name` when nothing matches
+   *
+   * @throws {TypeError} When the name is blocked by an entry with a `null`
+   *  address, or when a prefix match resolves above its address.
+   */
+  ImportMap.prototype.resolve = function(name, parentPath) {
+    var scopes    = this.scopes;
+    var baseUrl   = parentPath || this.baseUrl;
+    var specifier = isUrlLike(name) ? resolveUrl(name, baseUrl) : name;
+
+    var matchingScopes = Object.keys(scopes)
+      .filter(function(scope) {
+        return scope === baseUrl || (scope[scope.length - 1] === "/" && baseUrl.indexOf(scope) === 0);
+      })
+      .sort(function(a, b) {
+        return b.length - a.length;
+      });
+
+    for (var i = 0; i < matchingScopes.length; i++) {
+      var scoped = resolveSpecifier(scopes[matchingScopes[i]], specifier, name);
+      if (scoped !== null) {
+        return scoped;
+      }
+    }
+
+    var result = resolveSpecifier(this.imports, specifier, name);
+    return result === null ? name : result;
+  };
+
+
+  /**
+   * Finds the address for a specifier in a specifier map. Exact matches win
+   * over prefix matches, and longer prefixes win over shorter ones.
+   *
+   * @returns {string | null}
+   */
+  function resolveSpecifier(specifierMap, specifier, name) {
+    if (specifierMap.hasOwnProperty(specifier)) {
+      return getAddress(specifierMap[specifier], name);
+    }
+
+    var prefix = Object.keys(specifierMap)
+      .filter(function(key) {
+        return key[key.length - 1] === "/" && specifier.indexOf(key) === 0;
+      })
+      .sort(function(a, b) {
+        return b.length - a.length;
+      })[0];
+
+    if (!prefix) {
+      return null;
+    }
+
+    var address = getAddress(specifierMap[prefix], name);
+    var result  = address + specifier.substr(prefix.length);
+
+    if (isUrlLike(address)) {
+      result = Path.normalize(result);
+
+      if (result.indexOf(address) !== 0) {
+        throw new TypeError("Import of `" + name + "` resolves above `" + address + "` in the import map");
+      }
+    }
+
+    return result;
+  }
+
+
+  function getAddress(address, name) {
+    if (address === null) {
+      throw new TypeError("Import of `" + name + "` is blocked by the import map");
+    }
+
+    return address;
+  }
+
+
+  /**
+   * Validates the entries of a specifier map and resolves the keys and the
+   * addresses that are URLs or that start with `/`, `./` or `../`.
+   */
+  function parseSpecifierMap(specifierMap, baseUrl, scope) {
+    if (!Utils.isPlainObject(specifierMap)) {
+      throw new TypeError("Import map " + (scope ? "scope `" + scope + "`" : "`imports`") + " must be an object");
+    }
+
+    return Object.keys(specifierMap).reduce(function(result, key) {
+      var address = specifierMap[key];
+
+      if (!key) {
+        throw new TypeError("Import map keys must not be empty");
+      }
+
+      if (address !== null && !Utils.isString(address)) {
+        throw new TypeError("Import map address for `" + key + "` must be a string or null");
+      }
+
+      if (address !== null && key[key.length - 1] === "/" && address[address.length - 1] !== "/") {
+        throw new TypeError("Import map address for `" + key + "` must end with `/` like its key");
+      }
+
+      var normalizedKey = isUrlLike(key) ? resolveUrl(key, baseUrl) : key;
+      result[normalizedKey] = address !== null && isUrlLike(address) ? resolveUrl(address, baseUrl) : address;
+      return result;
+    }, {});
+  }
+
+
+  /**
+   * Checks if a specifier is a URL or starts with `/`, `./` or `../`
+   */
+  function isUrlLike(specifier) {
+    return Path.isRelative(specifier) || Path.isAbsolute(specifier);
+  }
+
+
+  /**
+   * Resolves a URL like specifier against a base URL. The base is a file, so
+   * relative specifiers are resolved against the directory it is in.
+   */
+  function resolveUrl(specifier, baseUrl) {
+    if (Path.splitRoot(specifier).root) {
+      return Path.normalize(specifier);
+    }
+
+    if (specifier[0] === "/") {
+      return Path.splitRoot(baseUrl).root + Path.normalize(specifier);
+    }
+
+    return Path.join(baseUrl.replace(/[^\/]*$/, ""), specifier);
+  }
+
+
+  module.exports = ImportMap;
+})();
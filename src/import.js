@@ -1,9 +1,10 @@
 (function() {
   "use strict";
 
-  var Promise  = require("./promise");
-  var Utils    = require("./utils");
-  var Registry = require("./registry");
+  var Promise         = require("./promise");
+  var Utils           = require("./utils");
+  var Registry        = require("./registry");
+  var AbortController = require("./abort");
 
   var getRegistryId = Registry.idGenerator("import");
 
@@ -30,6 +31,10 @@
    * Import is the method to load a Module
    *
    * @param {Array<string> | string} names - module(s) to import
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Signal for cancelling the import.
+   *  When aborted, the import is rejected with an `AbortError` and the modules
+   *  that were being loaded for it are removed from the loader.
    *
    * @returns {Promise}
    */
@@ -57,21 +62,32 @@
     options = options || {};
     var importer = this;
     var manager  = this.manager;
+    var signal   = options.signal;
 
+    if (signal && signal.aborted) {
+      return Promise.reject(AbortController.createAbortError());
+    }
+
+    // Imports in progress are checked before loaded modules because modules
+    // are loaded before they are done importing when they have top-level await.
     if (hasModule(options.modules, name)) {
       return options.modules[name];
     }
+    else if (importer.hasModule(name)) {
+      // The import is started over when the caller that started it aborts
+      return AbortController.join(importer.getModule(name), signal, function() {
+        return importer._getModule(name, options);
+      });
+    }
     else if (manager.hasModule(name)) {
       return manager.getModuleCode(name);
     }
-    else if (importer.hasModule(name)) {
-      return importer.getModule(name);
-    }
 
     // Wrap in a separate promise to handle this:
     // https://github.com/MiguelCastillo/spromise/issues/35
-    return new Promise(function deferredModuleResolver(resolve, reject) {
+    var importing = new Promise(function deferredModuleResolver(resolve, reject) {
       function moduleError(error) {
+        importer.deleteModule(name);
         reject(Utils.reportError(error));
       }
 
@@ -84,9 +100,14 @@
         resolve(manager.getModuleCode(mod.name));
       }
 
-      importer.setModule(name, manager.load(name))
-        .then(moduleLoaded, moduleError);
+      // Only pass in load options when there is something to pass in
+      var loading = signal ? manager.load(name, null, {signal: signal}) : manager.load(name);
+      loading.then(moduleLoaded, moduleError);
     });
+
+    // Imports of the module that are made while this one is in progress wait
+    // on it, and they get the code of the module just like this one does.
+    return importer.setModule(name, importing);
   };
 
 
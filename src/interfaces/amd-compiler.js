@@ -0,0 +1,231 @@
+(function(root) {
+  "use strict";
+
+  var Utils     = require("../utils");
+  var Module    = require("../module");
+  var SourceMap = require("../source-map");
+
+  // Dependencies that are provided by the module itself rather than loaded
+  var SpecialDeps = ["require", "exports", "module"];
+
+  // Matches `require("name")` calls in factories defined without dependencies
+  var RequireCall = /[^.\w$]require\s*\(\s*["']([^"']+)["']\s*\)/g;
+  var Comments    = /\/\*[\s\S]*?\*\/|([^:\\]|^)\/\/.*$/mg;
+
+
+  /**
+   * Compiler for AMD modules. The source of the module is evaluated with a
+   * `define(id?, deps?, factory)` function, and every module that is defined
+   * is registered with [register]{@link Bitloader#register}. Anonymous defines
+   * and defines named after the module register the module itself, and other
+   * named defines register modules that can be imported later on. Registered
+   * modules are built asynchronously, so their dependencies are loaded before
+   * they are linked.
+   *
+   * `require`, `exports` and `module` dependencies are provided by the module
+   * itself. Factories defined without dependencies get them CJS style, along
+   * with the modules in their `require` calls.
+   *
+   * ``` javascript
+   * var bitloader = new Bitloader();
+   * bitloader.compile = new Bitloader.AmdCompiler(bitloader).compile;
+   * ```
+   *
+   * @param {Bitloader} manager - Loader modules are registered with
+   */
+  function AmdCompiler(manager) {
+    if (!manager) {
+      throw new TypeError("Must provide a manager");
+    }
+
+    this.manager = manager;
+
+    // Bound so that it can be used as the `compile` hook of a loader
+    this.compile = this.compile.bind(this);
+  }
+
+
+  /**
+   * Evaluates the source of a module meta and registers the modules it defines.
+   * Sources that do not define the module itself compile to `undefined`.
+   *
+   * @param {Module.Meta} moduleMeta - Module meta with the `source` to compile
+   *
+   * @returns {Object} Empty object when the module is registered, or an object
+   *  with `code` otherwise.
+   */
+  AmdCompiler.prototype.compile = function(moduleMeta) {
+    var manager = this.manager;
+    var loader  = manager.providers.loader;
+    var defines = AmdCompiler.evaluate(moduleMeta);
+
+    var anonymous = defines.filter(function(item) {
+      return !item.name;
+    });
+
+    if (anonymous.length > 1) {
+      throw new TypeError("Module `" + moduleMeta.name + "` has more than one anonymous define");
+    }
+
+    defines.forEach(function(item) {
+      var name = item.name || moduleMeta.name;
+
+      // Modules that are already defined keep their first definition
+      if (!manager.hasModule(name) && !loader.hasModule(name)) {
+        register(manager, name, item);
+      }
+    });
+
+    return loader.isPending(moduleMeta.name) ? {} : {code: undefined};
+  };
+
+
+  /**
+   * Evaluates the source of a module meta with a `define` function, and
+   * collects the modules that are defined.
+   *
+   * @param {Module.Meta} moduleMeta - Module meta with the `source` to evaluate
+   *
+   * @returns {Array.<{name: string, deps: Array.<string>, factory: *}>}
+   */
+  AmdCompiler.evaluate = function(moduleMeta) {
+    var defines = [];
+
+    if (!Utils.isString(moduleMeta.source)) {
+      throw new TypeError("Module `" + moduleMeta.name + "` does not have source to compile");
+    }
+
+    function define(name, deps, factory) {
+      defines.push(parseDefine(name, deps, factory));
+    }
+
+    define.amd = {};
+
+    /* jshint -W054 */
+    (new Function("define", SourceMap.appendComments(moduleMeta)))(define);
+    /* jshint +W054 */
+
+    return defines;
+  };
+
+
+  /**
+   * Sorts out the optional arguments of `define`
+   */
+  function parseDefine(name, deps, factory) {
+    if (!Utils.isString(name)) {
+      factory = deps;
+      deps    = name;
+      name    = null;
+    }
+
+    if (!Utils.isArray(deps)) {
+      factory = deps;
+      deps    = null;
+    }
+
+    if (!deps) {
+      deps = Utils.isFunction(factory) && factory.length ? getCjsDeps(factory) : [];
+    }
+
+    return {
+      name    : name,
+      deps    : deps,
+      factory : factory
+    };
+  }
+
+
+  /**
+   * Gets the dependencies of a factory that is defined without dependencies,
+   * which are the special dependencies for its arguments and the modules in
+   * its `require` calls.
+   */
+  function getCjsDeps(factory) {
+    var deps   = factory.length === 1 ? ["require"] : SpecialDeps.slice(0);
+    var source = factory.toString().replace(Comments, "$1");
+    var match;
+
+    RequireCall.lastIndex = 0;
+    while ((match = RequireCall.exec(source))) {
+      if (deps.indexOf(match[1]) === -1) {
+        deps.push(match[1]);
+      }
+    }
+
+    return deps;
+  }
+
+
+  function register(manager, name, item) {
+    var deps = item.deps.filter(function(dep) {
+      return SpecialDeps.indexOf(dep) === -1;
+    });
+
+    manager.register(name, deps, createFactory(manager, name, item, deps), Module.Type.AMD);
+  }
+
+
+  /**
+   * Creates the factory modules are registered with. The linker calls it with
+   * the code of the dependencies that are loaded, and the special dependencies
+   * are filled in here.
+   */
+  function createFactory(manager, name, item, deps) {
+    return function() {
+      var linked  = arguments;
+      var _module = {
+        id      : name,
+        exports : {}
+      };
+
+      function getDependency(dep) {
+        var index = deps.indexOf(dep);
+        return manager.isModuleCached(dep) || index === -1 ? manager.getModuleCode(dep) : linked[index];
+      }
+
+      var special = {
+        require : createRequire(manager, getDependency),
+        exports : _module.exports,
+        module  : _module
+      };
+
+      var args = item.deps.map(function(dep) {
+        return SpecialDeps.indexOf(dep) === -1 ? getDependency(dep) : special[dep];
+      });
+
+      var result = Utils.isFunction(item.factory) ? item.factory.apply(root, args) : item.factory;
+      return result === undefined ? _module.exports : result;
+    };
+  }
+
+
+  /**
+   * Creates the `require` for a module. `require("name")` returns the code of
+   * a module that is already loaded, and `require(["a", "b"], callback)` imports
+   * the modules and calls the callback with their code.
+   */
+  function createRequire(manager, getDependency) {
+    return function require(names, callback, errback) {
+      if (Utils.isString(names)) {
+        return getDependency(names);
+      }
+
+      manager.import(names).then(function(codes) {
+        if (callback) {
+          callback.apply(root, codes);
+        }
+      }, function(error) {
+        if (errback) {
+          errback(error);
+        }
+        else {
+          Utils.reportError(error);
+        }
+      });
+    };
+  }
+
+
+  module.exports = AmdCompiler;
+})(typeof(window) !== "undefined" ? window : this);
@@ -0,0 +1,268 @@
+(function(root) {
+  "use strict";
+
+  var Promise         = require("../promise");
+  var Utils           = require("../utils");
+  var Path            = require("../path");
+  var AbortController = require("../abort");
+
+  // Content types for extensions, for sniffing the content type of responses
+  // that don't have a specific one.
+  var ContentTypes = {
+    ".js"   : "application/javascript",
+    ".jsx"  : "application/javascript",
+    ".mjs"  : "application/javascript",
+    ".json" : "application/json",
+    ".css"  : "text/css",
+    ".html" : "text/html",
+    ".htm"  : "text/html",
+    ".txt"  : "text/plain"
+  };
+
+  // Content types that don't say anything useful about the content
+  var GenericContentTypes = ["", "text/plain", "application/octet-stream"];
+
+
+  /**
+   * Fetcher that loads module files over HTTP(S) with XMLHttpRequest. It loads
+   * `moduleMeta.path` relative to `baseUrl`, and sets `source` along with the
+   * `url` of the response after redirects and its `contentType`, so that
+   * plugins can match on them.
+   *
+   * Requests that fail because of the network, a timeout, or a `5xx` or `429`
+   * status are retried with exponential backoff. Requests for modules that have
+   * a `signal` are aborted when the import is cancelled.
+   *
+   * ``` javascript
+   * var fetcher = new Bitloader.BrowserFetcher({
+   *   baseUrl: "https://cdn.example.com/app/",
+   *   headers: {"Accept": "application/javascript"},
+   *   timeout: 10000
+   * });
+   *
+   * var bitloader = new Bitloader({
+   *   fetch: fetcher.fetch
+   * });
+   * ```
+   *
+   * @param {Object} [options={}]
+   * @param {string} [options.baseUrl] - URL relative paths are loaded from.
+   *  Without it, relative paths are loaded relative to the page.
+   * @param {Object} [options.headers] - Request headers
+   * @param {boolean} [options.credentials=false] - Send cookies and other
+   *  credentials with cross origin requests.
+   * @param {number} [options.timeout=0] - Milliseconds before a request is
+   *  aborted. `0` means no timeout.
+   * @param {number} [options.retries=2] - Max number of times a request is
+   *  retried.
+   * @param {number} [options.retryDelay=100] - Milliseconds to wait before the
+   *  first retry, which doubles with each retry.
+   */
+  function BrowserFetcher(options) {
+    options = options || {};
+
+    this.settings = {
+      baseUrl     : options.baseUrl || "",
+      headers     : options.headers || {},
+      credentials : !!options.credentials,
+      timeout     : options.timeout || 0,
+      retries     : options.hasOwnProperty("retries") ? options.retries : 2,
+      retryDelay  : options.hasOwnProperty("retryDelay") ? options.retryDelay : 100
+    };
+
+    // Bound so that it can be used as the `fetch` hook of a loader
+    this.fetch = this.fetch.bind(this);
+  }
+
+
+  /**
+   * Loads the file for a module meta
+   *
+   * @param {Module.Meta} moduleMeta - Module meta with the `path` to load
+   *
+   * @returns {Promise} Resolved with `{source, url, contentType}`, rejected
+   *  with a TypeError that has the `status` of the response when the request
+   *  fails, or with an AbortError when `moduleMeta.signal` is aborted.
+   */
+  BrowserFetcher.prototype.fetch = function(moduleMeta) {
+    if (!moduleMeta.path) {
+      return Promise.reject(new TypeError("Module `" + moduleMeta.name + "` does not have a path to fetch"));
+    }
+
+    return this.request(this.getUrl(moduleMeta.path), 0, moduleMeta.signal);
+  };
+
+
+  /**
+   * Gets the URL for a path, which is relative to `baseUrl` unless the path is
+   * absolute.
+   */
+  BrowserFetcher.prototype.getUrl = function(path) {
+    var baseUrl = this.settings.baseUrl;
+    return baseUrl && !Path.isAbsolute(path) ? Path.join(baseUrl, path) : path;
+  };
+
+
+  /**
+   * Makes the request for a URL, and retries it if it fails with an error
+   * that can be retried.
+   *
+   * @param {string} url - URL to load
+   * @param {number} attempt - Number of retries so far
+   * @param {AbortSignal} [signal] - Signal for aborting the request and any
+   *  pending retry
+   *
+   * @returns {Promise}
+   */
+  BrowserFetcher.prototype.request = function(url, attempt, signal) {
+    var fetcher  = this;
+    var settings = fetcher.settings;
+
+    function requestFailed(error) {
+      if (!error.retryable || attempt >= settings.retries) {
+        throw error;
+      }
+
+      return delay(settings.retryDelay * Math.pow(2, attempt), signal).then(function() {
+        return fetcher.request(url, attempt + 1, signal);
+      }, Utils.forwardError);
+    }
+
+    return send(url, settings, signal).then(function requestFinished(result) {
+      return result;
+    }, requestFailed);
+  };
+
+
+  function send(url, settings, signal) {
+    return new Promise(function(resolve, reject) {
+      if (signal && signal.aborted) {
+        reject(AbortController.createAbortError());
+        return;
+      }
+
+      var xhr = new root.XMLHttpRequest();
+      var done = false, timer;
+
+      function finish(error, result) {
+        if (done) {
+          return;
+        }
+
+        done = true;
+        root.clearTimeout(timer);
+
+        if (signal) {
+          signal.removeEventListener("abort", onAbort);
+        }
+
+        return error ? reject(error) : resolve(result);
+      }
+
+      function onAbort() {
+        finish(AbortController.createAbortError());
+        xhr.abort();
+      }
+
+      xhr.open("GET", url, true);
+      xhr.withCredentials = settings.credentials;
+
+      Object.keys(settings.headers).forEach(function(header) {
+        xhr.setRequestHeader(header, settings.headers[header]);
+      });
+
+      xhr.onreadystatechange = function() {
+        if (xhr.readyState !== 4 || done) {
+          return;
+        }
+
+        if (xhr.status >= 200 && xhr.status < 300) {
+          var responseUrl = xhr.responseURL || url;
+
+          finish(null, {
+            source      : xhr.responseText,
+            url         : responseUrl,
+            contentType : getContentType(xhr.getResponseHeader("Content-Type"), responseUrl)
+          });
+        }
+        else {
+          finish(createError("Unable to fetch `" + url + "`. Status " + xhr.status, xhr.status, xhr.status === 0 || xhr.status === 429 || xhr.status >= 500));
+        }
+      };
+
+      if (settings.timeout) {
+        timer = root.setTimeout(function() {
+          finish(createError("Unable to fetch `" + url + "`. Timed out after " + settings.timeout + "ms", 0, true));
+          xhr.abort();
+        }, settings.timeout);
+      }
+
+      if (signal) {
+        signal.addEventListener("abort", onAbort);
+      }
+
+      xhr.send();
+    });
+  }
+
+
+  /**
+   * Waits before retrying a request. The wait is cut short and rejected with an
+   * AbortError when the signal is aborted.
+   */
+  function delay(milliseconds, signal) {
+    return new Promise(function(resolve, reject) {
+      if (signal && signal.aborted) {
+        reject(AbortController.createAbortError());
+        return;
+      }
+
+      var timer = root.setTimeout(function() {
+        if (signal) {
+          signal.removeEventListener("abort", onAbort);
+        }
+
+        resolve();
+      }, milliseconds);
+
+      function onAbort() {
+        signal.removeEventListener("abort", onAbort);
+        root.clearTimeout(timer);
+        reject(AbortController.createAbortError());
+      }
+
+      if (signal) {
+        signal.addEventListener("abort", onAbort);
+      }
+    });
+  }
+
+
+  /**
+   * Gets the content type without parameters like `charset`. When it is
+   * missing or generic, the content type is sniffed from the extension in the
+   * URL.
+   */
+  function getContentType(header, url) {
+    var contentType = (header || "").split(";")[0].trim().toLowerCase();
+
+    if (GenericContentTypes.indexOf(contentType) !== -1) {
+      var extension = Path.extname(url.split(/[?#]/)[0]).toLowerCase();
+      return ContentTypes[extension] || contentType;
+    }
+
+    return contentType;
+  }
+
+
+  function createError(message, status, retryable) {
+    var error = new TypeError(message);
+    error.status    = status;
+    error.retryable = retryable;
+    return error;
+  }
+
+
+  BrowserFetcher.getContentType = getContentType;
+  module.exports = BrowserFetcher;
+})(typeof(window) !== "undefined" ? window : this);
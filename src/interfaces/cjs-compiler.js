@@ -0,0 +1,100 @@
+(function() {
+  "use strict";
+
+  var Utils     = require("../utils");
+  var Module    = require("../module");
+  var Path      = require("../path");
+  var SourceMap = require("../source-map");
+
+
+  /**
+   * Compiler for CommonJS modules. The source of the module is wrapped in a
+   * `function(module, exports, require, __filename, __dirname)`, which becomes
+   * the factory of the module. The linker calls the factory once all the
+   * dependencies are linked, and `module.exports` is the module code.
+   *
+   * `require` only loads modules that are in the `deps` of the module, which
+   * are already loaded by the time the module is linked, so it gets the code
+   * synchronously with `manager.getModuleCode`.
+   *
+   * ``` javascript
+   * var bitloader = new Bitloader();
+   * bitloader.compile = new Bitloader.CjsCompiler(bitloader).compile;
+   * ```
+   *
+   * @param {Bitloader} manager - Loader modules are required from
+   */
+  function CjsCompiler(manager) {
+    if (!manager) {
+      throw new TypeError("Must provide a manager");
+    }
+
+    this.manager = manager;
+
+    // Bound so that it can be used as the `compile` hook of a loader
+    this.compile = this.compile.bind(this);
+  }
+
+
+  /**
+   * Creates the factory for a module meta
+   *
+   * @param {Module.Meta} moduleMeta - Module meta with the `source` to compile
+   *
+   * @returns {{factory: Function}}
+   */
+  CjsCompiler.prototype.compile = function(moduleMeta) {
+    var manager  = this.manager;
+    var deps     = (moduleMeta.deps || []).slice(0);
+    var filename = moduleMeta.path || moduleMeta.name;
+    var dirname  = Path.dirname(filename);
+    var wrapper  = evaluate(moduleMeta);
+
+    function factory() {
+      var linked  = arguments;
+      var _module = {
+        id       : moduleMeta.name,
+        filename : filename,
+        exports  : {}
+      };
+
+      function require(name) {
+        var id    = Module.Meta.canonicalName(name, moduleMeta);
+        var index = deps.indexOf(id);
+
+        if (index === -1) {
+          throw new TypeError("Module `" + name + "` is not a dependency of `" + moduleMeta.name + "`");
+        }
+
+        // Dependencies in a circular dependency are not done linking, so all
+        // there is for them is the partial exports the linker passes in.
+        return manager.isModuleCached(id) ? manager.getModuleCode(id) : linked[index];
+      }
+
+      wrapper.call(_module.exports, _module, _module.exports, require, filename, dirname);
+      return _module.exports;
+    }
+
+    return {
+      factory: factory
+    };
+  };
+
+
+  /**
+   * Creates the function the source of the module is wrapped in. Syntax errors
+   * are thrown here, so they are reported as compile errors.
+   */
+  function evaluate(moduleMeta) {
+    if (!Utils.isString(moduleMeta.source)) {
+      throw new TypeError("Module `" + moduleMeta.name + "` does not have source to compile");
+    }
+
+    /* jshint -W054 */
+    return new Function("module", "exports", "require", "__filename", "__dirname", SourceMap.appendComments(moduleMeta));
+    /* jshint +W054 */
+  }
+
+
+  module.exports = CjsCompiler;
+})();
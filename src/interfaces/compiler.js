@@ -1,12 +1,20 @@
 (function() {
   "use strict";
 
+  var SourceMap = require("../source-map");
+
   function Compiler() {
   }
 
+
+  /**
+   * Default compiler, which uses the source as the module code. When the module
+   * has a source map, `sourceURL` and inline `sourceMappingURL` comments are
+   * appended so that evaluating the code points back to the original sources.
+   */
   Compiler.prototype.compile = function(moduleMeta) {
     return {
-      code: moduleMeta.source
+      code: moduleMeta.sourceMap ? SourceMap.appendComments(moduleMeta) : moduleMeta.source
     };
   };
 
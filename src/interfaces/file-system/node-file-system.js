@@ -0,0 +1,77 @@
+(function() {
+  "use strict";
+
+  var fs      = require("fs");
+  var path    = require("path");
+  var Promise = require("../../promise");
+
+
+  /**
+   * File system for the NodeResolver that reads from disk. This file system
+   * is only available in nodejs.
+   *
+   * @param {Object} [options={}]
+   * @param {string} [options.encoding="utf8"] - Encoding for reading files
+   */
+  function NodeFileSystem(options) {
+    options = options || {};
+    this.encoding = options.encoding || "utf8";
+  }
+
+
+  /**
+   * Gets the current working directory, which is where names without a parent
+   * module are resolved from.
+   */
+  NodeFileSystem.prototype.cwd = function() {
+    return path.resolve(".");
+  };
+
+
+  /**
+   * Checks if there is a file at `path`
+   *
+   * @returns {Promise} Resolved with `true` if the file exists
+   */
+  NodeFileSystem.prototype.isFile = function(path) {
+    return new Promise(function(resolve) {
+      fs.stat(path, function(err, stats) {
+        resolve(!err && stats.isFile());
+      });
+    });
+  };
+
+
+  /**
+   * Reads the file at `path`
+   *
+   * @returns {Promise} Resolved with the content of the file
+   */
+  NodeFileSystem.prototype.readFile = function(path) {
+    var encoding = this.encoding;
+
+    return new Promise(function(resolve, reject) {
+      fs.readFile(path, encoding, function(err, content) {
+        return err ? reject(err) : resolve(content);
+      });
+    });
+  };
+
+
+  /**
+   * Watches the file at `path` for changes
+   *
+   * @param {string} path - File to watch
+   * @param {Function} listener - Called when the file changes
+   *
+   * @returns {{close: Function}} Handle for closing the watcher
+   */
+  NodeFileSystem.prototype.watch = function(path, listener) {
+    return fs.watch(path, function() {
+      listener(path);
+    });
+  };
+
+
+  module.exports = NodeFileSystem;
+})();
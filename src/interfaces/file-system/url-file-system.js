@@ -0,0 +1,86 @@
+(function() {
+  "use strict";
+
+  var Promise = require("../../promise");
+
+
+  /**
+   * File system for the NodeResolver that reads files from a server with
+   * XMLHttpRequest, so that node modules can be resolved in the browser.
+   * Requests are cached because resolution probes the same paths many times.
+   */
+  function UrlFileSystem() {
+    this._requests = {};
+  }
+
+
+  /**
+   * Gets the directory of the current page, which is where names without a
+   * parent module are resolved from.
+   */
+  UrlFileSystem.prototype.cwd = function() {
+    return location.origin + location.pathname.replace(/[^\/]*$/, "");
+  };
+
+
+  /**
+   * Checks if there is a file at `url` with a `HEAD` request
+   *
+   * @returns {Promise} Resolved with `true` if the file exists
+   */
+  UrlFileSystem.prototype.isFile = function(url) {
+    var request = this.request("HEAD", url);
+
+    // Rejection handlers cannot turn a rejected promise into a resolved one, so
+    // we resolve a separate promise in both cases.
+    return new Promise(function(resolve) {
+      request.then(function isFileFinished() {
+        resolve(true);
+      }, function isFileFailed() {
+        resolve(false);
+      });
+    });
+  };
+
+
+  /**
+   * Reads the file at `url` with a `GET` request
+   *
+   * @returns {Promise} Resolved with the content of the file
+   */
+  UrlFileSystem.prototype.readFile = function(url) {
+    return this.request("GET", url);
+  };
+
+
+  UrlFileSystem.prototype.request = function(method, url) {
+    var key = method + " " + url;
+
+    if (!this._requests.hasOwnProperty(key)) {
+      this._requests[key] = new Promise(function(resolve, reject) {
+        var xhr = new XMLHttpRequest();
+        xhr.open(method, url, true);
+
+        xhr.onreadystatechange = function() {
+          if (xhr.readyState !== 4) {
+            return;
+          }
+
+          if (xhr.status >= 200 && xhr.status < 300) {
+            resolve(xhr.responseText);
+          }
+          else {
+            reject(new TypeError("Unable to request `" + url + "`. Status " + xhr.status));
+          }
+        };
+
+        xhr.send();
+      });
+    }
+
+    return this._requests[key];
+  };
+
+
+  module.exports = UrlFileSystem;
+})();
@@ -0,0 +1,146 @@
+(function() {
+  "use strict";
+
+  var nodeFs  = require("fs");
+  var path    = require("path");
+  var Promise = require("../promise");
+
+
+  /**
+   * Fetcher that reads module files from disk. It reads `moduleMeta.path`,
+   * and records the absolute `filename` along with the `mtime` and `size` of
+   * the file in the module meta so that caching and watching can tell when the
+   * file changes. This fetcher is only available in nodejs.
+   *
+   * Reads are limited to `concurrency` at a time, and reads that fail because
+   * there are too many open files (`EMFILE`) are retried.
+   *
+   * ``` javascript
+   * var fetcher = new Bitloader.NodeFetcher({baseDir: __dirname});
+   *
+   * var bitloader = new Bitloader({
+   *   fetch: fetcher.fetch
+   * });
+   * ```
+   *
+   * @param {Object} [options={}]
+   * @param {Object} [options.fs] - File system with the `stat(path, callback)`
+   *  and `readFile(path, encoding, callback)` methods of the nodejs `fs`
+   *  module. Defaults to the `fs` module.
+   * @param {string} [options.baseDir] - Directory relative paths are read
+   *  from. Defaults to the current working directory.
+   * @param {string} [options.encoding="utf8"] - Encoding for reading files
+   * @param {number} [options.concurrency=32] - Max number of files read at the
+   *  same time.
+   * @param {number} [options.retries=5] - Max number of times a read is
+   *  retried when it fails with `EMFILE`.
+   * @param {number} [options.retryDelay=10] - Milliseconds to wait before a
+   *  retry, which grows with each retry.
+   */
+  function NodeFetcher(options) {
+    options = options || {};
+
+    this.fs       = options.fs || nodeFs;
+    this.settings = {
+      baseDir     : path.resolve(options.baseDir || "."),
+      encoding    : options.encoding || "utf8",
+      concurrency : options.concurrency || 32,
+      retries     : options.hasOwnProperty("retries") ? options.retries : 5,
+      retryDelay  : options.hasOwnProperty("retryDelay") ? options.retryDelay : 10
+    };
+
+    this.active = 0;
+    this.queue  = [];
+
+    // Bound so that it can be used as the `fetch` hook of a loader
+    this.fetch = this.fetch.bind(this);
+  }
+
+
+  /**
+   * Reads the file for a module meta
+   *
+   * @param {Module.Meta} moduleMeta - Module meta with the `path` to read
+   *
+   * @returns {Promise} Resolved with `{source, filename, mtime, size}`, where
+   *  `filename` is the absolute path of the file that was read and `mtime` is
+   *  its modification time in milliseconds.
+   */
+  NodeFetcher.prototype.fetch = function(moduleMeta) {
+    if (!moduleMeta.path) {
+      return Promise.reject(new TypeError("Module `" + moduleMeta.name + "` does not have a path to fetch"));
+    }
+
+    return this.readFile(path.resolve(this.settings.baseDir, moduleMeta.path));
+  };
+
+
+  /**
+   * Reads a file when there is room under the concurrency limit
+   *
+   * @param {string} file - Absolute path of the file
+   *
+   * @returns {Promise} Resolved with `{source, filename, mtime, size}`
+   */
+  NodeFetcher.prototype.readFile = function(file) {
+    var fetcher = this;
+
+    return new Promise(function(resolve, reject) {
+      fetcher.queue.push(function() {
+        readWithRetries(fetcher, file, 0, function(err, result) {
+          fetcher.active--;
+          runQueue(fetcher);
+          return err ? reject(err) : resolve(result);
+        });
+      });
+
+      runQueue(fetcher);
+    });
+  };
+
+
+  function runQueue(fetcher) {
+    while (fetcher.queue.length && fetcher.active < fetcher.settings.concurrency) {
+      fetcher.active++;
+      fetcher.queue.shift()();
+    }
+  }
+
+
+  function readWithRetries(fetcher, file, attempt, callback) {
+    read(fetcher.fs, file, fetcher.settings.encoding, function(err, result) {
+      if (err && err.code === "EMFILE" && attempt < fetcher.settings.retries) {
+        return setTimeout(function() {
+          readWithRetries(fetcher, file, attempt + 1, callback);
+        }, fetcher.settings.retryDelay * (attempt + 1));
+      }
+
+      callback(err, result);
+    });
+  }
+
+
+  function read(fs, file, encoding, callback) {
+    fs.stat(file, function(err, stats) {
+      if (err) {
+        return callback(err);
+      }
+
+      fs.readFile(file, encoding, function(err, source) {
+        if (err) {
+          return callback(err);
+        }
+
+        callback(null, {
+          source   : source,
+          filename : file,
+          mtime    : stats.mtime.getTime(),
+          size     : stats.size
+        });
+      });
+    });
+  }
+
+
+  module.exports = NodeFetcher;
+})();
@@ -0,0 +1,507 @@
+(function() {
+  "use strict";
+
+  var Promise        = require("../promise");
+  var Utils          = require("../utils");
+  var Path           = require("../path");
+  var NodeFileSystem = require("./file-system/node-file-system");
+  var UrlFileSystem  = require("./file-system/url-file-system");
+
+
+  /**
+   * Resolver that implements the nodejs module resolution algorithm. Relative
+   * names are resolved against the path of the parent module, and bare names
+   * are looked up in `node_modules` directories walking up from the parent
+   * module. Packages are resolved with the `exports`, `browser` and `main`
+   * fields in their `package.json`, and files are probed with `extensions`.
+   *
+   * The file system is abstracted so that the same algorithm works in nodejs
+   * against the disk and in the browser against a URL base.
+   *
+   * ``` javascript
+   * var resolver = new Bitloader.NodeResolver({base: "/app"});
+   *
+   * var bitloader = new Bitloader({
+   *   resolve: resolver.resolve
+   * });
+   * ```
+   *
+   * @param {Object} [options={}]
+   * @param {Object} [options.fs] - File system with `isFile(path)` and
+   *  `readFile(path)` methods that return promises. Defaults to the disk in
+   *  nodejs and to XMLHttpRequest in the browser.
+   * @param {string} [options.base] - Directory or URL that names are resolved
+   *  against when there is no parent module. Defaults to `fs.cwd()`.
+   * @param {Array.<string>} [options.extensions=[".js", ".json"]] - Extensions
+   *  to probe when a path does not match a file.
+   * @param {boolean} [options.browser=false] - Adds the `browser` condition,
+   *  which is the same as setting it in `conditions`.
+   * @param {Array.<string>} [options.conditions=["require"]] - Conditions to
+   *  match in `exports`. `default` always matches. With the `browser`
+   *  condition, the `browser` field of packages is used as well.
+   * @param {string} [options.moduleDirectory="node_modules"] - Name of the
+   *  directories where packages are looked up.
+   */
+  function NodeResolver(options) {
+    options = options || {};
+
+    var fs = options.fs || (Utils.isFunction(NodeFileSystem) ? new NodeFileSystem() : new UrlFileSystem());
+    var conditions = (options.conditions || ["require"]).slice(0);
+
+    if (options.browser && conditions.indexOf("browser") === -1) {
+      conditions.push("browser");
+    }
+
+    this.fs       = fs;
+    this.packages = {};
+    this.settings = {
+      base            : options.base || (fs.cwd ? fs.cwd() : "/"),
+      extensions      : options.extensions || [".js", ".json"],
+      conditions      : conditions,
+      moduleDirectory : options.moduleDirectory || "node_modules"
+    };
+
+    // Bound so that it can be used as the `resolve` hook of a loader
+    this.resolve = this.resolve.bind(this);
+  }
+
+
+  /**
+   * Resolves the path of a module. The conditions of the loader, which are in
+   * `moduleMeta.env`, are added to the conditions of the resolver.
+   *
+   * @param {Module.Meta} moduleMeta - Module meta with the `name` to resolve
+   * @param {Module.Meta} [parentMeta] - Module meta of the module that imports
+   *  the module being resolved. Relative names are resolved against it.
+   *
+   * @returns {Promise} Resolved with `{path}`, rejected with a TypeError if
+   *  the module cannot be found. Modules replaced with `false` in a `browser`
+   *  field resolve to an empty module, which has `source` and `code` already.
+   */
+  NodeResolver.prototype.resolve = function(moduleMeta, parentMeta) {
+    var name       = moduleMeta.name;
+    var baseDir    = parentMeta && parentMeta.path ? Path.dirname(parentMeta.path) : this.settings.base;
+    var conditions = this.getConditions(moduleMeta.env);
+
+    return this.resolvePath(name, baseDir, conditions).then(function resolveFinished(path) {
+      if (path === false) {
+        return {
+          path   : name,
+          source : "",
+          code   : {}
+        };
+      }
+
+      if (!path) {
+        throw new TypeError("Cannot find module `" + name + "` from `" + baseDir + "`");
+      }
+
+      return {
+        path: path
+      };
+    }, Utils.forwardError);
+  };
+
+
+  /**
+   * Gets the conditions of the resolver along with the conditions in `env`
+   *
+   * @param {Array.<string>} [env] - Conditions of the loader
+   *
+   * @returns {Array.<string>}
+   */
+  NodeResolver.prototype.getConditions = function(env) {
+    var conditions = this.settings.conditions;
+
+    return !env ? conditions : conditions.concat(env.filter(function(condition) {
+      return conditions.indexOf(condition) === -1;
+    }));
+  };
+
+
+  /**
+   * Resolves a module name against a directory. With the `browser` condition,
+   * replacements in the `browser` field of packages are applied.
+   *
+   * @param {string} name - Module name, which can be relative, absolute or bare
+   * @param {string} baseDir - Directory relative names are resolved against
+   * @param {Array.<string>} [conditions] - Conditions to match
+   *
+   * @returns {Promise} Resolved with the path, with `false` if the module is
+   *  replaced with an empty module, or with `undefined` if nothing is found.
+   */
+  NodeResolver.prototype.resolvePath = function(name, baseDir, conditions) {
+    var resolver = this;
+    var browser;
+    var resolving;
+
+    conditions = conditions || resolver.settings.conditions;
+    browser    = conditions.indexOf("browser") !== -1;
+
+    if (Path.isRelative(name) || Path.isAbsolute(name)) {
+      resolving = resolver.resolveFileOrDirectory(Path.join(baseDir, name), conditions);
+    }
+    else if (browser) {
+      resolving = resolver.findBrowserReplacement(name, baseDir).then(function(replacement) {
+        if (!replacement) {
+          return resolver.resolveNodeModules(name, baseDir, conditions);
+        }
+
+        return replacement.target === false ? false : resolver.resolvePath(replacement.target, replacement.directory, conditions);
+      }, Utils.forwardError);
+    }
+    else {
+      resolving = resolver.resolveNodeModules(name, baseDir, conditions);
+    }
+
+    return resolving.then(function(path) {
+      return path && browser ? resolver.replaceBrowserFile(path, conditions) : path;
+    }, Utils.forwardError);
+  };
+
+
+  /**
+   * Probes `path` as a file and then as a directory
+   */
+  NodeResolver.prototype.resolveFileOrDirectory = function(path, conditions) {
+    var resolver = this;
+
+    return resolver.resolveFile(path).then(function(file) {
+      return file || resolver.resolveDirectory(path, conditions);
+    }, Utils.forwardError);
+  };
+
+
+  /**
+   * Probes `path` as is and then with each of the extensions
+   */
+  NodeResolver.prototype.resolveFile = function(path) {
+    var fs = this.fs;
+
+    var candidates = [path].concat(this.settings.extensions.map(function(extension) {
+      return path + extension;
+    }));
+
+    return findFirst(candidates, function(candidate) {
+      return Promise.resolve(fs.isFile(candidate)).then(function(isFile) {
+        return isFile ? candidate : null;
+      }, Utils.forwardError);
+    });
+  };
+
+
+  /**
+   * Resolves a directory with its `package.json` if it has one, or with its
+   * `index` file otherwise.
+   */
+  NodeResolver.prototype.resolveDirectory = function(directory, conditions) {
+    var resolver = this;
+
+    return resolver.readPackage(directory).then(function(pkg) {
+      var main = pkg && getPackageMain(pkg, conditions || resolver.settings.conditions);
+
+      if (!main) {
+        return resolver.resolveFile(Path.join(directory, "index"));
+      }
+
+      return resolver.resolveFileOrDirectory(Path.join(directory, main), conditions).then(function(file) {
+        return file || resolver.resolveFile(Path.join(directory, "index"));
+      }, Utils.forwardError);
+    }, Utils.forwardError);
+  };
+
+
+  /**
+   * Looks up a bare name in the `node_modules` directories from `baseDir` all
+   * the way up to the root. Just like in nodejs, packages with `exports` are
+   * resolved with it, and other names are probed as files before they are
+   * probed as directories.
+   */
+  NodeResolver.prototype.resolveNodeModules = function(name, baseDir, conditions) {
+    var resolver    = this;
+    var parts       = splitPackageName(name);
+    var directories = getModuleDirectories(baseDir, resolver.settings.moduleDirectory);
+
+    conditions = conditions || resolver.settings.conditions;
+
+    return findFirst(directories, function(directory) {
+      var packageDir = Path.join(directory, parts.name);
+
+      return resolver.readPackage(packageDir).then(function(pkg) {
+        if (pkg && pkg.exports !== undefined) {
+          var target = resolveExports(pkg.exports, parts.subpath, conditions);
+
+          if (!target) {
+            throw new TypeError("Package subpath `" + parts.subpath + "` is not exported by `" + packageDir + "`");
+          }
+
+          return resolver.resolveFile(Path.join(packageDir, target));
+        }
+
+        return resolver.resolveFileOrDirectory(Path.join(packageDir, parts.subpath), conditions);
+      }, Utils.forwardError);
+    });
+  };
+
+
+  /**
+   * Finds the replacement for a bare name in the `browser` field of the
+   * package that `baseDir` is in.
+   *
+   * @returns {Promise} Resolved with `{target, directory}` where target is the
+   *  replacement name or `false`, or with `null` if there is no replacement.
+   */
+  NodeResolver.prototype.findBrowserReplacement = function(name, baseDir) {
+    return this.findPackage(baseDir).then(function(found) {
+      var browser = found && found.pkg.browser;
+
+      if (!Utils.isPlainObject(browser) || !browser.hasOwnProperty(name) || browser[name] === name) {
+        return null;
+      }
+
+      return {
+        target    : browser[name],
+        directory : found.directory
+      };
+    }, Utils.forwardError);
+  };
+
+
+  /**
+   * Replaces a file with the file it maps to in the `browser` field of the
+   * package the file is in.
+   *
+   * @returns {Promise} Resolved with the path of the replacement, with `false`
+   *  if the file is replaced with an empty module, or with `path` when there
+   *  is no replacement.
+   */
+  NodeResolver.prototype.replaceBrowserFile = function(path, conditions) {
+    var resolver = this;
+
+    return resolver.findPackage(Path.dirname(path)).then(function(found) {
+      var browser = found && found.pkg.browser;
+
+      if (!Utils.isPlainObject(browser)) {
+        return path;
+      }
+
+      var key = Object.keys(browser).filter(function(key) {
+        if (!Path.isRelative(key)) {
+          return false;
+        }
+
+        var file = Path.join(found.directory, key);
+        return file === path || file + Path.extname(path) === path;
+      })[0];
+
+      if (!key || browser[key] === key) {
+        return path;
+      }
+
+      if (browser[key] === false) {
+        return false;
+      }
+
+      return resolver.resolveFileOrDirectory(Path.join(found.directory, browser[key]), conditions).then(function(file) {
+        return file || path;
+      }, Utils.forwardError);
+    }, Utils.forwardError);
+  };
+
+
+  /**
+   * Finds the closest `package.json` walking up from `directory`
+   *
+   * @returns {Promise} Resolved with `{pkg, directory}` or with `null`
+   */
+  NodeResolver.prototype.findPackage = function(directory) {
+    var resolver = this;
+
+    return resolver.readPackage(directory).then(function(pkg) {
+      if (pkg) {
+        return {
+          pkg       : pkg,
+          directory : directory
+        };
+      }
+
+      var parent = Path.dirname(directory);
+      return parent === directory ? null : resolver.findPackage(parent);
+    }, Utils.forwardError);
+  };
+
+
+  /**
+   * Reads and parses the `package.json` in a directory. Results are cached, and
+   * directories without a `package.json` resolve to `null`.
+   */
+  NodeResolver.prototype.readPackage = function(directory) {
+    var fs   = this.fs;
+    var file = Path.join(directory, "package.json");
+
+    if (!this.packages.hasOwnProperty(file)) {
+      this.packages[file] = Promise.resolve(fs.isFile(file)).then(function(isFile) {
+        return isFile ? Promise.resolve(fs.readFile(file)).then(parsePackage, Utils.forwardError) : null;
+      }, Utils.forwardError);
+    }
+
+    return this.packages[file];
+
+    function parsePackage(content) {
+      try {
+        return Utils.isString(content) ? JSON.parse(content) : content;
+      }
+      catch(ex) {
+        throw new TypeError("Unable to parse `" + file + "`. " + ex.message);
+      }
+    }
+  };
+
+
+  /**
+   * Gets the entry point of a package. A `browser` field that is a string takes
+   * precedence over `main` with the `browser` condition. Replacements in a
+   * `browser` field that is an object are applied to the resolved file.
+   */
+  function getPackageMain(pkg, conditions) {
+    if (Utils.isString(pkg.browser) && conditions.indexOf("browser") !== -1) {
+      return pkg.browser;
+    }
+
+    return pkg.main;
+  }
+
+
+  /**
+   * Resolves a subpath with the `exports` field of a package
+   *
+   * @param {string | Array | Object} exports - `exports` field
+   * @param {string} subpath - Subpath starting with `.`
+   * @param {Array.<string>} conditions - Conditions to match
+   *
+   * @returns {string | null} Target relative to the package directory
+   */
+  function resolveExports(exports, subpath, conditions) {
+    var isSubpathMap = Utils.isPlainObject(exports) && Object.keys(exports).some(function(key) {
+      return key[0] === ".";
+    });
+
+    var map = isSubpathMap ? exports : {".": exports};
+
+    if (map.hasOwnProperty(subpath)) {
+      return resolveTarget(map[subpath], conditions, null);
+    }
+
+    // Patterns like `./features/*`. The longest matching prefix wins.
+    var pattern = Object.keys(map)
+      .filter(function(key) {
+        var index = key.indexOf("*");
+        return index !== -1 && subpath.indexOf(key.substr(0, index)) === 0 && subpath.length >= key.length - 1 && endsWith(subpath, key.substr(index + 1));
+      })
+      .sort(function(a, b) {
+        return b.indexOf("*") - a.indexOf("*");
+      })[0];
+
+    if (pattern) {
+      var index = pattern.indexOf("*");
+      var match = subpath.substr(index, subpath.length - pattern.length + 1);
+      return resolveTarget(map[pattern], conditions, match);
+    }
+
+    return null;
+  }
+
+
+  function resolveTarget(target, conditions, match) {
+    if (Utils.isString(target)) {
+      return match === null ? target : target.replace(/\*/g, match);
+    }
+
+    if (Utils.isArray(target)) {
+      for (var i = 0; i < target.length; i++) {
+        var resolved = resolveTarget(target[i], conditions, match);
+        if (resolved) {
+          return resolved;
+        }
+      }
+    }
+    else if (target && Utils.isPlainObject(target)) {
+      var keys = Object.keys(target);
+
+      for (var j = 0; j < keys.length; j++) {
+        if (keys[j] === "default" || conditions.indexOf(keys[j]) !== -1) {
+          var result = resolveTarget(target[keys[j]], conditions, match);
+          if (result) {
+            return result;
+          }
+        }
+      }
+    }
+
+    return null;
+  }
+
+
+  /**
+   * Splits a bare name into the package name and the subpath in the package.
+   * Scoped packages have the scope as part of the name.
+   */
+  function splitPackageName(name) {
+    var segments = name.split("/");
+    var length   = name[0] === "@" ? 2 : 1;
+
+    return {
+      name    : segments.slice(0, length).join("/"),
+      subpath : ["."].concat(segments.slice(length)).join("/")
+    };
+  }
+
+
+  /**
+   * Gets all the module directories from `directory` up to the root, skipping
+   * directories that are already module directories.
+   */
+  function getModuleDirectories(directory, moduleDirectory) {
+    var directories = [];
+    var current = Path.normalize(directory);
+
+    while (true) {
+      if (current.split("/").pop() !== moduleDirectory) {
+        directories.push(Path.join(current, moduleDirectory));
+      }
+
+      var parent = Path.dirname(current);
+      if (parent === current || current === ".") {
+        break;
+      }
+
+      current = parent;
+    }
+
+    return directories;
+  }
+
+
+  /**
+   * Runs `test` on each item in sequence, and resolves with the first result
+   * that is not empty.
+   */
+  function findFirst(items, test) {
+    return items.reduce(function(promise, item) {
+      return promise.then(function(result) {
+        return result || test(item);
+      }, Utils.forwardError);
+    }, Promise.resolve(null));
+  }
+
+
+  function endsWith(value, suffix) {
+    return value.length >= suffix.length && value.substr(value.length - suffix.length) === suffix;
+  }
+
+
+  NodeResolver.NodeFileSystem = NodeFileSystem;
+  NodeResolver.UrlFileSystem  = UrlFileSystem;
+  NodeResolver.resolveExports = resolveExports;
+  module.exports = NodeResolver;
+})();
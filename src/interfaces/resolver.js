@@ -1,10 +1,37 @@
 (function() {
   "use strict";
 
-  function Resolver() {
+  var NodeResolver = require("./node-resolver");
+
+
+  /**
+   * Default resolver, which maps module names straight to paths. Loaders that
+   * are created with a file system in `options.fs` resolve modules with the
+   * nodejs algorithm instead, and `true` uses the disk in nodejs and
+   * XMLHttpRequest in the browser. See {@link NodeResolver}.
+   *
+   * @param {Object} [options={}]
+   * @param {Object | boolean} [options.fs] - File system for resolving modules
+   *  with a NodeResolver
+   */
+  function Resolver(options) {
+    options = options || {};
+
+    if (options.fs) {
+      this.nodeResolver = new NodeResolver({
+        fs: options.fs === true ? null : options.fs
+      });
+    }
+
+    // Bound so that it can be used as the `resolve` hook of a loader
+    this.resolve = this.resolve.bind(this);
   }
 
-  Resolver.prototype.resolve = function(moduleMeta /*, moduleParent*/) {
+  Resolver.prototype.resolve = function(moduleMeta, parentMeta) {
+    if (this.nodeResolver) {
+      return this.nodeResolver.resolve(moduleMeta, parentMeta);
+    }
+
     return {
       cname: moduleMeta.path,
       path: moduleMeta.name
@@ -0,0 +1,131 @@
+(function() {
+  "use strict";
+
+  var Utils     = require("../utils");
+  var Module    = require("../module");
+  var SourceMap = require("../source-map");
+
+
+  /**
+   * Compiler for modules in the System.register format, which is what Babel,
+   * TypeScript and Rollup output for SystemJS. The source of the module is
+   * evaluated with a `System` object, and every `System.register([name,] deps,
+   * declare)` call registers an ES module with [register]{@link Bitloader#register}.
+   * Anonymous registrations and registrations named after the module register
+   * the module itself, and other named registrations register modules that
+   * can be imported later on.
+   *
+   * Registered modules are linked as ES modules, so `declare` gets `_export`
+   * and a `_context` with `id`, `import` and `meta`. Async `execute` functions
+   * from modules with top-level await are supported.
+   *
+   * ``` javascript
+   * var bitloader = new Bitloader();
+   * bitloader.compile = new Bitloader.SystemCompiler(bitloader).compile;
+   * ```
+   *
+   * @param {Bitloader} manager - Loader modules are registered with
+   */
+  function SystemCompiler(manager) {
+    if (!manager) {
+      throw new TypeError("Must provide a manager");
+    }
+
+    this.manager = manager;
+
+    // Bound so that it can be used as the `compile` hook of a loader
+    this.compile = this.compile.bind(this);
+  }
+
+
+  /**
+   * Evaluates the source of a module meta and registers the modules in it.
+   * Sources that do not register the module itself compile to `undefined`.
+   *
+   * @param {Module.Meta} moduleMeta - Module meta with the `source` to compile
+   *
+   * @returns {Object} Empty object when the module is registered, or an object
+   *  with `code` otherwise.
+   */
+  SystemCompiler.prototype.compile = function(moduleMeta) {
+    var manager       = this.manager;
+    var loader        = manager.providers.loader;
+    var registrations = SystemCompiler.evaluate(moduleMeta);
+
+    var anonymous = registrations.filter(function(item) {
+      return !item.name;
+    });
+
+    if (anonymous.length > 1) {
+      throw new TypeError("Module `" + moduleMeta.name + "` has more than one anonymous System.register");
+    }
+
+    registrations.forEach(function(item) {
+      var name = item.name || moduleMeta.name;
+
+      // Modules that are already defined keep their first registration
+      if (!manager.hasModule(name) && !loader.hasModule(name)) {
+        manager.register(name, item.deps, item.declare, Module.Type.ESM);
+
+        // `_context.meta.url` is the path of the file the module came from
+        loader.getPending(name).path = moduleMeta.path;
+      }
+    });
+
+    return loader.isPending(moduleMeta.name) ? {} : {code: undefined};
+  };
+
+
+  /**
+   * Evaluates the source of a module meta with a `System` object, and collects
+   * the modules that are registered.
+   *
+   * @param {Module.Meta} moduleMeta - Module meta with the `source` to evaluate
+   *
+   * @returns {Array.<{name: string, deps: Array.<string>, declare: Function}>}
+   */
+  SystemCompiler.evaluate = function(moduleMeta) {
+    var registrations = [];
+
+    if (!Utils.isString(moduleMeta.source)) {
+      throw new TypeError("Module `" + moduleMeta.name + "` does not have source to compile");
+    }
+
+    var System = {
+      register: function(name, deps, declare) {
+        registrations.push(parseRegister(moduleMeta, name, deps, declare));
+      }
+    };
+
+    /* jshint -W054 */
+    (new Function("System", SourceMap.appendComments(moduleMeta)))(System);
+    /* jshint +W054 */
+
+    return registrations;
+  };
+
+
+  /**
+   * Sorts out the optional name of `System.register`
+   */
+  function parseRegister(moduleMeta, name, deps, declare) {
+    if (!Utils.isString(name)) {
+      declare = deps;
+      deps    = name;
+      name    = null;
+    }
+
+    if (!Utils.isArray(deps) || typeof(declare) !== "function") {
+      throw new TypeError("Module `" + moduleMeta.name + "` must call System.register with dependencies and a declare function");
+    }
+
+    return {
+      name    : name,
+      deps    : deps.slice(0),
+      declare : declare
+    };
+  }
+
+
+  module.exports = SystemCompiler;
+})();
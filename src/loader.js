@@ -1,17 +1,20 @@
 (function() {
   "use strict";
 
-  var Promise        = require("./promise");
-  var Module         = require("./module");
-  var Utils          = require("./utils");
-  var Pipeline       = require("./pipeline");
-  var Registry       = require("./registry");
-  var moduleLinker   = require("./module/linker");
-  var metaResolve    = require("./meta/resolve");
-  var metaFetch      = require("./meta/fetch");
-  var metaTransform  = require("./meta/transform");
-  var metaDependency = require("./meta/dependency");
-  var metaCompile    = require("./meta/compile");
+  var Promise         = require("./promise");
+  var Module          = require("./module");
+  var Utils           = require("./utils");
+  var Pipeline        = require("./pipeline");
+  var Registry        = require("./registry");
+  var Events          = require("./events");
+  var AbortController = require("./abort");
+  var ModuleError     = require("./module-error");
+  var moduleLinker    = require("./module/linker");
+  var metaResolve     = require("./meta/resolve");
+  var metaFetch       = require("./meta/fetch");
+  var metaTransform   = require("./meta/transform");
+  var metaDependency  = require("./meta/dependency");
+  var metaCompile     = require("./meta/compile");
 
   var getRegistryId = Registry.idGenerator("loader");
 
@@ -56,6 +59,14 @@
     this.manager = manager;
     this.context = Registry.getById(getRegistryId());
 
+    // Module meta objects that are currently going through the pipeline. Used
+    // for finding circular dependencies between modules that are loading.
+    this.fetching = {};
+
+    // Registered modules that are loading their dependencies to be built. Used
+    // for sharing builds and for finding circular dependencies between them.
+    this.building = {};
+
     // Setup the pipeline
     this.pipeline = new Pipeline([
       metaFetch.pipeline,
@@ -87,12 +98,20 @@
    * link module
    *
    * @param {string} name - The name of the module to load.
+   * @param {Module.Meta} [parentMeta] - Module meta requesting the module
+   * @param {Object} [options] - Load options
+   * @param {AbortSignal} [options.signal] - Signal for cancelling the load.
+   *  Aborting it rejects the load and removes the module meta objects that were
+   *  loading or loaded for it.
+   *
+   * Failures emit an `error` event, except for loads that were aborted.
    *
    * @returns {Promise} - Promise that will resolve to a Module instance
    */
-  Loader.prototype.load = function(name, parentMeta) {
+  Loader.prototype.load = function(name, parentMeta, options) {
     var loader  = this,
-        manager = this.manager;
+        manager = this.manager,
+        signal  = getSignal(parentMeta, options);
 
     if (!name) {
       return Promise.reject(new TypeError("Must provide the name of the module to load"));
@@ -100,7 +119,7 @@
 
     // Take a look if the module is already loaded
     if (manager.hasModule(name)) {
-      return Promise.resolve(manager.getModule(name));
+      return Promise.resolve(whenEvaluated(manager.getModule(name)));
     }
 
     // Check if the module is fetched or registered
@@ -112,9 +131,35 @@
       return loader.asyncBuild(name);
     }
 
+    function waitForDependencies() {
+      return AbortController.abortable(loader._waitForDependencies(name), signal);
+    }
+
+    function loadFinished(mod) {
+      return mod;
+    }
+
+    function loadFailed(error) {
+      if (AbortController.isAbortError(error)) {
+        if (signal) {
+          loader._clearAborted(signal);
+        }
+      }
+      else {
+        Events.emit(manager, "error", {
+          name  : name,
+          error : error
+        });
+      }
+
+      return error;
+    }
+
     return loader
-      .fetch(name, parentMeta)
-      .then(build, Utils.forwardError);
+      .fetch(name, parentMeta, options)
+      .then(waitForDependencies, Utils.forwardError)
+      .then(build, Utils.forwardError)
+      .then(loadFinished, loadFailed);
   };
 
 
@@ -127,41 +172,151 @@
    * module meta objects to instances of Module.
    *
    * @param {string} name - The name of the module to fetch
+   * @param {Module.Meta} [parentMeta] - Module meta requesting the module. Its
+   *  signal, if it has one, is used when `options.signal` is not provided.
+   * @param {Object} [options] - Fetch options
+   * @param {AbortSignal} [options.signal] - Signal for cancelling the fetch
+   * @param {string} [options.priority] - Priority of the module in the fetch
+   *  scheduler. One of `high`, `normal` or `low`. See {@link Scheduler}.
+   *
    * @returns {Promise}
    */
-  Loader.prototype.fetch = function(name, parentMeta) {
+  Loader.prototype.fetch = function(name, parentMeta, options) {
     var loader  = this,
-        manager = this.manager;
+        manager = this.manager,
+        signal  = getSignal(parentMeta, options);
 
     if (!name) {
       return Promise.reject(new TypeError("Must provide the name of the module to fetch"));
     }
 
+    if (signal && signal.aborted) {
+      return Promise.reject(AbortController.createAbortError());
+    }
+
     // Take a look if the module is already loaded
     if (manager.hasModule(name)) {
       return Promise.resolve();
     }
 
-    // Check if the module is being fetched
+    // Registered modules load their dependencies when they are built
+    if (loader.isPending(name)) {
+      return Promise.resolve();
+    }
+
+    // Check if the module is being fetched. The fetch is started over if the
+    // caller that started it aborts.
     if (loader.isLoading(name)) {
-      return loader.getLoading(name);
+      return AbortController.join(parentMeta ? loader._fetchLoading(name, parentMeta) : loader.getLoading(name), signal, function() {
+        return loader.fetch(name, parentMeta, options);
+      });
     }
 
 
+    var fetchingMeta;
+
     function moduleMetaPipeline(moduleMeta) {
+      AbortController.throwIfAborted(signal);
+
+      if (options && options.priority) {
+        moduleMeta.priority = options.priority;
+      }
+
+      fetchingMeta = moduleMeta;
+      loader.fetching[moduleMeta.name] = moduleMeta;
       return loader.runPipeline(moduleMeta);
     }
 
     function moduleMetaFinished(moduleMeta) {
+      // Fetch plugins that do not honor the signal can finish after the fetch
+      // was aborted, so we make sure not to register the module meta.
+      AbortController.throwIfAborted(signal);
+      delete loader.fetching[moduleMeta.name];
       return loader.setLoaded(moduleMeta.name, moduleMeta);
     }
 
+    function fetchFinished(moduleMeta) {
+      return moduleMeta;
+    }
+
+    function fetchFailed(error) {
+      clearFetching();
+      return fetchAborted(error);
+    }
+
+    function fetchAborted(error) {
+      if (AbortController.isAbortError(error)) {
+        clearFetching();
+
+        if (loader.isLoading(name) && loader.getLoading(name) === loading) {
+          loader.deleteModule(name);
+        }
+      }
+
+      return error;
+    }
+
+    // Module metas that failed or were aborted are not fetching anymore, so they
+    // must not show up when looking for circular dependencies.
+    function clearFetching() {
+      if (fetchingMeta && loader.fetching[fetchingMeta.name] === fetchingMeta) {
+        delete loader.fetching[fetchingMeta.name];
+      }
+    }
+
     var loading = loader
-      ._resolveModuleMeta(name, parentMeta)
+      ._resolveModuleMeta(name, parentMeta, signal)
       .then(moduleMetaPipeline, Utils.printError)
-      .then(moduleMetaFinished, Utils.printError);
+      .then(moduleMetaFinished, Utils.printError)
+      .then(fetchFinished, fetchFailed);
+
+    // Other callers wait on the fetch in the loader, so only the promise that
+    // is returned is rejected right away when the signal is aborted.
+    loader.setLoading(name, loading);
+    return AbortController.abortable(loading, signal)
+      .then(fetchFinished, fetchAborted);
+  };
+
+
+  /**
+   * Finds the chain of dependencies that leads from the module `name` back to
+   * the module `parentName`. Only modules that are currently going through the
+   * pipeline are traversed, because those are the only ones that can be waiting
+   * on each other.
+   *
+   * @param {string} name - Name of the module being requested.
+   * @param {string} parentName - Name of the module requesting `name`.
+   * @param {Object} [items] - Map of module names to items with `deps` to
+   *  search. Defaults to the module metas that are being fetched.
+   *
+   * @returns {Array.<string>} Names of the modules in the circular dependency,
+   *  starting and ending with `parentName`. Undefined if there is no circular
+   *  dependency.
+   */
+  Loader.prototype.findCircularPath = function(name, parentName, items) {
+    var fetching = items || this.fetching;
+    var visited  = {};
+
+    function traverse(name, path) {
+      if (name === parentName) {
+        return path.concat(name);
+      }
 
-    return loader.setLoading(name, loading);
+      if (visited[name] || !fetching.hasOwnProperty(name)) {
+        return;
+      }
+
+      visited[name] = true;
+
+      var i, length, result, deps = fetching[name].deps;
+      for (i = 0, length = deps.length; i < length; i++) {
+        if ((result = traverse(deps[i], path.concat(name)))) {
+          return result;
+        }
+      }
+    }
+
+    return traverse(name, [parentName]);
   };
 
 
@@ -193,6 +348,11 @@
    * is being loaded and it calls System.register to register itself, then it needs to be handled
    * as an async step because that could be loading other dependencies.
    *
+   * Registered modules that depend on a module that is building and waiting on them are in a
+   * circular dependency. They are not linked on their own, but with the module that closes the
+   * cycle, so that the linker gives them the exports of that module as they are at that point.
+   * With `strictCircular`, circular dependencies are rejected with a `LinkError` instead.
+   *
    * @param {string} name - Name of the target Module
    *
    * @returns {Promise}
@@ -205,20 +365,33 @@
       mod = loader._compileModuleMeta(name);
     }
     else if (loader.manager.hasModule(name)) {
-      return Promise.resolve(loader.manager.getModule(name));
+      return Promise.resolve(whenEvaluated(loader.manager.getModule(name)));
     }
 
     // If the module evaluation didn't register a new module, then we return whatever
     // was produced.
     if (!loader.isPending(name)) {
-      return Promise.resolve(loader._linkModule(mod));
+      return Promise.resolve(whenEvaluated(loader._linkModule(mod)));
+    }
+
+    // Registered modules can be built by several imports at once
+    if (loader.building.hasOwnProperty(name)) {
+      return loader.building[name].promise;
     }
 
     // Right here is where we handle dynamic registration of modules while are being loaded.
-    // E.g. System.register to register a module that's being loaded
-    return metaDependency.pipeline(loader.manager, loader.deleteModule(name))
+    // E.g. System.register to register a module that's being loaded. The module stays
+    // registered while its dependencies load so that they don't fetch it again.
+    var building = loader.building[name] = {
+      deps: []
+    };
+
+    building.promise = metaDependency.pipeline(loader.manager, loader.getPending(name))
       .then(buildDependencies, Utils.forwardError)
-      .then(linkModuleMeta, Utils.forwardError);
+      .then(linkModuleMeta, Utils.forwardError)
+      .then(buildFinished, buildFailed);
+
+    return building.promise;
 
 
     //
@@ -226,8 +399,20 @@
     //
 
     function buildDependencies(moduleMeta) {
+      building.deps = moduleMeta.deps;
+
       var pending = moduleMeta.deps.map(function buildDependency(moduleName) {
-        return loader.asyncBuild(moduleName);
+        var path = loader.findCircularPath(moduleName, name, loader.building);
+
+        if (!path) {
+          return loader.asyncBuild(moduleName);
+        }
+
+        if (loader.manager.settings && loader.manager.settings.strictCircular) {
+          return Promise.reject(new ModuleError.LinkError(moduleMeta, new TypeError("Circular dependency detected: " + path.join(" -> "))));
+        }
+
+        building.circular = true;
       });
 
       return Promise.all(pending)
@@ -237,25 +422,52 @@
     }
 
     function linkModuleMeta(moduleMeta) {
-      return loader._linkModule(new Module(moduleMeta));
+      loader.deleteModule(name);
+
+      // The module that closes the cycle builds this one synchronously when it
+      // is linked, so the module meta is left for it as loaded.
+      if (building.circular) {
+        loader.setLoaded(name, moduleMeta);
+        return;
+      }
+
+      return whenEvaluated(loader._linkModule(new Module(moduleMeta)));
+    }
+
+    function buildFinished(mod) {
+      delete loader.building[name];
+      return mod;
+    }
+
+    function buildFailed(error) {
+      delete loader.building[name];
+
+      if (loader.isPending(name)) {
+        loader.deleteModule(name);
+      }
+
+      return error;
     }
   };
 
 
   /**
-   * Interface to register a module meta that can be put compiled to a Module instance
+   * Interface to register a module meta that can be put compiled to a Module instance.
+   * ES modules are registered with their `declare` function as the factory.
    */
   Loader.prototype.register = function(name, deps, factory, type) {
     if (this.manager.hasModule(name) || this.hasModule(name)) {
       throw new TypeError("Module '" + name + "' is already loaded");
     }
 
-    this.setPending(name, {
-      name    : name,
-      deps    : deps,
-      factory : factory,
-      type    : type
-    });
+    var moduleMeta = {
+      name : name,
+      deps : deps,
+      type : type
+    };
+
+    moduleMeta[type === Module.Type.ESM ? "declare" : "factory"] = factory;
+    this.setPending(name, moduleMeta);
   };
 
 
@@ -303,6 +515,120 @@
   };
 
 
+  /**
+   * Handles requests for a module that is already loading. If the module that is
+   * loading is directly or indirectly waiting on the parent module, then waiting
+   * on it would never finish; so the circular dependency is left for the linker
+   * to resolve. Unless `strictCircular` is enabled, in which case circular
+   * dependencies are rejected.
+   *
+   * @param {string} name - Name of the module that is loading
+   * @param {Module.Meta} parentMeta - Module meta requesting the module
+   *
+   * @returns {Promise}
+   */
+  Loader.prototype._fetchLoading = function(name, parentMeta) {
+    var path = this.findCircularPath(name, parentMeta.name);
+
+    if (!path) {
+      return this.getLoading(name);
+    }
+
+    if (this.manager.settings && this.manager.settings.strictCircular) {
+      return Promise.reject(new TypeError("Circular dependency detected: " + path.join(" -> ")));
+    }
+
+    return Promise.resolve();
+  };
+
+
+  /**
+   * Waits for all the dependencies of a module to finish loading. Modules in a
+   * circular dependency do not wait on each other, so a module can finish loading
+   * before all of its dependencies do.
+   *
+   * @param {string} name - Name of the module whose dependencies to wait on
+   *
+   * @returns {Promise}
+   */
+  Loader.prototype._waitForDependencies = function(name) {
+    var loader  = this;
+    var loading = [];
+    var visited = {};
+
+    function traverse(name) {
+      if (visited[name] || loader.manager.isModuleCached(name)) {
+        return;
+      }
+
+      visited[name] = true;
+
+      if (loader.isLoading(name)) {
+        loading.push(loader.getLoading(name));
+      }
+
+      loader._getDependencies(name).forEach(traverse);
+    }
+
+    function dependenciesLoaded() {
+      return loader._waitForDependencies(name);
+    }
+
+    traverse(name);
+
+    if (!loading.length) {
+      return Promise.resolve();
+    }
+
+    // Dependencies that finish loading can bring in new dependencies, so we
+    // check again until there is nothing left loading.
+    return Promise.all(loading).then(dependenciesLoaded, Utils.forwardError);
+  };
+
+
+  /**
+   * Removes the module meta objects that were loaded with a signal that has been
+   * aborted. Module meta objects that are still loading remove themselves once
+   * they see the signal was aborted.
+   *
+   * @param {AbortSignal} signal - Signal that was aborted
+   */
+  Loader.prototype._clearAborted = function(signal) {
+    var loader = this;
+
+    loader.context.getModuleNames().forEach(function(name) {
+      if (loader.isLoaded(name) && loader.getLoaded(name).signal === signal) {
+        loader.deleteModule(name);
+      }
+    });
+  };
+
+
+  /**
+   * Gets the names of the dependencies of a module meta that is loading, loaded
+   * or pending.
+   *
+   * @param {string} name - Name of the module meta
+   *
+   * @returns {Array.<string>}
+   */
+  Loader.prototype._getDependencies = function(name) {
+    var moduleMeta;
+
+    if (this.fetching.hasOwnProperty(name)) {
+      moduleMeta = this.fetching[name];
+    }
+    else if (this.isLoaded(name)) {
+      moduleMeta = this.getLoaded(name);
+    }
+    else if (this.isPending(name)) {
+      moduleMeta = this.getPending(name);
+    }
+
+    return (moduleMeta && moduleMeta.deps) || [];
+  };
+
+
   /**
    * Method that converts module names to a module meta objects that is then fetched,
    * fed through the pipeline, and eventually built into a Module instance.
@@ -310,11 +636,12 @@
    * @param {string} name - Module name for which to build the module meta for.
    * @param {Module.Meta} parentMeta - Is the module meta object that is initiating the
    *   current transaction
+   * @param {AbortSignal} [signal] - Signal for cancelling the current transaction
    *
    * @returns {Promise} When resolved, a module meta instance is returned
    */
-  Loader.prototype._resolveModuleMeta = function(name, parentMeta) {
-    return metaResolve.resolve(this.manager, name, parentMeta);
+  Loader.prototype._resolveModuleMeta = function(name, parentMeta, signal) {
+    return metaResolve.resolve(this.manager, name, parentMeta, signal);
   };
 
 
@@ -544,5 +871,29 @@
   };
 
 
+  /**
+   * Gets the signal for cancelling a load, which is inherited from the parent
+   * module meta when one is not provided.
+   */
+  function getSignal(parentMeta, options) {
+    return (options && options.signal) || (parentMeta && parentMeta.signal) || null;
+  }
+
+
+  /**
+   * ES modules with top-level await are linked before they finish evaluating,
+   * so builds wait for them in order to resolve with modules that are ready.
+   */
+  function whenEvaluated(mod) {
+    if (mod && mod.esModule && mod.esModule.evaluating) {
+      return mod.esModule.evaluating.then(function() {
+        return mod;
+      }, Utils.forwardError);
+    }
+
+    return mod;
+  }
+
+
   module.exports = Loader;
 })();
@@ -4,6 +4,8 @@
   var runPipeline = require("./runPipeline");
   var Promise     = require("../promise");
   var Module      = require("../module");
+  var ModuleError = require("../module-error");
+  var Events      = require("../events");
   var Utils       = require("../utils");
   var logger      = require("../logger").factory("Meta/Compiler");
 
@@ -14,7 +16,7 @@
 
   /**
    * Runs compiler pipeline to give plugins a chances to compile the meta module
-   * if one is registered.
+   * if one is registered. Emits a `compile` event.
    */
   MetaCompile.pipeline = function(manager, moduleMeta) {
     logger.log(moduleMeta.name, moduleMeta);
@@ -23,17 +25,23 @@
       return Promise.resolve(moduleMeta);
     }
 
+    var start   = Utils.now();
+    var plugins = [];
+
     function compilationFinished() {
+      Events.emit(manager, "compile", Events.createPayload(moduleMeta, start, plugins));
       return moduleMeta;
     }
 
-    return runPipeline(manager.pipelines.compile, moduleMeta)
-      .then(compilationFinished, Utils.forwardError);
+    return runPipeline(manager.pipelines.compile, moduleMeta, plugins)
+      .then(compilationFinished, ModuleError.createHandler(ModuleError.CompileError, moduleMeta));
   };
 
 
   /**
    * The compile step is to convert the moduleMeta to an instance of Module.
+   *
+   * @throws {CompileError} When the module meta cannot be compiled
    */
   MetaCompile.compile = function(manager, moduleMeta) {
     logger.log(moduleMeta.name, moduleMeta);
@@ -42,13 +50,19 @@
       return Promise.resolve();
     }
 
-    if (Module.Meta.canCompile(moduleMeta)) {
-      moduleMeta.configure(manager.compile(moduleMeta));
-    }
-
     var mod;
-    if (Module.Meta.isCompiled(moduleMeta)) {
-      mod = new Module(moduleMeta);
+
+    try {
+      if (Module.Meta.canCompile(moduleMeta)) {
+        moduleMeta.configure(manager.compile(moduleMeta));
+      }
+
+      if (Module.Meta.isCompiled(moduleMeta)) {
+        mod = new Module(moduleMeta);
+      }
+    }
+    catch(ex) {
+      throw ModuleError.wrap(ModuleError.CompileError, moduleMeta, ex);
     }
 
     if (mod) {
@@ -4,6 +4,8 @@
   var runPipeline = require("./runPipeline");
   var Promise     = require("../promise");
   var Module      = require("../module");
+  var ModuleError = require("../module-error");
+  var Events      = require("../events");
   var Utils       = require("../utils");
   var logger      = require("../logger").factory("Meta/Dependency");
 
@@ -13,7 +15,9 @@
 
 
   /**
-   * Runs dependency pipeline to load up all dependencies for the module
+   * Runs dependency pipeline to load up all dependencies for the module. Emits
+   * a `dependency` event when the dependencies of the module are known, which
+   * is before they are loaded.
    *
    * @returns {Function} callback to call with the Module instance with the
    *   dependencies to be resolved
@@ -25,7 +29,20 @@
       return Promise.resolve(moduleMeta);
     }
 
+    var start   = Utils.now();
+    var plugins = [];
+
     function dependenciesFinished() {
+      if (moduleMeta.deps) {
+        moduleMeta.deps = moduleMeta.deps.map(function(dep) {
+          return Module.Meta.canonicalName(dep, moduleMeta);
+        });
+      }
+
+      var payload = Events.createPayload(moduleMeta, start, plugins);
+      payload.deps = (moduleMeta.deps || []).slice(0);
+      Events.emit(manager, "dependency", payload);
+
       // Return if the module has no dependencies
       if (Module.Meta.hasDependencies(moduleMeta)) {
         return loadDependencies(manager, moduleMeta);
@@ -34,7 +51,22 @@
       return moduleMeta;
     }
 
-    return runPipeline(manager.pipelines.dependency, moduleMeta)
+    function saveCache() {
+      if (manager.cache) {
+        return manager.cache.save(moduleMeta);
+      }
+    }
+
+    // Module meta restored from the cache already has its dependencies, so
+    // all that is left is to load them.
+    if (moduleMeta.cached) {
+      return Promise.resolve(dependenciesFinished());
+    }
+
+    // Failures loading the dependencies are not wrapped because they are
+    // already reported by the dependencies themselves.
+    return runPipeline(manager.pipelines.dependency, moduleMeta, plugins)
+      .then(saveCache, ModuleError.createHandler(ModuleError.DependencyError, moduleMeta))
       .then(dependenciesFinished, Utils.forwardError);
   };
 
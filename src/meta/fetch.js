@@ -1,10 +1,14 @@
 (function() {
   "use strict";
 
-  var runPipeline = require("./runPipeline");
-  var Promise     = require("../promise");
-  var Utils       = require("../utils");
-  var logger      = require("../logger").factory("Meta/Fetch");
+  var runPipeline     = require("./runPipeline");
+  var Promise         = require("../promise");
+  var ModuleError     = require("../module-error");
+  var AbortController = require("../abort");
+  var Events          = require("../events");
+  var Scheduler       = require("../scheduler");
+  var Utils           = require("../utils");
+  var logger          = require("../logger").factory("Meta/Fetch");
 
 
   function MetaFetch() {
@@ -12,7 +16,8 @@
 
 
   /**
-   * Runs fetch pipeline to give plugins a chance to load the meta source
+   * Runs fetch pipeline to give plugins a chance to load the meta source.
+   * Emits `fetch:start` and `fetch:end` events.
    */
   MetaFetch.pipeline = function(manager, moduleMeta) {
     logger.log(moduleMeta.name, moduleMeta);
@@ -21,6 +26,40 @@
       return Promise.resolve(moduleMeta);
     }
 
+    return runFetch(manager, moduleMeta);
+  };
+
+
+  /**
+   * Fetch source using default fetch. When the manager has a scheduler, the
+   * call to `manager.fetch` waits for its turn in the scheduler so that only
+   * so many files are loaded at the same time. Only the fetch itself takes a
+   * slot; plugin handlers in the pipeline can import modules, and those
+   * imports would wait forever on slots held by the modules they are for.
+   */
+  MetaFetch.fetch = function(manager, moduleMeta) {
+    logger.log(moduleMeta.name, moduleMeta);
+
+    if (!canProcess(manager, moduleMeta)) {
+      return Promise.resolve(moduleMeta);
+    }
+
+    var fetchFailed = ModuleError.createHandler(ModuleError.FetchError, moduleMeta);
+    var fetching = schedule(manager, moduleMeta, function() {
+      return manager.fetch(moduleMeta);
+    });
+
+    return fetching
+      .then(function(meta) {
+        return moduleMeta.configure(meta);
+      }, fetchFailed);
+  };
+
+
+  function runFetch(manager, moduleMeta) {
+    var start   = Utils.now();
+    var plugins = [];
+
     function fetchFinished() {
       // If a pipeline item has added source to the module meta, then we
       // are done with this stage.  Otherwise, we will run the default
@@ -32,26 +71,44 @@
       return MetaFetch.fetch(manager, moduleMeta);
     }
 
-    return runPipeline(manager.pipelines.fetch, moduleMeta)
-      .then(fetchFinished, Utils.forwardError);
-  };
+    function fetchEnded() {
+      Events.emit(manager, "fetch:end", Events.createPayload(moduleMeta, start, plugins));
+      return moduleMeta;
+    }
 
+    Events.emit(manager, "fetch:start", {
+      name       : moduleMeta.name,
+      moduleMeta : moduleMeta,
+      start      : start
+    });
 
-  /**
-   * Fetch source using default fetch
-   */
-  MetaFetch.fetch = function(manager, moduleMeta) {
-    logger.log(moduleMeta.name, moduleMeta);
+    return runPipeline(manager.pipelines.fetch, moduleMeta, plugins)
+      .then(fetchFinished, ModuleError.createHandler(ModuleError.FetchError, moduleMeta))
+      .then(fetchEnded, Utils.forwardError);
+  }
 
-    if (!canProcess(manager, moduleMeta)) {
-      return Promise.resolve(moduleMeta);
+
+  function schedule(manager, moduleMeta, task) {
+    if (!manager.scheduler) {
+      return runTask(task);
     }
 
-    return Promise.resolve(manager.fetch(moduleMeta))
-      .then(function(meta) {
-        return moduleMeta.configure(meta);
-      }, Utils.reportError);
-  };
+    return manager.scheduler.schedule(function() {
+      // The import can be aborted while the module waits for its turn
+      AbortController.throwIfAborted(moduleMeta.signal);
+      return task();
+    }, Scheduler.getPriority(moduleMeta));
+  }
+
+
+  function runTask(task) {
+    try {
+      return Promise.resolve(task());
+    }
+    catch(ex) {
+      return Promise.reject(ex);
+    }
+  }
 
 
   function canProcess(manager, moduleMeta) {
@@ -1,33 +1,166 @@
 (function() {
   "use strict";
 
-  var Promise = require("../promise");
-  var Module  = require("../module");
-  var Utils   = require("../utils");
-  var logger  = require("../logger").factory("Meta/Resolve");
+  var runPipeline = require("./runPipeline");
+  var Promise     = require("../promise");
+  var Module      = require("../module");
+  var ModuleError = require("../module-error");
+  var Events      = require("../events");
+  var Utils       = require("../utils");
+  var logger      = require("../logger").factory("Meta/Resolve");
 
 
   function MetaResolve() {
   }
 
 
-  MetaResolve.resolve = function(manager, name, parentMeta) {
+  /**
+   * Creates a module meta object and runs it through the resolve pipeline, and
+   * then through the resolve hook if no plugin resolved the path. The name is
+   * remapped with the manager's resolve config and import map before that.
+   * Plugins can only match on `name` because the path is not known yet.
+   *
+   * @param {Bitloader} manager
+   * @param {string} name - Name of the module to resolve
+   * @param {Module.Meta} parentMeta - Module meta requesting the module
+   * @param {AbortSignal} [signal] - Signal for cancelling the import the module
+   *  is loaded for. It is set on the module meta so that all pipelines have it.
+   *
+   * @returns {Promise} That when resolved, the module meta is returned. Failures
+   *  are rejected with a `ResolveError`. Emits a `resolve` event.
+   */
+  MetaResolve.resolve = function(manager, name, parentMeta, signal) {
     logger.log(name);
 
     var moduleMeta = new Module.Meta(name);
 
-    return Promise.resolve(manager.resolve(moduleMeta, parentMeta))
-      .then(function(meta) {
-        meta = meta || {};
-        if (!meta.cname) {
-          meta.cname = meta.name || meta.path;
-        }
+    // Keep track of the module that is loading this one so that errors can
+    // tell how the module was reached.
+    if (parentMeta) {
+      moduleMeta.parentMeta = parentMeta;
+    }
 
-        delete meta.name;
-        return moduleMeta.configure(meta);
-      }, Utils.reportError);
+    if (signal) {
+      moduleMeta.signal = signal;
+    }
+
+    // Conditions of the environment the module is loaded for, which are used
+    // by resolvers and by plugins with `env` matching rules.
+    if (manager.conditions) {
+      moduleMeta.env = manager.conditions.slice(0);
+    }
+
+    var start     = Utils.now();
+    var plugins   = [];
+    var wrapError = ModuleError.createHandler(ModuleError.ResolveError, moduleMeta);
+
+    function resolveFailed(error) {
+      moduleMeta.name = name;
+      return wrapError(error);
+    }
+
+    // Names like `text!foo.html` route the resource to the plugins in the
+    // prefix. The resolve pipeline and hook get the resource name normalized
+    // by those plugins and remapped by the resolve config and the import map.
+    // The module meta keeps the original name, which is what the module is
+    // loaded as.
+    try {
+      var parsed = MetaResolve.parseName(name);
+
+      if (parsed.plugins.length) {
+        moduleMeta.plugins = parsed.plugins;
+      }
+
+      moduleMeta.name = remapName(manager, normalizeName(manager, parsed, parentMeta), parentMeta);
+    }
+    catch(ex) {
+      return Promise.reject(resolveFailed(ex));
+    }
+
+    // If a plugin in the resolve pipeline has set the path, then we are done
+    // with this stage. Otherwise, we will run the default resolve provider.
+    function pipelineFinished() {
+      if (moduleMeta.hasOwnProperty("path")) {
+        return {
+          cname : moduleMeta.cname,
+          path  : moduleMeta.path
+        };
+      }
+
+      return manager.resolve(moduleMeta, parentMeta);
+    }
+
+    function resolveFinished(meta) {
+      moduleMeta.name = name;
+
+      meta = meta || {};
+      if (!meta.cname) {
+        meta.cname = meta.name || meta.path;
+      }
+
+      delete meta.name;
+      moduleMeta.configure(meta);
+
+      Events.emit(manager, "resolve", Events.createPayload(moduleMeta, start, plugins));
+      return moduleMeta;
+    }
+
+    return runPipeline(manager.pipelines.resolve, moduleMeta, plugins)
+      .then(pipelineFinished, Utils.forwardError)
+      .then(resolveFinished, resolveFailed);
   };
 
 
+  /**
+   * Parses AMD style plugin prefixes in module names. Chained prefixes like
+   * `a!b!c` run the plugins from the innermost to the outermost, so the
+   * resource `c` is processed by plugin `b` and then by plugin `a`.
+   *
+   * @param {string} name - Module name
+   *
+   * @returns {{plugins: Array.<string>, resource: string}}
+   */
+  MetaResolve.parseName = function(name) {
+    var segments = name.split("!");
+
+    return {
+      plugins  : segments.slice(0, -1).reverse(),
+      resource : segments[segments.length - 1]
+    };
+  };
+
+
+  /**
+   * Gives the plugins in the prefix of a module name a chance to normalize the
+   * resource name.
+   */
+  function normalizeName(manager, parsed, parentMeta) {
+    return parsed.plugins.reduce(function(resource, pluginName) {
+      if (!manager.plugins || !manager.plugins.hasOwnProperty(pluginName)) {
+        throw new TypeError("Plugin `" + pluginName + "` is not registered");
+      }
+
+      return manager.plugins[pluginName].normalize(resource, parentMeta);
+    }, parsed.resource);
+  }
+
+
+  /**
+   * Remaps a module name with the RequireJS style config first, and then with
+   * the import map.
+   */
+  function remapName(manager, name, parentMeta) {
+    if (manager.resolveConfig) {
+      name = manager.resolveConfig.resolve(name, parentMeta && parentMeta.name);
+    }
+
+    if (manager.importMap) {
+      name = manager.importMap.resolve(name, parentMeta && parentMeta.path);
+    }
+
+    return name;
+  }
+
+
   module.exports = MetaResolve;
 })();
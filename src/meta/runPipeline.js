@@ -2,14 +2,48 @@
   "use strict";
 
   var Plugin = require("../plugin");
+  var Module = require("../module");
+  var Utils  = require("../utils");
 
-  function runPipeline(pipeline, moduleMeta) {
-    if (runPlugins(moduleMeta.plugins)) {
-      return pipeline.run(moduleMeta.plugins, moduleMeta, Plugin.createCanExecute(moduleMeta));
+  /**
+   * Runs the module meta through the plugins in the pipeline. Source maps that
+   * providers set directly in the module meta are composed with the source map
+   * the module meta had before the provider ran.
+   *
+   * @param {Middleware} pipeline - Pipeline to run
+   * @param {Module.Meta} moduleMeta - Module meta to process
+   * @param {Array.<string>} [handled] - When provided, the names of the plugins
+   *  that process the module meta are added to it.
+   *
+   * @returns {Promise}
+   */
+  function runPipeline(pipeline, moduleMeta, handled) {
+    var canExecute = Plugin.createCanExecute(moduleMeta);
+
+    function canExecuteProvider(provider) {
+      var result = canExecute(provider);
+
+      // Compose the source map the previous provider set before the next one
+      // runs
+      Module.Meta.composeSourceMap(moduleMeta);
+
+      if (result && handled && provider.name) {
+        handled.push(provider.name);
+      }
+
+      return result;
     }
-    else {
-      return pipeline.runAll(moduleMeta, Plugin.createCanExecute(moduleMeta));
+
+    function pipelineFinished(result) {
+      Module.Meta.composeSourceMap(moduleMeta);
+      return result;
     }
+
+    var running = runPlugins(moduleMeta.plugins) ?
+      pipeline.run(moduleMeta.plugins, moduleMeta, canExecuteProvider, moduleMeta.signal) :
+      pipeline.runAll(moduleMeta, canExecuteProvider, moduleMeta.signal);
+
+    return running.then(pipelineFinished, Utils.forwardError);
   }
 
   function runPlugins(plugins) {
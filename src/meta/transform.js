@@ -3,6 +3,8 @@
 
   var runPipeline = require("./runPipeline");
   var Promise     = require("../promise");
+  var ModuleError = require("../module-error");
+  var Events      = require("../events");
   var Utils       = require("../utils");
   var logger      = require("../logger").factory("Meta/Transform");
 
@@ -14,6 +16,9 @@
    * The transform enables transformation providers to process the moduleMeta
    * before it is compiled into an actual Module instance.  This is where steps
    * such as linting and processing coffee files can take place.
+   *
+   * Emits a `transform` event, which has a `cached` flag when the module meta
+   * was restored from the cache.
    */
   MetaTransform.pipeline = function(manager, moduleMeta) {
     logger.log(moduleMeta.name, moduleMeta);
@@ -22,12 +27,34 @@
       return Promise.resolve(moduleMeta);
     }
 
-    function transformationFinished() {
+    var start   = Utils.now();
+    var plugins = [];
+
+    function transformationFinished(cached) {
+      var payload = Events.createPayload(moduleMeta, start, plugins);
+      payload.cached = cached === true;
+
+      Events.emit(manager, "transform", payload);
       return moduleMeta;
     }
 
-    return runPipeline(manager.pipelines.transform, moduleMeta)
-      .then(transformationFinished, Utils.forwardError);
+    function runTransforms(cached) {
+      // Module meta restored from the cache is already transformed
+      if (cached) {
+        return transformationFinished(true);
+      }
+
+      return runPipeline(manager.pipelines.transform, moduleMeta, plugins)
+        .then(transformationFinished, ModuleError.createHandler(ModuleError.TransformError, moduleMeta));
+    }
+
+    if (!manager.cache || typeof(moduleMeta.source) !== "string") {
+      return runTransforms(false);
+    }
+
+    return manager.cache
+      .restore(moduleMeta)
+      .then(runTransforms, ModuleError.createHandler(ModuleError.TransformError, moduleMeta));
   };
 
 
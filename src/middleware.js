@@ -1,9 +1,11 @@
 (function() {
   "use strict";
 
-  var Promise = require("./promise");
-  var Utils   = require("./utils");
-  var logger  = require("./logger").factory("Middleware");
+  var Promise         = require("./promise");
+  var Utils           = require("./utils");
+  var AbortController = require("./abort");
+  var Events          = require("./events");
+  var logger          = require("./logger").factory("Middleware");
 
 
   /**
@@ -177,16 +179,19 @@
    * the order in which they were registered.
    *
    * @param {string | Array<string>} names - Name(s) of the providers to run
+   * @param {*} data - Data passed to the providers
+   * @param {Function} [canExecuteProvider] - Callback to check if a provider should run
+   * @param {AbortSignal} [signal] - Signal to cancel the sequence of providers
    *
    * @returns {Promise}
    */
-  Middleware.prototype.run = function(names, data, canExecuteProvider) {
+  Middleware.prototype.run = function(names, data, canExecuteProvider, signal) {
     if (data && !Utils.isArray(data)) {
       data = [data];
     }
 
     var providers = this.filterProviders(names);
-    return _runProviders(providers, data, canExecuteProvider);
+    return _runProviders(this, providers, data, canExecuteProvider, signal);
   };
 
 
@@ -195,16 +200,19 @@
    * the provider to be executed or an array of names to chose from.
    *
    * @param {string | Array<string>} names - Name(s) of the providers to run
+   * @param {*} data - Data passed to the providers
+   * @param {Function} [canExecuteProvider] - Callback to check if a provider should run
+   * @param {AbortSignal} [signal] - Signal to cancel the sequence of providers
    *
    * @returns {Promise}
    */
-  Middleware.prototype.runFirst = function(names, data, canExecuteProvider) {
+  Middleware.prototype.runFirst = function(names, data, canExecuteProvider, signal) {
     if (data && !Utils.isArray(data)) {
       data = [data];
     }
 
     var providers = this.filterProviders(names).shift();
-    return _runProviders(providers ? [providers] : [], data, canExecuteProvider);
+    return _runProviders(this, providers ? [providers] : [], data, canExecuteProvider, signal);
   };
 
 
@@ -212,14 +220,18 @@
    * Method to run all registered providers in the order in which they were
    * registered.
    *
+   * @param {*} data - Data passed to the providers
+   * @param {Function} [canExecuteProvider] - Callback to check if a provider should run
+   * @param {AbortSignal} [signal] - Signal to cancel the sequence of providers
+   *
    * @returns {Promise}
    */
-  Middleware.prototype.runAll = function(data, canExecuteProvider) {
+  Middleware.prototype.runAll = function(data, canExecuteProvider, signal) {
     if (data && !Utils.isArray(data)) {
       data = [data];
     }
 
-    return _runProviders(this.providers, data, canExecuteProvider);
+    return _runProviders(this, this.providers, data, canExecuteProvider, signal);
   };
 
 
@@ -329,19 +341,51 @@
    *
    * The only thing a provider can return is a promise, which is really useful
    * if the provider needs to do some work asynchronously.
+   *
+   * When a signal is provided and it is aborted, the sequence is rejected with
+   * an abort error before the next provider is executed.
+   *
+   * Errors from a named provider get a `provider` property with the name of the
+   * provider, so that it is possible to tell which provider failed.
+   *
+   * A `provider` event with the timing of each provider that runs is emitted in
+   * the middleware's manager.
    */
-  function _runProviders(providers, data, canExecuteProvider) {
+  function _runProviders(middleware, providers, data, canExecuteProvider, signal) {
+    var running, runningStart;
+
+    // A provider is done when the sequence moves on to the next step
+    function providerEnded() {
+      if (running) {
+        var end = Utils.now();
+        Events.emit(middleware.settings, "provider", {
+          provider : running.name,
+          data     : data,
+          start    : runningStart,
+          end      : end,
+          duration : end - runningStart
+        });
+      }
+
+      running = null;
+    }
+
     // Method that runs the sequence of providers
     function providerSequence(result, provider) {
       var cancelled = false;
 
       function providerSequenceRun(result) {
+        providerEnded();
+        AbortController.throwIfAborted(signal);
+
         if (result === false) {
           cancelled = true;
         }
 
         if (!cancelled) {
           if (!canExecuteProvider || (canExecuteProvider && canExecuteProvider(provider) !== false)) {
+            running = provider;
+            runningStart = Utils.now();
             return provider.execute(data);
           }
         }
@@ -355,7 +399,25 @@
       return result.then(providerSequenceRun, providerSequenceError);
     }
 
-    return providers.reduce(providerSequence, Promise.resolve());
+    function sequenceFinished(result) {
+      providerEnded();
+      return result;
+    }
+
+    // The sequence stops at the first failure, so the provider that is running
+    // is the one that failed.
+    function sequenceError(err) {
+      if (running && running.name && err && Utils.isObject(err) && !err.hasOwnProperty("provider")) {
+        err.provider = running.name;
+      }
+
+      providerEnded();
+      return err;
+    }
+
+    return providers
+      .reduce(providerSequence, Promise.resolve())
+      .then(sequenceFinished, sequenceError);
   }
 
 
@@ -0,0 +1,154 @@
+(function() {
+  "use strict";
+
+  var AbortController = require("./abort");
+
+  var Stage = {
+    RESOLVE    : "resolve",
+    FETCH      : "fetch",
+    TRANSFORM  : "transform",
+    DEPENDENCY : "dependency",
+    COMPILE    : "compile",
+    LINK       : "link"
+  };
+
+  var StageDescription = {
+    "resolve"    : "resolve",
+    "fetch"      : "fetch",
+    "transform"  : "transform",
+    "dependency" : "process the dependencies of",
+    "compile"    : "compile",
+    "link"       : "link"
+  };
+
+
+  /**
+   * Error for failures while loading a module. Besides the original error, it
+   * records the pipeline stage that failed, the plugin and handler that threw,
+   * and the chain of modules that lead to the failing module. So if module `c`
+   * fails to fetch, the chain is `entry -> a -> b -> c`.
+   *
+   * Each pipeline stage has its own error type, which are `ResolveError`,
+   * `FetchError`, `TransformError`, `DependencyError`, `CompileError`, and
+   * `LinkError`.
+   *
+   * @param {string} stage - Pipeline stage where the error happened
+   * @param {Module.Meta | Module} moduleMeta - Module that failed to load
+   * @param {Error} [cause] - Original error
+   */
+  function ModuleError(stage, moduleMeta, cause) {
+    var causeMessage = cause && cause.message ? cause.message : String(cause);
+
+    this.stage      = stage;
+    this.moduleName = moduleMeta.name;
+    this.chain      = ModuleError.getChain(moduleMeta);
+    this.cause      = cause;
+    this.plugin     = cause && cause.provider;
+    this.handler    = cause && cause.handler;
+    this.message    = createMessage(this, causeMessage);
+    this.stack      = this.name + ": " + this.message + (cause && cause.stack ? "\nCaused by: " + cause.stack : "");
+  }
+
+
+  ModuleError.prototype = Object.create(Error.prototype);
+  ModuleError.prototype.constructor = ModuleError;
+  ModuleError.prototype.name = "ModuleError";
+
+
+  /**
+   * Gets the names of the modules that lead to loading the module, starting
+   * with the module that was imported and ending with the module itself.
+   *
+   * @param {Module.Meta | Module} moduleMeta
+   *
+   * @returns {Array.<string>}
+   */
+  ModuleError.getChain = function(moduleMeta) {
+    var chain = [];
+    var current = moduleMeta.meta || moduleMeta;
+
+    while (current && chain.indexOf(current.name) === -1) {
+      chain.unshift(current.name);
+      current = current.parentMeta;
+    }
+
+    return chain;
+  };
+
+
+  /**
+   * Wraps an error in the error type for a pipeline stage. Errors that are
+   * already module errors are returned as is so that they keep the stage and
+   * chain of the module where they happened. Aborted operations are not
+   * failures, so those are not wrapped either.
+   *
+   * @param {Function} ErrorType - Error type to wrap the error in
+   * @param {Module.Meta | Module} moduleMeta - Module that failed to load
+   * @param {Error} error - Error to wrap
+   *
+   * @returns {ModuleError}
+   */
+  ModuleError.wrap = function(ErrorType, moduleMeta, error) {
+    if (error instanceof ModuleError || AbortController.isAbortError(error)) {
+      return error;
+    }
+
+    return new ErrorType(moduleMeta, error);
+  };
+
+
+  /**
+   * Creates a rejection handler that wraps errors in the error type for a
+   * pipeline stage.
+   *
+   * @param {Function} ErrorType - Error type to wrap errors in
+   * @param {Module.Meta | Module} moduleMeta - Module that is being processed
+   *
+   * @returns {Function}
+   */
+  ModuleError.createHandler = function(ErrorType, moduleMeta) {
+    return function moduleErrorHandler(error) {
+      return ModuleError.wrap(ErrorType, moduleMeta, error);
+    };
+  };
+
+
+  function createErrorType(name, stage) {
+    function StageError(moduleMeta, cause) {
+      ModuleError.call(this, stage, moduleMeta, cause);
+    }
+
+    StageError.prototype = Object.create(ModuleError.prototype);
+    StageError.prototype.constructor = StageError;
+    StageError.prototype.name = name;
+    return StageError;
+  }
+
+
+  function createMessage(error, causeMessage) {
+    var message = "Unable to " + StageDescription[error.stage] + " module `" + error.moduleName + "`";
+
+    if (error.chain.length > 1) {
+      message += " (" + error.chain.join(" -> ") + ")";
+    }
+
+    if (error.plugin && error.handler) {
+      message += " in `" + error.plugin + ":" + error.handler + "`";
+    }
+    else if (error.plugin || error.handler) {
+      message += " in `" + (error.plugin || error.handler) + "`";
+    }
+
+    return message + ": " + causeMessage;
+  }
+
+
+  ModuleError.Stage           = Stage;
+  ModuleError.ResolveError    = createErrorType("ResolveError", Stage.RESOLVE);
+  ModuleError.FetchError      = createErrorType("FetchError", Stage.FETCH);
+  ModuleError.TransformError  = createErrorType("TransformError", Stage.TRANSFORM);
+  ModuleError.DependencyError = createErrorType("DependencyError", Stage.DEPENDENCY);
+  ModuleError.CompileError    = createErrorType("CompileError", Stage.COMPILE);
+  ModuleError.LinkError       = createErrorType("LinkError", Stage.LINK);
+  module.exports = ModuleError;
+})();
@@ -1,13 +1,16 @@
 (function() {
   "use strict";
 
-  var Utils = require("./utils");
+  var Utils     = require("./utils");
+  var Path      = require("./path");
+  var SourceMap = require("./source-map");
 
   var Type = {
     "UNKNOWN" : "UNKNOWN",
     "AMD"     : "AMD",     //Asynchronous Module Definition
     "CJS"     : "CJS",     //CommonJS
-    "IIFE"    : "IIFE"     //Immediately-Invoked Function Expression
+    "IIFE"    : "IIFE",    //Immediately-Invoked Function Expression
+    "ESM"     : "ESM"      //ECMAScript Module
   };
 
 
@@ -24,7 +27,12 @@
       this.factory = options.factory;
     }
 
-    this.type     = options.type || Type.UNKNOWN;
+    if (options.hasOwnProperty("declare")) {
+      this.declare    = options.declare;
+      this.exportStar = options.exportStar ? options.exportStar.slice(0) : [];
+    }
+
+    this.type     = options.type || (this.declare ? Type.ESM : Type.UNKNOWN);
     this.name     = options.name;
     this.deps     = options.deps ? options.deps.slice(0) : [];
     this.settings = Utils.extend({}, options);
@@ -55,9 +63,73 @@
   }
 
 
+  /**
+   * Updates the module meta with the options. When the module meta already has
+   * a source map and the options have a new one, the new source map is composed
+   * with the existing one so that it maps all the way back to the original
+   * sources. This is how transforms chain their source maps.
+   */
   Meta.prototype.configure = function(options) {
+    Meta.composeSourceMap(this);
+
+    if (options && options.sourceMap && this.sourceMap && options.sourceMap !== this.sourceMap) {
+      options = Utils.extend({}, options, {
+        sourceMap: SourceMap.compose(options.sourceMap, this.sourceMap)
+      });
+    }
+
     Utils.extend(this, options);
-    return this;
+    return Meta.setSourceMap(this, this.sourceMap);
+  };
+
+
+  /**
+   * Composes the source map of a module meta with the source map it had
+   * before, when a transform replaced it without going through `configure`.
+   * For example, by assigning `moduleMeta.sourceMap` directly. Pipelines call
+   * this after every handler so that each source map is composed once.
+   *
+   * @param {Module.Meta} moduleMeta
+   *
+   * @returns {Module.Meta}
+   */
+  Meta.composeSourceMap = function(moduleMeta) {
+    var composed = moduleMeta.composedSourceMap;
+
+    if (moduleMeta.sourceMap === composed) {
+      return moduleMeta;
+    }
+
+    if (composed && moduleMeta.sourceMap) {
+      moduleMeta.sourceMap = SourceMap.compose(moduleMeta.sourceMap, composed);
+    }
+
+    return Meta.setSourceMap(moduleMeta, moduleMeta.sourceMap);
+  };
+
+
+  /**
+   * Sets the source map of a module meta without composing it with the one it
+   * already has, such as when restoring a source map that is already composed.
+   *
+   * @param {Module.Meta} moduleMeta
+   * @param {string | Object} sourceMap
+   *
+   * @returns {Module.Meta}
+   */
+  Meta.setSourceMap = function(moduleMeta, sourceMap) {
+    if (moduleMeta.sourceMap !== sourceMap) {
+      moduleMeta.sourceMap = sourceMap;
+    }
+
+    // Not enumerable so that it is left out when module metas are copied
+    Object.defineProperty(moduleMeta, "composedSourceMap", {
+      value        : sourceMap,
+      writable     : true,
+      configurable : true
+    });
+
+    return moduleMeta;
   };
 
 
@@ -78,7 +150,7 @@
 
 
   Meta.isCompiled = function(moduleMeta) {
-    return moduleMeta.hasOwnProperty("code") || typeof(moduleMeta.factory) === "function";
+    return moduleMeta.hasOwnProperty("code") || typeof(moduleMeta.factory) === "function" || typeof(moduleMeta.declare) === "function";
   };
 
 
@@ -87,6 +159,27 @@
   };
 
 
+  /**
+   * Gets the name a dependency is loaded and registered as. Relative names are
+   * joined with the directory of the module that depends on them, so that
+   * `./util` required from `src/x` and from `lib/y` are two different modules.
+   * Other names are used as they are.
+   *
+   * @param {string} name - Name of the dependency
+   * @param {Module.Meta} [parentMeta] - Module meta that depends on `name`.
+   *  Its path is used as the directory, or its name if it has no path.
+   *
+   * @returns {string}
+   */
+  Meta.canonicalName = function(name, parentMeta) {
+    if (!parentMeta || !Utils.isString(name) || !Path.isRelative(name)) {
+      return name;
+    }
+
+    return Path.join(Path.dirname(parentMeta.path || parentMeta.name), name);
+  };
+
+
   Module.Meta = Meta;
   Module.Type = Type;
   module.exports = Module;
@@ -0,0 +1,426 @@
+(function(root) {
+  "use strict";
+
+  var Promise     = require("../promise");
+  var Utils       = require("../utils");
+  var ModuleError = require("../module-error");
+
+  // Resolution of export names that more than one `export *` provides with
+  // different bindings.
+  var Ambiguous = {};
+
+
+  /**
+   * Linking record of an ES module. ES modules are described with a `declare`
+   * function, which is the same shape System.register uses:
+   *
+   * ``` javascript
+   * {
+   *   deps: ["./counter"],
+   *   exportStar: ["./counter"],
+   *   declare: function(_export, _context) {
+   *     var count;
+   *     return {
+   *       setters: [function(counter) { count = counter.count; }],
+   *       execute: function() { _export("double", count * 2); }
+   *     };
+   *   }
+   * }
+   * ```
+   *
+   * `declare` is called with `_export(name, value)`, which sets exports, and
+   * returns a setter per dependency along with the `execute` function that
+   * runs the body of the module. Setters are called with the namespace of the
+   * dependency when it is linked and again every time one of its exports
+   * changes, which is how live bindings reach local variables. `execute` can
+   * be async for modules with top-level await.
+   *
+   * The namespace of the module is its code. Its properties are getters, so
+   * reading from the namespace always gets the current value of the exports.
+   *
+   * @param {Module} mod - Module with `declare`
+   * @param {Object} context - `_context` that `declare` is called with
+   */
+  function EsModule(mod, context) {
+    this.module       = mod;
+    this.name         = mod.name;
+    this.exportStar   = mod.exportStar ? mod.exportStar.slice(0) : [];
+    this.values       = {};
+    this.localNames   = [];
+    this.importers    = [];
+    this.dependencies = [];
+    this.ambiguous    = [];
+    this.evaluating   = null;
+    this.namespace    = createNamespace();
+
+    var declared = mod.declare.call(root, this.export.bind(this), context || {id: mod.name}) || {};
+    this.setters = declared.setters || [];
+    this.run     = declared.execute;
+  }
+
+
+  /**
+   * Sets exports of the module and updates the modules that import it. This
+   * is `_export` in `declare`.
+   *
+   * @param {string | Object} name - Name of the export, or an object with
+   *  names and values to export all at once
+   * @param {*} [value] - Value of the export
+   *
+   * @returns {*} The exported value
+   */
+  EsModule.prototype.export = function(name, value) {
+    if (Utils.isString(name)) {
+      setExport(this, name, value);
+    }
+    else {
+      Object.keys(name).forEach(function(key) {
+        setExport(this, key, name[key]);
+      }, this);
+    }
+
+    this.notify([]);
+    return Utils.isString(name) ? value : name;
+  };
+
+
+  /**
+   * Links the dependency at `index` by handing its namespace to the setter.
+   * Dependencies that are ES modules are linked by their record so that they
+   * update the module when their exports change.
+   *
+   * @param {number} index - Index of the dependency in `deps`
+   * @param {string} name - Name of the dependency
+   * @param {EsModule | Object} dependency - Record of the dependency, or its
+   *  namespace when the dependency is not an ES module
+   */
+  EsModule.prototype.link = function(index, name, dependency) {
+    var record = dependency instanceof EsModule ? dependency : null;
+
+    this.dependencies[index] = {
+      name      : name,
+      record    : record,
+      namespace : record ? record.namespace : dependency
+    };
+
+    if (record) {
+      record.importers.push({record: this, index: index});
+    }
+
+    if (this.setters[index]) {
+      this.setters[index](this.dependencies[index].namespace);
+    }
+  };
+
+
+  /**
+   * Adds the `export *` names to the namespace and runs the body of the module.
+   * Names that more than one `export *` provides with different bindings are
+   * ambiguous, so they are left out of the namespace and listed in `ambiguous`.
+   *
+   * Modules run once their async dependencies finish evaluating, and the
+   * `export *` names are added then, so that names those dependencies export
+   * after an `await` are included. Modules that are async themselves, or that
+   * wait on async dependencies, are evaluating until the returned promise
+   * settles.
+   *
+   * @returns {Promise | undefined} Promise that resolves to the namespace when
+   *  the module is evaluated asynchronously
+   */
+  EsModule.prototype.execute = function() {
+    var record = this;
+
+    var pending = this.dependencies.filter(function(dep) {
+      return dep && dep.record && dep.record.evaluating;
+    }).map(function(dep) {
+      return dep.record.evaluating;
+    });
+
+    if (pending.length) {
+      return setEvaluating(this, Promise.all(pending).then(function() {
+        bindStarExports(record);
+        return run(record);
+      }, Utils.forwardError));
+    }
+
+    bindStarExports(this);
+    var result = run(this);
+
+    if (isThenable(result)) {
+      return setEvaluating(this, result);
+    }
+  };
+
+
+  /**
+   * Gets the names the module exports, including the ones from `export *`.
+   * `default` is never re-exported by `export *`.
+   *
+   * @param {Array.<EsModule>} visited - Records already visited, which ends
+   *  the search in `export *` cycles
+   *
+   * @returns {Array.<string>}
+   */
+  EsModule.prototype.getExportNames = function(visited) {
+    var names = [];
+
+    if (visited.indexOf(this) !== -1) {
+      return names;
+    }
+
+    visited.push(this);
+    names = this.localNames.slice(0);
+
+    this.getStarDependencies().forEach(function(dep) {
+      var starNames = dep.record ? dep.record.getExportNames(visited) : Object.keys(dep.namespace);
+
+      starNames.forEach(function(name) {
+        if (name !== "default" && names.indexOf(name) === -1) {
+          names.push(name);
+        }
+      });
+    });
+
+    return names;
+  };
+
+
+  /**
+   * Finds the module and the local name an export is bound to.
+   *
+   * @param {string} name - Name of the export
+   * @param {Array.<{record: EsModule, name: string}>} visited - Exports
+   *  already visited, which ends the search in `export *` cycles
+   *
+   * @returns {{module: string, name: string} | null} The binding, `null` when
+   *  there is no export with the name, or `EsModule.Ambiguous` when more than
+   *  one `export *` provides it.
+   */
+  EsModule.prototype.resolveExport = function(name, visited) {
+    var self = this;
+
+    if (visited.some(function(item) { return item.record === self && item.name === name; })) {
+      return null;
+    }
+
+    visited.push({record: this, name: name});
+
+    if (this.localNames.indexOf(name) !== -1) {
+      return {module: this.name, name: name};
+    }
+
+    if (name === "default") {
+      return null;
+    }
+
+    var stars = this.getStarDependencies();
+    var found = null;
+
+    for (var i = 0; i < stars.length; i++) {
+      var resolution = resolveStarExport(stars[i], name, visited);
+
+      if (resolution === Ambiguous) {
+        return Ambiguous;
+      }
+
+      if (resolution) {
+        if (found && (found.module !== resolution.module || found.name !== resolution.name)) {
+          return Ambiguous;
+        }
+
+        found = resolution;
+      }
+    }
+
+    return found;
+  };
+
+
+  /**
+   * Gets the linked dependencies that are re-exported with `export *`
+   */
+  EsModule.prototype.getStarDependencies = function() {
+    return this.dependencies.filter(function(dep) {
+      return dep && this.exportStar.indexOf(dep.name) !== -1;
+    }, this);
+  };
+
+
+  /**
+   * Calls the setters of the modules that import this module, and the ones
+   * that import those through `export *`.
+   *
+   * @param {Array.<EsModule>} visited - Records already notified
+   */
+  EsModule.prototype.notify = function(visited) {
+    if (visited.indexOf(this) !== -1) {
+      return;
+    }
+
+    visited.push(this);
+
+    this.importers.forEach(function(importer) {
+      var record = importer.record;
+
+      if (record.setters[importer.index]) {
+        record.setters[importer.index](this.namespace);
+      }
+
+      if (record.exportStar.indexOf(this.name) !== -1) {
+        record.notify(visited);
+      }
+    }, this);
+  };
+
+
+  /**
+   * Creates the namespace of a module that is not an ES module. Modules that
+   * came through a transpiler are flagged with `__esModule`, and their exports
+   * are used as they are. For all other modules, `default` is the code of the
+   * module and its properties are named exports.
+   *
+   * @param {*} code - Code of the module
+   *
+   * @returns {Object} Namespace object
+   */
+  EsModule.getNamespace = function(code) {
+    var namespace = createNamespace();
+    var esModule  = !!code && code.__esModule === true;
+
+    if (!esModule) {
+      defineBinding(namespace, "default", function() {
+        return code;
+      });
+    }
+
+    if (code && (typeof(code) === "object" || typeof(code) === "function")) {
+      Object.keys(code).forEach(function(name) {
+        if (name !== "__esModule" && (esModule || name !== "default")) {
+          defineBinding(namespace, name, function() {
+            return code[name];
+          });
+        }
+      });
+    }
+
+    return namespace;
+  };
+
+
+  function bindStarExports(record) {
+    record.getExportNames([]).forEach(function(name) {
+      if (record.localNames.indexOf(name) !== -1 || hasOwn(record.namespace, name)) {
+        return;
+      }
+
+      if (record.resolveExport(name, []) === Ambiguous) {
+        if (record.ambiguous.indexOf(name) === -1) {
+          record.ambiguous.push(name);
+        }
+        return;
+      }
+
+      var source = record.getStarDependencies().filter(function(dep) {
+        return dep.record ? !!dep.record.resolveExport(name, []) : hasOwn(dep.namespace, name);
+      })[0];
+
+      if (source) {
+        defineBinding(record.namespace, name, function() {
+          return source.namespace[name];
+        });
+      }
+    });
+  }
+
+
+  function run(record) {
+    var result = record.run ? record.run.call(undefined) : undefined;
+
+    // Async functions return native promises, which are wrapped so that they
+    // can be chained with the rest of the loader promises.
+    if (isThenable(result)) {
+      return new Promise(function(resolve, reject) {
+        result.then(resolve, reject);
+      });
+    }
+
+    return result;
+  }
+
+
+  function isThenable(item) {
+    return !!item && typeof(item.then) === "function";
+  }
+
+
+  /**
+   * Errors in async modules are wrapped in a `LinkError` just like the errors
+   * thrown while linking, and modules stay failed once they fail.
+   */
+  function setEvaluating(record, promise) {
+    record.evaluating = promise.then(function() {
+      record.evaluating = null;
+      return record.namespace;
+    }, function(error) {
+      return ModuleError.wrap(ModuleError.LinkError, record.module, error);
+    });
+
+    return record.evaluating;
+  }
+
+
+  function resolveStarExport(dep, name, visited) {
+    if (dep.record) {
+      return dep.record.resolveExport(name, visited);
+    }
+
+    return hasOwn(dep.namespace, name) ? {module: dep.name, name: name} : null;
+  }
+
+
+  function hasOwn(item, name) {
+    return Object.prototype.hasOwnProperty.call(item, name);
+  }
+
+
+  function setExport(record, name, value) {
+    if (record.localNames.indexOf(name) === -1) {
+      record.localNames.push(name);
+
+      defineBinding(record.namespace, name, function() {
+        return record.values[name];
+      });
+    }
+
+    record.values[name] = value;
+  }
+
+
+  /**
+   * Namespaces are flagged with `__esModule` so that transpiled modules that
+   * import them use `default` rather than the whole namespace.
+   */
+  function createNamespace() {
+    var namespace = {};
+    Object.defineProperty(namespace, "__esModule", {value: true});
+
+    if (typeof(root.Symbol) === "function" && root.Symbol.toStringTag) {
+      Object.defineProperty(namespace, root.Symbol.toStringTag, {value: "Module"});
+    }
+
+    return namespace;
+  }
+
+
+  function defineBinding(namespace, name, get) {
+    Object.defineProperty(namespace, name, {
+      enumerable   : true,
+      configurable : true,
+      get          : get
+    });
+  }
+
+
+  EsModule.Ambiguous = Ambiguous;
+  module.exports = EsModule;
+})(typeof(window) !== "undefined" ? window : this);
@@ -1,30 +1,192 @@
 (function(root) {
   "use strict";
 
-  var logger = require("../logger").factory("Module/Linker");
+  var Utils       = require("../utils");
+  var ModuleError = require("../module-error");
+  var Events      = require("../events");
+  var EsModule    = require("./es-module");
+  var logger      = require("../logger").factory("Module/Linker");
 
+  // Modules currently being linked, in the order in which they are traversed.
+  // Linking is synchronous and building a dependency calls back into the linker,
+  // so all calls share this stack in order to find circular dependencies.
+  var linking = [];
+
+
+  /**
+   * Links the module with its dependencies, calling module factories to get
+   * the module code. ES modules, which are modules with `declare`, are linked
+   * with their namespace as the module code. Emits a `link` event for each
+   * module that is linked.
+   */
   function ModuleLinker(manager, mod) {
     function traverseDependencies(mod) {
       logger.log(mod.name, mod);
 
-      // Get all dependencies to feed them to the module factory
-      var deps = mod.deps.map(function resolveDependency(mod_name) {
-        if (manager.isModuleCached(mod_name)) {
-          return manager.getModuleCode(mod_name);
+      var start = Utils.now();
+      linking.push(mod);
+
+      try {
+        if (mod.declare && !mod.hasOwnProperty("code")) {
+          linkEsModule(mod);
         }
+        else {
+          linkModule(mod);
+        }
+      }
+      finally {
+        linking.pop();
+      }
 
-        return traverseDependencies(manager.getModule(mod_name)).code;
-      });
+      var payload = Events.createPayload(mod.meta || mod, start);
+      payload.module = mod;
+      Events.emit(manager, "link", payload);
+      return mod;
+    }
+
+    function linkModule(mod) {
+      // Get all dependencies to feed them to the module factory
+      var deps = mod.deps.map(resolveDependency);
 
       if (mod.factory && !mod.hasOwnProperty("code")) {
-        mod.code = mod.factory.apply(root, deps);
+        mod.code = runFactory(mod, deps);
+
+        // Modules in a circular dependency were handed the partial exports
+        // object, so we fill that one in to keep them all in sync.
+        if (mod.exports && (mod.code === undefined || Utils.isPlainObject(mod.code))) {
+          mod.code = Utils.extend(mod.exports, mod.code);
+        }
       }
+    }
 
-      return mod;
+    /**
+     * The namespace is created before the dependencies are linked, so modules
+     * in a circular dependency bind to it right away. Dependencies are executed
+     * first, which means that a module in a cycle runs after the dependencies
+     * that are not waiting on it.
+     */
+    function linkEsModule(mod) {
+      try {
+        var record = mod.esModule = new EsModule(mod, createContext(manager, mod));
+        mod.code = record.namespace;
+
+        mod.deps.forEach(function(mod_name, index) {
+          record.link(index, mod_name, resolveEsDependency(mod_name));
+        });
+
+        record.execute();
+      }
+      catch(ex) {
+        delete mod.code;
+        throw ModuleError.wrap(ModuleError.LinkError, mod, ex);
+      }
+    }
+
+    /**
+     * Gets the record of a dependency that is an ES module, or the namespace of
+     * any other dependency. Namespaces are kept with the modules that are done
+     * linking so that all modules that import them share them.
+     */
+    function resolveEsDependency(mod_name) {
+      var code = resolveDependency(mod_name);
+      var dep  = manager.isModuleCached(mod_name) ? manager.getModule(mod_name) : findLinking(mod_name);
+
+      if (dep && dep.esModule) {
+        return dep.esModule;
+      }
+
+      if (dep && manager.isModuleCached(mod_name)) {
+        return dep.namespace || (dep.namespace = EsModule.getNamespace(code));
+      }
+
+      return EsModule.getNamespace(code);
+    }
+
+    function resolveDependency(mod_name) {
+      if (manager.isModuleCached(mod_name)) {
+        return manager.getModuleCode(mod_name);
+      }
+
+      var circular = findLinking(mod_name);
+      if (circular) {
+        return circularDependency(manager, circular);
+      }
+
+      // Getting the module builds and links it if it is only loaded
+      var dep = manager.getModule(mod_name);
+      return manager.isModuleCached(mod_name) ? dep.code : traverseDependencies(dep).code;
     }
 
     return manager.setModule(traverseDependencies(mod));
   }
 
+
+  /**
+   * Calls the module factory, wrapping errors it throws in a `LinkError`.
+   */
+  function runFactory(mod, deps) {
+    try {
+      return mod.factory.apply(root, deps);
+    }
+    catch(ex) {
+      throw ModuleError.wrap(ModuleError.LinkError, mod, ex);
+    }
+  }
+
+
+  /**
+   * Creates the `_context` ES modules are declared with. `import` is dynamic
+   * import, and `meta` is `import.meta` with the path of the module as `url`.
+   */
+  function createContext(manager, mod) {
+    var moduleMeta = mod.meta || mod.settings || {};
+
+    return {
+      id: mod.name,
+      import: function(name) {
+        return manager.import(name);
+      },
+      meta: {
+        url: moduleMeta.path
+      }
+    };
+  }
+
+
+  /**
+   * Finds the module with the given name in the stack of modules being linked.
+   */
+  function findLinking(name) {
+    for (var i = linking.length - 1; i >= 0; i--) {
+      if (linking[i].name === name) {
+        return linking[i];
+      }
+    }
+  }
+
+
+  /**
+   * Handles a dependency on a module that is still being linked. Just like in
+   * CJS, the dependent module gets the exports of the module as they are at
+   * this point, which are completed once the module finishes linking.
+   */
+  function circularDependency(manager, mod) {
+    if (manager.settings && manager.settings.strictCircular) {
+      var path = linking.slice(linking.indexOf(mod)).concat(mod).map(function(item) {
+        return item.name;
+      });
+
+      throw new TypeError("Circular dependency detected: " + path.join(" -> "));
+    }
+
+    logger.log("circular dependency", mod.name);
+
+    if (mod.hasOwnProperty("code")) {
+      return mod.code;
+    }
+
+    return (mod.exports = mod.exports || {});
+  }
+
   module.exports = ModuleLinker;
 })(typeof(window) !== "undefined" ? window : this);
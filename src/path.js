@@ -0,0 +1,147 @@
+(function() {
+  "use strict";
+
+  // Matches the scheme and host of URLs so that paths can be URLs as well
+  var urlRootRegex = /^([a-z][a-z0-9+.\-]*:\/\/[^\/]*)?(.*)$/i;
+
+
+  /**
+   * Splits the scheme and host of a URL from the path.
+   *
+   * @param {string} path
+   *
+   * @returns {{root: string, path: string}}
+   */
+  function splitRoot(path) {
+    var match = urlRootRegex.exec(path);
+    return {
+      root: match[1] || "",
+      path: match[2]
+    };
+  }
+
+
+  /**
+   * Checks if the name is relative, which is when it starts with `./` or `../`
+   */
+  function isRelative(name) {
+    return /^\.\.?(\/|$)/.test(name);
+  }
+
+
+  /**
+   * Checks if the path is absolute, which is when it starts with `/` or when
+   * it is a URL.
+   */
+  function isAbsolute(path) {
+    var parts = splitRoot(path);
+    return !!parts.root || parts.path[0] === "/";
+  }
+
+
+  /**
+   * Resolves `.` and `..` segments and removes duplicate slashes. URL scheme
+   * and host are kept as is.
+   *
+   * @param {string} path
+   *
+   * @returns {string}
+   */
+  function normalize(path) {
+    var parts    = splitRoot(path);
+    var absolute = parts.path[0] === "/" || !!parts.root;
+    var trailing = parts.path.length > 1 && parts.path[parts.path.length - 1] === "/";
+    var result   = [];
+
+    parts.path.split("/").forEach(function(segment) {
+      if (!segment || segment === ".") {
+        return;
+      }
+
+      if (segment === ".." && result.length && result[result.length - 1] !== "..") {
+        result.pop();
+      }
+      else if (segment !== ".." || !absolute) {
+        result.push(segment);
+      }
+    });
+
+    var normalized = result.join("/");
+
+    if (trailing && normalized) {
+      normalized += "/";
+    }
+
+    if (absolute) {
+      return parts.root + "/" + normalized;
+    }
+
+    return normalized || ".";
+  }
+
+
+  /**
+   * Joins paths and normalizes the result. Absolute paths reset the result.
+   *
+   * @returns {string}
+   */
+  function join() {
+    var result = "";
+
+    for (var i = 0; i < arguments.length; i++) {
+      var path = arguments[i];
+
+      if (!path) {
+        continue;
+      }
+
+      result = isAbsolute(path) || !result ? path : result.replace(/\/$/, "") + "/" + path;
+    }
+
+    return normalize(result || ".");
+  }
+
+
+  /**
+   * Gets the directory of a path
+   *
+   * @param {string} path
+   *
+   * @returns {string}
+   */
+  function dirname(path) {
+    var parts    = splitRoot(path);
+    var pathname = parts.path.replace(/\/+$/, "");
+    var index    = pathname.lastIndexOf("/");
+
+    if (index === -1) {
+      return parts.root || parts.path[0] === "/" ? parts.root + "/" : ".";
+    }
+
+    return parts.root + (pathname.substr(0, index) || "/");
+  }
+
+
+  /**
+   * Gets the extension of a path, including the dot.
+   *
+   * @param {string} path
+   *
+   * @returns {string}
+   */
+  function extname(path) {
+    var match = /\.[^.\/]*$/.exec(splitRoot(path).path);
+    return match ? match[0] : "";
+  }
+
+
+  module.exports = {
+    splitRoot: splitRoot,
+    isRelative: isRelative,
+    isAbsolute: isAbsolute,
+    normalize: normalize,
+    join: join,
+    dirname: dirname,
+    extname: extname
+  };
+})();
@@ -3,7 +3,9 @@
 
   var Promise     = require("./promise");
   var Utils       = require("./utils");
+  var Module      = require("./module");
   var RuleMatcher = require("./rule-matcher");
+  var Events      = require("./events");
   var logger      = require("./logger").factory("Plugin");
 
   var pluginId = 0;
@@ -21,6 +23,7 @@
     this._delegates = {};
     this._handlers  = {};
     this._deferred  = {};
+    this._normalize = null;
   }
 
 
@@ -39,9 +42,17 @@
       this.addMatchingRules(matchName, settings.match[matchName]);
     }
 
+    if (settings.hasOwnProperty("normalize")) {
+      if (!Utils.isFunction(settings.normalize)) {
+        throw new TypeError("Plugin `normalize` must be a function");
+      }
+
+      this._normalize = settings.normalize;
+    }
+
     // Hook into the different services
     for (var serviceName in settings) {
-      if (!settings.hasOwnProperty(serviceName) || serviceName === "match") {
+      if (!settings.hasOwnProperty(serviceName) || serviceName === "match" || serviceName === "normalize") {
         continue;
       }
 
@@ -52,6 +63,21 @@
   };
 
 
+  /**
+   * Normalizes the name of a resource loaded with the plugin prefix syntax,
+   * such as `foo.html` in `text!foo.html`. Plugins configure this with a
+   * `normalize` function.
+   *
+   * @param {string} name - Resource name
+   * @param {Module.Meta} [parentMeta] - Module meta importing the resource
+   *
+   * @returns {string} Normalized resource name
+   */
+  Plugin.prototype.normalize = function(name, parentMeta) {
+    return this._normalize ? this._normalize(name, parentMeta) : name;
+  };
+
+
   /**
    * Method for adding matching rules used for determining if a
    * module meta should be processed by the plugin or not.
@@ -115,27 +141,99 @@
 
 
   /**
-   * Creates service handler to process module meta objects
+   * Creates service handler to process module meta objects. A `handler` event
+   * with the timing of each plugin handler that runs is emitted in the plugin's
+   * manager.
    */
   function createServiceHandler(plugin, serviceName) {
     // The service handler iterates through all the plugin handlers
     // passing in the correspoding module meta to be processed.
     return function handlerDelegate(moduleMeta) {
+      var running, runningStart;
+
+      // A handler is done when the next handler runs or the sequence finishes
+      function handlerEnded() {
+        if (running) {
+          var end = Utils.now();
+          Events.emit(plugin.settings, "handler", {
+            name       : moduleMeta.name,
+            moduleMeta : moduleMeta,
+            plugin     : plugin.name,
+            handler    : getHandlerName(running),
+            service    : serviceName,
+            start      : runningStart,
+            end        : end,
+            duration   : end - runningStart
+          });
+        }
+
+        running = null;
+      }
+
+      // Handlers can return an object with `source` to update the module meta
+      // with, which is how transforms hand back source maps along with the
+      // transformed source. Resolve handlers return an object with `path`.
+      // Source maps that handlers set directly are composed here as well.
+      function handlerResult(result) {
+        if (result !== moduleMeta && Utils.isPlainObject(result) && (result.hasOwnProperty("source") || result.hasOwnProperty("path"))) {
+          moduleMeta.configure(result);
+        }
+        else if (Utils.isObject(moduleMeta)) {
+          Module.Meta.composeSourceMap(moduleMeta);
+        }
+
+        return result;
+      }
+
       function handlerIterator(prev, handlerConfig) {
         function pluginHandler() {
-          return handlerConfig.handler.call(handlerConfig, moduleMeta, handlerConfig.options);
+          handlerEnded();
+          running = handlerConfig;
+          runningStart = Utils.now();
+
+          var result = handlerConfig.handler.call(handlerConfig, moduleMeta, handlerConfig.options);
+          return result && Utils.isFunction(result.then) ? result.then(handlerResult, Utils.forwardError) : handlerResult(result);
         }
         return prev.then(pluginHandler, Utils.reportError);
       }
 
+      function handlersFinished(result) {
+        handlerEnded();
+        return result;
+      }
+
+      // Handlers run in sequence and stop at the first failure, so the handler
+      // that is running is the one that failed.
+      function handlerError(err) {
+        var handlerName = running && getHandlerName(running);
+
+        if (handlerName && err && Utils.isObject(err) && !err.hasOwnProperty("handler")) {
+          err.handler = handlerName;
+        }
+
+        handlerEnded();
+        return err;
+      }
+
       // This is a nasty little sucker with nested layers of promises...
       // Handlers themselves can return promises and get injected into
       // the promise sequence.
-      return plugin._handlers[serviceName].reduce(handlerIterator, Promise.resolve());
+      return plugin._handlers[serviceName]
+        .reduce(handlerIterator, Promise.resolve())
+        .then(handlersFinished, handlerError);
     };
   }
 
 
+  /**
+   * Gets the name of a plugin handler, which is the name of the module it was
+   * loaded from or the name of the handler function.
+   */
+  function getHandlerName(handlerConfig) {
+    return handlerConfig.name || handlerConfig.handler.name;
+  }
+
+
   /**
    * Function that goes through all the handlers and configures each one. This is
    * where handle things like if a handler is a string, then we assume it is the
@@ -165,6 +263,7 @@
       // Handle dynamic handler loading
       if (Utils.isString(handlerConfig.handler)) {
         var handlerName = handlerConfig.handler;
+        handlerConfig.name = handlerConfig.name || handlerName;
 
         handlerConfig.handler = function deferredHandlerDelegate(moduleMeta) {
           function handlerReady(newhandler) {
@@ -237,20 +336,28 @@
 
   /**
    * Checks if the handler can process the module meta object based on
-   * the matching rules for path and name.
+   * the matching rules for path and name. Rules for `env` are different in
+   * that they must always match one of the conditions in `moduleMeta.env`,
+   * so that plugins can be restricted to environments.
    */
   function canExecute(matches, moduleMeta) {
     var ruleLength, allLength = 0;
 
+    if (matches && matches.env && matches.env.getLength() && !matchEnv(matches.env, moduleMeta.env)) {
+      return false;
+    }
+
     for (var match in matches) {
-      if (!matches.hasOwnProperty(match)) {
+      if (!matches.hasOwnProperty(match) || match === "env") {
         continue;
       }
 
       ruleLength = matches[match].getLength();
       allLength += ruleLength;
 
-      if (ruleLength && matches[match].match(moduleMeta[match])) {
+      // Fields that are not set yet, like `path` in the resolve pipeline, do
+      // not match.
+      if (ruleLength && !Utils.isNull(moduleMeta[match]) && matches[match].match(moduleMeta[match])) {
         return true;
       }
     }
@@ -262,6 +369,13 @@
   }
 
 
+  function matchEnv(rules, env) {
+    return Utils.isArray(env) && env.some(function(condition) {
+      return rules.match(condition);
+    });
+  }
+
+
   function createCanExecute(moduleMeta) {
     return function canExecuteDelegate(plugin) {
       return canExecute(plugin.match, moduleMeta);
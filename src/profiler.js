@@ -0,0 +1,336 @@
+(function() {
+  "use strict";
+
+  var Utils = require("./utils");
+
+  // Events for the pipeline stages and the name of the stage they measure
+  var StageEvents = {
+    "resolve"    : "resolve",
+    "fetch:end"  : "fetch",
+    "transform"  : "transform",
+    "dependency" : "dependency",
+    "compile"    : "compile",
+    "link"       : "link"
+  };
+
+  var EntryType = {
+    STAGE    : "stage",
+    PROVIDER : "provider",
+    HANDLER  : "handler"
+  };
+
+
+  /**
+   * Profiler that records how long each module spends in each pipeline stage,
+   * as well as how long each middleware provider and plugin handler takes.
+   * Profiling is opt-in, so either create the loader with `profile: true` or
+   * create a profiler and start it.
+   *
+   * ``` javascript
+   * var profiler = new Bitloader.Profiler(bitloader).start();
+   *
+   * bitloader.import("app").then(function() {
+   *   console.log(profiler.report());
+   * });
+   * ```
+   *
+   * @param {Bitloader} manager
+   */
+  function Profiler(manager) {
+    if (!manager) {
+      throw new TypeError("Must provide a manager");
+    }
+
+    this.manager   = manager;
+    this.entries   = [];
+    this.deps      = {};
+    this.listeners = null;
+  }
+
+
+  /**
+   * Starts recording timings from the manager's events
+   *
+   * @returns {Profiler}
+   */
+  Profiler.prototype.start = function() {
+    var profiler = this;
+
+    if (profiler.listeners) {
+      return profiler;
+    }
+
+    profiler.listeners = {};
+
+    Object.keys(StageEvents).forEach(function(eventName) {
+      profiler.listeners[eventName] = function(event) {
+        if (eventName === "dependency") {
+          profiler.deps[event.name] = event.deps.slice(0);
+        }
+
+        profiler.record(EntryType.STAGE, event.name, StageEvents[eventName], event);
+      };
+    });
+
+    profiler.listeners.provider = function(event) {
+      var moduleMeta = event.data && event.data[0];
+
+      // Plugins are profiled by their handlers, so we skip them here to avoid
+      // counting the same time twice.
+      if (!profiler.manager.plugins || !profiler.manager.plugins.hasOwnProperty(event.provider)) {
+        profiler.record(EntryType.PROVIDER, moduleMeta && moduleMeta.name, event.provider || "anonymous", event);
+      }
+    };
+
+    profiler.listeners.handler = function(event) {
+      profiler.record(EntryType.HANDLER, event.name, event.plugin + ":" + (event.handler || "anonymous"), event);
+    };
+
+    Object.keys(profiler.listeners).forEach(function(eventName) {
+      profiler.manager.on(eventName, profiler.listeners[eventName]);
+    });
+
+    return profiler;
+  };
+
+
+  /**
+   * Stops recording timings. Timings recorded so far are kept.
+   *
+   * @returns {Profiler}
+   */
+  Profiler.prototype.stop = function() {
+    var profiler = this;
+
+    if (profiler.listeners) {
+      Object.keys(profiler.listeners).forEach(function(eventName) {
+        profiler.manager.off(eventName, profiler.listeners[eventName]);
+      });
+
+      profiler.listeners = null;
+    }
+
+    return profiler;
+  };
+
+
+  /**
+   * Removes all recorded timings
+   *
+   * @returns {Profiler}
+   */
+  Profiler.prototype.clear = function() {
+    this.entries = [];
+    this.deps    = {};
+    return this;
+  };
+
+
+  /**
+   * Records a timing
+   *
+   * @param {string} type - Type of the entry, which is `stage`, `provider` or `handler`
+   * @param {string} moduleName - Name of the module the timing is for
+   * @param {string} name - Name of the stage, provider or handler
+   * @param {{start: number, end: number, duration: number}} timing
+   */
+  Profiler.prototype.record = function(type, moduleName, name, timing) {
+    this.entries.push({
+      type     : type,
+      module   : moduleName,
+      name     : name,
+      start    : timing.start,
+      end      : timing.end,
+      duration : timing.duration
+    });
+  };
+
+
+  /**
+   * Creates a summary of the recorded timings.
+   *
+   * @param {Object} [options]
+   * @param {number} [options.limit=10] - Max number of modules and plugins in
+   *  the lists of slowest modules and plugins.
+   *
+   * @returns {{modules: Array, plugins: Array, criticalPath: Object}} Report
+   *  with the slowest modules and the time spent in each stage, the slowest
+   *  plugin handlers and providers, and the path through the dependency graph
+   *  that takes the longest to load.
+   */
+  Profiler.prototype.report = function(options) {
+    var limit   = (options && options.limit) || 10;
+    var modules = this.getModuleTimings();
+
+    var slowestModules = Object.keys(modules)
+      .map(function(name) {
+        return modules[name];
+      })
+      .sort(byDuration)
+      .slice(0, limit);
+
+    return {
+      modules      : slowestModules,
+      plugins      : this.getPluginTimings().slice(0, limit),
+      criticalPath : this.getCriticalPath(modules)
+    };
+  };
+
+
+  /**
+   * Gets the time each module spent in each stage
+   *
+   * @returns {Object} Map of module names to `{name, duration, stages}`
+   */
+  Profiler.prototype.getModuleTimings = function() {
+    var modules = {};
+
+    this.entries.forEach(function(entry) {
+      if (entry.type !== EntryType.STAGE) {
+        return;
+      }
+
+      var mod = modules[entry.module] || (modules[entry.module] = {
+        name     : entry.module,
+        duration : 0,
+        stages   : {}
+      });
+
+      mod.duration += entry.duration;
+      mod.stages[entry.name] = (mod.stages[entry.name] || 0) + entry.duration;
+    });
+
+    return modules;
+  };
+
+
+  /**
+   * Gets the time spent in each plugin handler and provider, slowest first
+   *
+   * @returns {Array.<{name: string, type: string, duration: number, count: number}>}
+   */
+  Profiler.prototype.getPluginTimings = function() {
+    var plugins = {};
+
+    this.entries.forEach(function(entry) {
+      if (entry.type === EntryType.STAGE) {
+        return;
+      }
+
+      var plugin = plugins[entry.name] || (plugins[entry.name] = {
+        name     : entry.name,
+        type     : entry.type,
+        duration : 0,
+        count    : 0
+      });
+
+      plugin.duration += entry.duration;
+      plugin.count++;
+    });
+
+    return Utils.toArray(plugins).sort(byDuration);
+  };
+
+
+  /**
+   * Finds the path through the dependency graph with the largest total time,
+   * which is what bounds how fast the modules can load.
+   *
+   * @param {Object} [modules] - Module timings from `getModuleTimings`
+   *
+   * @returns {{modules: Array.<string>, duration: number}}
+   */
+  Profiler.prototype.getCriticalPath = function(modules) {
+    modules = modules || this.getModuleTimings();
+
+    var deps    = this.deps;
+    var longest = {};
+
+    function findLongest(name, visiting) {
+      if (longest.hasOwnProperty(name)) {
+        return longest[name];
+      }
+
+      var best = {modules: [], duration: 0};
+      visiting.push(name);
+
+      (deps[name] || []).forEach(function(dep) {
+        // Skip circular dependencies and modules that were not profiled
+        if (visiting.indexOf(dep) !== -1 || !modules.hasOwnProperty(dep)) {
+          return;
+        }
+
+        var path = findLongest(dep, visiting);
+        if (path.duration > best.duration) {
+          best = path;
+        }
+      });
+
+      visiting.pop();
+
+      return (longest[name] = {
+        modules  : [name].concat(best.modules),
+        duration : modules[name].duration + best.duration
+      });
+    }
+
+    return Object.keys(modules).reduce(function(result, name) {
+      var path = findLongest(name, []);
+      return path.duration > result.duration ? path : result;
+    }, {modules: [], duration: 0});
+  };
+
+
+  /**
+   * Exports the recorded timings in the Chrome trace event format, which can
+   * be loaded in `chrome://tracing` and in the performance panel of devtools.
+   * Each module is shown as a thread with its stages, providers and handlers.
+   *
+   * @returns {{traceEvents: Array}}
+   */
+  Profiler.prototype.toTrace = function() {
+    var threads     = {};
+    var traceEvents = [];
+
+    function getThread(name) {
+      if (!threads.hasOwnProperty(name)) {
+        threads[name] = Object.keys(threads).length + 1;
+        traceEvents.push({
+          name : "thread_name",
+          ph   : "M",
+          pid  : 1,
+          tid  : threads[name],
+          args : {name: name}
+        });
+      }
+
+      return threads[name];
+    }
+
+    this.entries.forEach(function(entry) {
+      traceEvents.push({
+        name : entry.name,
+        cat  : entry.type,
+        ph   : "X",
+        pid  : 1,
+        tid  : getThread(entry.module || "bit-loader"),
+        ts   : Math.round(entry.start * 1000),
+        dur  : Math.round(entry.duration * 1000),
+        args : {module: entry.module}
+      });
+    });
+
+    return {
+      traceEvents     : traceEvents,
+      displayTimeUnit : "ms"
+    };
+  };
+
+
+  function byDuration(a, b) {
+    return b.duration - a.duration;
+  }
+
+
+  module.exports = Profiler;
+})();
@@ -33,6 +33,11 @@
   };
 
 
+  Registry.prototype.getModuleNames = function() {
+    return this.modules.getNames();
+  };
+
+
   Registry.prototype.deleteModule = function(name) {
     return this.modules.removeItem(name);
   };
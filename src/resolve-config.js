@@ -0,0 +1,169 @@
+(function() {
+  "use strict";
+
+  var Utils = require("./utils");
+  var Path  = require("./path");
+
+
+  /**
+   * Module name configuration in the style of RequireJS, for remapping module
+   * names before they are resolved.
+   *
+   * - `paths` maps module names, or the first segments of module names, to
+   *  other names. Longer matches win, and arrays use their first entry.
+   * - `packages` configures packages by `name`, with the `location` of the
+   *  package and its `main` module. Importing the package name loads `main`,
+   *  and other modules in the package are loaded from `location`.
+   * - `map` substitutes module names for specific consumers. Keys are the
+   *  names of the consumer modules, or `*` for all of them, and the values are
+   *  maps of module names to substitutes.
+   *
+   * ``` javascript
+   * var resolveConfig = new ResolveConfig({
+   *   paths: {
+   *     "jquery": "vendor/jquery-2.1.4"
+   *   },
+   *   packages: [{
+   *     name: "cart",
+   *     location: "app/cart",
+   *     main: "index"
+   *   }],
+   *   map: {
+   *     "*": {"underscore": "lodash"},
+   *     "legacy": {"jquery": "vendor/jquery-1.11"}
+   *   }
+   * });
+   * ```
+   *
+   * @param {{paths: Object, packages: Array, map: Object}} [config]
+   */
+  function ResolveConfig(config) {
+    this.paths    = {};
+    this.packages = {};
+    this.map      = {};
+
+    if (config) {
+      this.extend(config);
+    }
+  }
+
+
+  /**
+   * Merges configuration into the existing configuration. Entries with the
+   * same name are replaced, and `map` is merged per consumer.
+   *
+   * @param {{paths: Object, packages: Array, map: Object}} config
+   *
+   * @returns {ResolveConfig}
+   */
+  ResolveConfig.prototype.extend = function(config) {
+    var resolveConfig = this;
+
+    if (config.paths) {
+      Object.keys(config.paths).forEach(function(name) {
+        var path = config.paths[name];
+        resolveConfig.paths[name] = Utils.isArray(path) ? path[0] : path;
+      });
+    }
+
+    if (config.packages) {
+      config.packages.forEach(function(pkg) {
+        pkg = Utils.isString(pkg) ? {name: pkg} : pkg;
+
+        if (!pkg || !Utils.isString(pkg.name)) {
+          throw new TypeError("Package must have a `name`");
+        }
+
+        resolveConfig.packages[pkg.name] = {
+          name     : pkg.name,
+          location : (pkg.location || pkg.name).replace(/\/$/, ""),
+          main     : (pkg.main || "main").replace(/^\.\//, "").replace(/\.js$/, "")
+        };
+      });
+    }
+
+    if (config.map) {
+      Object.keys(config.map).forEach(function(consumer) {
+        resolveConfig.map[consumer] = Utils.extend(resolveConfig.map[consumer] || {}, config.map[consumer]);
+      });
+    }
+
+    return resolveConfig;
+  };
+
+
+  /**
+   * Remaps a module name with `map` first, and then with `packages` and
+   * `paths`. Relative names are not remapped.
+   *
+   * @param {string} name - Module name to remap
+   * @param {string} [parentName] - Name of the module that imports `name`
+   *
+   * @returns {string} The remapped name, or `name` when nothing matches
+   */
+  ResolveConfig.prototype.resolve = function(name, parentName) {
+    if (Path.isRelative(name)) {
+      return name;
+    }
+
+    name = this.applyMap(name, parentName);
+    return this.applyPackages(name) || this.applyPaths(name);
+  };
+
+
+  ResolveConfig.prototype.applyMap = function(name, parentName) {
+    var map = this.map;
+
+    var consumer = parentName ? findPrefix(Object.keys(map), parentName) : null;
+    var mapped   = consumer ? replacePrefix(map[consumer], name) : null;
+
+    if (mapped === null && map["*"]) {
+      mapped = replacePrefix(map["*"], name);
+    }
+
+    return mapped === null ? name : mapped;
+  };
+
+
+  ResolveConfig.prototype.applyPackages = function(name) {
+    var pkgName = findPrefix(Object.keys(this.packages), name);
+
+    if (!pkgName) {
+      return null;
+    }
+
+    var pkg = this.packages[pkgName];
+    var rest = name.substr(pkgName.length);
+    return this.applyPaths(pkg.location + (rest || "/" + pkg.main));
+  };
+
+
+  ResolveConfig.prototype.applyPaths = function(name) {
+    var mapped = replacePrefix(this.paths, name);
+    return mapped === null ? name : mapped;
+  };
+
+
+  /**
+   * Finds the longest key that matches the name or the first segments of the
+   * name.
+   */
+  function findPrefix(keys, name) {
+    return keys
+      .filter(function(key) {
+        return name === key || name.indexOf(key + "/") === 0;
+      })
+      .sort(function(a, b) {
+        return b.length - a.length;
+      })[0];
+  }
+
+
+  function replacePrefix(mappings, name) {
+    var prefix = findPrefix(Object.keys(mappings), name);
+    return prefix ? mappings[prefix] + name.substr(prefix.length) : null;
+  }
+
+
+  module.exports = ResolveConfig;
+})();
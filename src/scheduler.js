@@ -0,0 +1,200 @@
+(function() {
+  "use strict";
+
+  var Promise = require("./promise");
+  var Utils   = require("./utils");
+
+  // Priority classes in the order their tasks run
+  var Priority = {
+    HIGH   : "high",
+    NORMAL : "normal",
+    LOW    : "low"
+  };
+
+  var PriorityOrder = [Priority.HIGH, Priority.NORMAL, Priority.LOW];
+
+
+  /**
+   * Runs tasks with a limit on how many can run at the same time. Tasks that
+   * can't run yet are queued by priority, and tasks with the same priority run
+   * in the order they were scheduled. The loader runs the `fetch` hook for every
+   * module through a scheduler so that large dependency graphs don't hit the
+   * connection limits of browsers or the open file limits in nodejs.
+   *
+   * ``` javascript
+   * var bitloader = new Bitloader({
+   *   concurrency: 6
+   * });
+   *
+   * bitloader.prefetch(["settings", "help"]);
+   * bitloader.import("app");
+   *
+   * console.log(bitloader.scheduler.stats());
+   * ```
+   *
+   * @param {Object} [options={}]
+   * @param {number} [options.concurrency=Infinity] - Max number of tasks that
+   *  run at the same time.
+   */
+  function Scheduler(options) {
+    options = options || {};
+
+    var concurrency = options.concurrency;
+    if (!Utils.isNull(concurrency) && (typeof(concurrency) !== "number" || concurrency <= 0)) {
+      throw new TypeError("Concurrency must be a number greater than 0");
+    }
+
+    this.concurrency = concurrency || Infinity;
+    this.inFlight    = 0;
+    this.queues      = {};
+
+    PriorityOrder.forEach(function(priority) {
+      this.queues[priority] = [];
+    }, this);
+  }
+
+
+  /**
+   * Schedules a task to run when there is room under the concurrency limit
+   *
+   * @param {Function} task - Function that runs the task, which can return a
+   *  promise for async tasks.
+   * @param {string} [priority="normal"] - Priority class of the task. One of
+   *  `high`, `normal` or `low`.
+   *
+   * @returns {Promise} That when resolved, the result of the task is returned
+   */
+  Scheduler.prototype.schedule = function(task, priority) {
+    var scheduler = this;
+    priority = priority || Priority.NORMAL;
+
+    if (!scheduler.queues.hasOwnProperty(priority)) {
+      return Promise.reject(new TypeError("Priority `" + priority + "` is not valid"));
+    }
+
+    return new Promise(function(resolve, reject) {
+      scheduler.queues[priority].push(function() {
+        var running;
+
+        try {
+          running = Promise.resolve(task());
+        }
+        catch(ex) {
+          running = Promise.reject(ex);
+        }
+
+        running.then(function(result) {
+          taskFinished(scheduler);
+          resolve(result);
+        }, function(error) {
+          taskFinished(scheduler);
+          reject(error);
+        });
+      });
+
+      runQueue(scheduler);
+    });
+  };
+
+
+  /**
+   * Gets the number of tasks waiting to run, which is the queue depth
+   *
+   * @param {string} [priority] - Only count the tasks with this priority
+   *
+   * @returns {number}
+   */
+  Scheduler.prototype.getQueued = function(priority) {
+    var queues = this.queues;
+
+    if (priority) {
+      return queues.hasOwnProperty(priority) ? queues[priority].length : 0;
+    }
+
+    return PriorityOrder.reduce(function(count, priority) {
+      return count + queues[priority].length;
+    }, 0);
+  };
+
+
+  /**
+   * Gets the number of tasks that are running
+   *
+   * @returns {number}
+   */
+  Scheduler.prototype.getInFlight = function() {
+    return this.inFlight;
+  };
+
+
+  /**
+   * Gets the queue depth per priority and the number of tasks in flight
+   *
+   * @returns {{queued: number, inFlight: number, concurrency: number, priorities: Object}}
+   */
+  Scheduler.prototype.stats = function() {
+    var scheduler = this;
+
+    return {
+      queued      : scheduler.getQueued(),
+      inFlight    : scheduler.inFlight,
+      concurrency : scheduler.concurrency,
+      priorities  : PriorityOrder.reduce(function(result, priority) {
+        result[priority] = scheduler.getQueued(priority);
+        return result;
+      }, {})
+    };
+  };
+
+
+  /**
+   * Gets the priority for loading a module. Modules with an explicit `priority`
+   * use it. Entry modules, which are modules without a parent, are `high`.
+   * Dependencies are `normal`, unless the module that requires them is `low`,
+   * in which case they are `low` too so that prefetches stay behind.
+   *
+   * @param {Module.Meta} moduleMeta
+   *
+   * @returns {string}
+   */
+  Scheduler.getPriority = function(moduleMeta) {
+    if (moduleMeta.priority) {
+      return moduleMeta.priority;
+    }
+
+    if (!moduleMeta.parentMeta) {
+      return Priority.HIGH;
+    }
+
+    return Scheduler.getPriority(moduleMeta.parentMeta) === Priority.LOW ? Priority.LOW : Priority.NORMAL;
+  };
+
+
+  function taskFinished(scheduler) {
+    scheduler.inFlight--;
+    runQueue(scheduler);
+  }
+
+
+  function runQueue(scheduler) {
+    var next;
+
+    while (scheduler.inFlight < scheduler.concurrency && (next = nextTask(scheduler))) {
+      scheduler.inFlight++;
+      next();
+    }
+  }
+
+
+  function nextTask(scheduler) {
+    for (var i = 0; i < PriorityOrder.length; i++) {
+      if (scheduler.queues[PriorityOrder[i]].length) {
+        return scheduler.queues[PriorityOrder[i]].shift();
+      }
+    }
+  }
+
+
+  Scheduler.Priority = Priority;
+  module.exports = Scheduler;
+})();
@@ -0,0 +1,342 @@
+(function() {
+  "use strict";
+
+  var Utils = require("./utils");
+
+  var BASE64_CHARS = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+
+  var base64Lookup = {};
+  BASE64_CHARS.split("").forEach(function(c, i) {
+    base64Lookup[c] = i;
+  });
+
+
+  /**
+   * Parses a source map, which can be a JSON string or an object.
+   *
+   * @param {string | Object} sourceMap
+   *
+   * @returns {Object} Source map object
+   */
+  function parse(sourceMap) {
+    if (Utils.isString(sourceMap)) {
+      sourceMap = JSON.parse(sourceMap);
+    }
+
+    if (!sourceMap || !Utils.isString(sourceMap.mappings)) {
+      throw new TypeError("Source map must have `mappings`");
+    }
+
+    return sourceMap;
+  }
+
+
+  /**
+   * Decodes the VLQ `mappings` of a source map into lines of segments. Each
+   * segment is an array with the generated column, and optionally the source
+   * index, original line, original column, and name index. All values are
+   * absolute and zero based.
+   *
+   * @param {string} mappings
+   *
+   * @returns {Array.<Array.<Array.<number>>>}
+   */
+  function decode(mappings) {
+    var state = [0, 0, 0, 0, 0];
+
+    return mappings.split(";").map(function(line) {
+      state[0] = 0;
+
+      return line.split(",").filter(Boolean).map(function(segment) {
+        var values = decodeVLQ(segment);
+
+        for (var i = 0; i < values.length; i++) {
+          state[i] += values[i];
+        }
+
+        return state.slice(0, values.length);
+      });
+    });
+  }
+
+
+  /**
+   * Encodes lines of segments back to VLQ `mappings`.
+   *
+   * @param {Array.<Array.<Array.<number>>>} lines
+   *
+   * @returns {string}
+   */
+  function encode(lines) {
+    var state = [0, 0, 0, 0, 0];
+
+    return lines.map(function(line) {
+      state[0] = 0;
+
+      return line.map(function(segment) {
+        var result = "";
+
+        for (var i = 0; i < segment.length; i++) {
+          result += encodeVLQ(segment[i] - state[i]);
+          state[i] = segment[i];
+        }
+
+        return result;
+      }).join(",");
+    }).join(";");
+  }
+
+
+  /**
+   * Composes two source maps into one. The newer map is from a transform that
+   * processed the output of the transform the older map is from, so the result
+   * maps the output of the newer transform all the way back to the sources of
+   * the older map.
+   *
+   * The source of the newer map that is the output of the older map is the one
+   * named after the older map's `file`, or otherwise the first source. Other
+   * sources of the newer map, such as helpers that the transform adds, are
+   * kept as they are.
+   *
+   * @param {string | Object} newer - Map from the last transform
+   * @param {string | Object} older - Map from the previous transforms
+   *
+   * @returns {Object} Composed source map
+   */
+  function compose(newer, older) {
+    newer = parse(newer);
+    older = parse(older);
+
+    var olderLines = decode(older.mappings);
+    var names      = (older.names || []).slice(0);
+    var sources    = (older.sources || []).slice(0);
+    var contents   = sources.map(function(source, i) {
+      return getSourceContent(older, i);
+    });
+
+    var input = getInputIndex(newer, older);
+    var sourceIndexes = (newer.sources || []).map(function(source, i) {
+      if (i === input) {
+        return -1;
+      }
+
+      var index = sources.indexOf(source);
+      if (index === -1) {
+        index = sources.push(source) - 1;
+        contents.push(getSourceContent(newer, i));
+      }
+
+      return index;
+    });
+
+    var lines = decode(newer.mappings).map(function(line) {
+      return line.reduce(function(result, segment) {
+        if (segment.length < 4) {
+          return result;
+        }
+
+        if (segment[1] !== input) {
+          var kept = [segment[0], sourceIndexes[segment[1]], segment[2], segment[3]];
+
+          if (segment.length === 5 && newer.names) {
+            kept.push(addName(names, newer.names[segment[4]]));
+          }
+
+          result.push(kept);
+          return result;
+        }
+
+        var original = findSegment(olderLines[segment[2]], segment[3]);
+        if (!original || original.length < 4) {
+          return result;
+        }
+
+        var mapped = [segment[0], original[1], original[2], original[3]];
+
+        if (original.length === 5) {
+          mapped.push(original[4]);
+        }
+        else if (segment.length === 5 && newer.names) {
+          mapped.push(addName(names, newer.names[segment[4]]));
+        }
+
+        result.push(mapped);
+        return result;
+      }, []);
+    });
+
+    var result = {
+      version  : 3,
+      sources  : sources,
+      names    : names,
+      mappings : encode(lines)
+    };
+
+    if (newer.file || older.file) {
+      result.file = newer.file || older.file;
+    }
+
+    if (older.sourceRoot) {
+      result.sourceRoot = older.sourceRoot;
+    }
+
+    if (older.sourcesContent || newer.sourcesContent) {
+      result.sourcesContent = contents;
+    }
+
+    return result;
+  }
+
+
+  /**
+   * Creates a data URL with the source map, for inlining it in a
+   * `sourceMappingURL` comment.
+   *
+   * @param {string | Object} sourceMap
+   *
+   * @returns {string}
+   */
+  function toDataURL(sourceMap) {
+    var json = Utils.isString(sourceMap) ? sourceMap : JSON.stringify(sourceMap);
+    return "data:application/json;charset=utf-8;base64," + toBase64(json);
+  }
+
+
+  /**
+   * Appends `sourceURL` and inline `sourceMappingURL` comments to the source of
+   * a module meta, so that evaluated code shows up in devtools and stack traces
+   * with the path and the original sources of the module.
+   *
+   * @param {Module.Meta} moduleMeta - Module meta with `source` and `sourceMap`
+   *
+   * @returns {string} Source with the comments
+   */
+  function appendComments(moduleMeta) {
+    var source = moduleMeta.source;
+
+    if (moduleMeta.path || moduleMeta.name) {
+      source += "\n//# sourceURL=" + (moduleMeta.path || moduleMeta.name);
+    }
+
+    if (moduleMeta.sourceMap) {
+      source += "\n//# sourceMappingURL=" + toDataURL(moduleMeta.sourceMap);
+    }
+
+    return source;
+  }
+
+
+  /**
+   * Finds the segment that covers the column, which is the last segment that
+   * starts at or before the column.
+   */
+  function findSegment(line, column) {
+    var found;
+
+    for (var i = 0; line && i < line.length && line[i][0] <= column; i++) {
+      found = line[i];
+    }
+
+    return found;
+  }
+
+
+  /**
+   * Finds the source of the newer map that is the output of the older map.
+   */
+  function getInputIndex(newer, older) {
+    var index = older.file && newer.sources ? newer.sources.indexOf(older.file) : -1;
+    return index === -1 ? 0 : index;
+  }
+
+
+  function getSourceContent(sourceMap, index) {
+    var content = sourceMap.sourcesContent && sourceMap.sourcesContent[index];
+    return Utils.isString(content) ? content : null;
+  }
+
+
+  function addName(names, name) {
+    var index = names.indexOf(name);
+    return index === -1 ? names.push(name) - 1 : index;
+  }
+
+
+  function decodeVLQ(segment) {
+    var values = [], value = 0, shift = 0;
+
+    for (var i = 0; i < segment.length; i++) {
+      var digit = base64Lookup[segment[i]];
+
+      if (digit === undefined) {
+        throw new TypeError("Invalid character `" + segment[i] + "` in source map mappings");
+      }
+
+      value += (digit & 31) << shift;
+
+      if (digit & 32) {
+        shift += 5;
+      }
+      else {
+        values.push(value & 1 ? -(value >>> 1) : (value >>> 1));
+        value = shift = 0;
+      }
+    }
+
+    return values;
+  }
+
+
+  function encodeVLQ(value) {
+    var result = "";
+    var vlq = value < 0 ? ((-value) << 1) + 1 : value << 1;
+
+    do {
+      var digit = vlq & 31;
+      vlq >>>= 5;
+
+      if (vlq > 0) {
+        digit |= 32;
+      }
+
+      result += BASE64_CHARS[digit];
+    } while (vlq > 0);
+
+    return result;
+  }
+
+
+  /**
+   * Base64 encodes the UTF-8 bytes of a string. Implemented here because
+   * there is no single API for it in both the browser and nodejs.
+   */
+  function toBase64(input) {
+    var bytes = encodeURIComponent(input).replace(/%([0-9A-F]{2})/g, function(match, hex) {
+      return String.fromCharCode(parseInt(hex, 16));
+    });
+    var result = "";
+
+    for (var i = 0; i < bytes.length; i += 3) {
+      var a = bytes.charCodeAt(i);
+      var b = bytes.charCodeAt(i + 1);
+      var c = bytes.charCodeAt(i + 2);
+
+      result += BASE64_CHARS[a >> 2];
+      result += BASE64_CHARS[((a & 3) << 4) | (isNaN(b) ? 0 : b >> 4)];
+      result += isNaN(b) ? "=" : BASE64_CHARS[((b & 15) << 2) | (isNaN(c) ? 0 : c >> 6)];
+      result += isNaN(c) ? "=" : BASE64_CHARS[c & 63];
+    }
+
+    return result;
+  }
+
+
+  module.exports = {
+    parse: parse,
+    decode: decode,
+    encode: encode,
+    compose: compose,
+    toDataURL: toDataURL,
+    appendComments: appendComments
+  };
+})();
@@ -48,6 +48,11 @@
   };
 
 
+  StatefulItems.prototype.getNames = function() {
+    return Object.keys(this.items);
+  };
+
+
   StatefulItems.prototype.removeItem = function(name) {
     if (!this.items.hasOwnProperty(name)) {
       throw new TypeError("`" + name + "` cannot be removed - not found");
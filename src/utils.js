@@ -1,4 +1,4 @@
-(function() {
+(function(root) {
   "use strict";
 
   function noop() {
@@ -97,8 +97,41 @@
   }
 
 
+  /**
+   * Creates a hash of a string using 32 bit FNV-1a. This is for detecting when
+   * content changes, so it is not meant to be cryptographically secure.
+   *
+   * @param {string} input - String to hash
+   *
+   * @returns {string} Hash as an 8 character hex string
+   */
+  function hash(input) {
+    var i, length, result = 0x811c9dc5;
+    input = String(input);
+
+    for (i = 0, length = input.length; i < length; i++) {
+      result ^= input.charCodeAt(i);
+      result = (result + (result << 1) + (result << 4) + (result << 7) + (result << 8) + (result << 24)) >>> 0;
+    }
+
+    return ("0000000" + result.toString(16)).slice(-8);
+  }
+
+
+  /**
+   * Gets the current time in milliseconds for measuring how long things take.
+   * Uses the high resolution timer when there is one.
+   *
+   * @returns {number}
+   */
+  function now() {
+    return root && root.performance && root.performance.now ? root.performance.now() : Date.now();
+  }
+
+
   function printError(error) {
-    if (error && !error.handled) {
+    // Aborted operations are expected, so there is nothing to print.
+    if (error && !error.handled && error.name !== "AbortError") {
       error.handled = true;
       if (error.stack) {
         console.log(error.stack);
@@ -117,6 +150,11 @@
   }
 
 
+  function reportError(error) {
+    return printError(error);
+  }
+
+
   function notImplemented() {
     throw new TypeError("Not implemented");
   }
@@ -135,8 +173,11 @@
     result: result,
     extend: extend,
     merge: merge,
+    hash: hash,
+    now: now,
     printError: printError,
+    reportError: reportError,
     forwardError: forwardError,
     notImplemented: notImplemented
   };
-})();
+})(typeof(window) !== "undefined" ? window : this);
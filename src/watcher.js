@@ -0,0 +1,271 @@
+(function() {
+  "use strict";
+
+  var Promise        = require("./promise");
+  var Utils          = require("./utils");
+  var Graph          = require("./graph");
+  var NodeFileSystem = require("./interfaces/file-system/node-file-system");
+  var logger         = require("./logger").factory("Watcher");
+
+
+  /**
+   * Watches the files of the modules imported from `entries`, and imports the
+   * entries again when files change. Every file that goes through the fetch
+   * stage is watched. When a file changes, its module and all the modules that
+   * directly or indirectly depend on it are removed from the module registry
+   * so that they are run through the pipeline again.
+   *
+   * @param {Bitloader} manager
+   * @param {string | Array.<string>} entries - Names of the modules to import
+   * @param {Function} callback - Called after the entries are imported again,
+   *  with an error if the import failed, the codes of the entries, and the
+   *  names of the modules that were invalidated. It is also called with an
+   *  error when a file cannot be watched.
+   * @param {Object} [options={}]
+   * @param {Object} [options.fs] - File system with a `watch(path, listener)`
+   *  method that returns a handle with `close`. Defaults to the disk in nodejs.
+   * @param {number} [options.delay=50] - Milliseconds to wait for more changes
+   *  before importing the entries again.
+   */
+  function Watcher(manager, entries, callback, options) {
+    if (!manager) {
+      throw new TypeError("Must provide a manager");
+    }
+
+    if (!Utils.isFunction(callback)) {
+      throw new TypeError("Must provide a callback function");
+    }
+
+    options = options || {};
+
+    var fs = options.fs || (Utils.isFunction(NodeFileSystem) ? new NodeFileSystem() : null);
+    if (!fs || !Utils.isFunction(fs.watch)) {
+      throw new TypeError("Must provide a file system that can watch files");
+    }
+
+    var watcher = this;
+
+    this.manager  = manager;
+    this.entries  = Utils.isArray(entries) ? entries : [entries];
+    this.callback = callback;
+    this.fs       = fs;
+    this.delay    = options.hasOwnProperty("delay") ? options.delay : 50;
+    this.files    = {};
+    this.changed  = {};
+    this.failed   = [];
+    this.timer    = null;
+    this.running  = null;
+
+    this.listener = function(event) {
+      watcher.add(event.moduleMeta);
+    };
+  }
+
+
+  /**
+   * Starts watching and imports the entries
+   *
+   * @returns {Promise} That when resolved, the codes of the entries are returned
+   */
+  Watcher.prototype.start = function() {
+    this.manager.on("fetch:end", this.listener);
+    return this.import();
+  };
+
+
+  /**
+   * Stops watching all files
+   */
+  Watcher.prototype.close = function() {
+    var files = this.files;
+
+    this.manager.off("fetch:end", this.listener);
+    clearTimeout(this.timer);
+
+    Object.keys(files).forEach(function(path) {
+      files[path].handle.close();
+    });
+
+    this.files   = {};
+    this.changed = {};
+    this.failed  = [];
+  };
+
+
+  /**
+   * Watches the file of a module meta. Fetchers that read files from a base
+   * directory set `filename` to the file they read, which is watched instead
+   * of `path`. Files that cannot be watched are reported to the callback.
+   *
+   * @param {Module.Meta} moduleMeta - Module meta that was fetched
+   */
+  Watcher.prototype.add = function(moduleMeta) {
+    var watcher = this;
+    var path    = moduleMeta.filename || moduleMeta.path;
+
+    if (!path) {
+      return;
+    }
+
+    if (!watcher.files.hasOwnProperty(path)) {
+      logger.log("watch", path);
+
+      var handle;
+
+      try {
+        handle = watcher.fs.watch(path, function() {
+          watcher.change(path);
+        });
+      }
+      catch(ex) {
+        watchFailed(watcher, path, ex);
+        return;
+      }
+
+      if (handle && Utils.isFunction(handle.on)) {
+        handle.on("error", function(error) {
+          delete watcher.files[path];
+          watchFailed(watcher, path, error);
+        });
+      }
+
+      watcher.files[path] = {
+        names  : [],
+        handle : handle
+      };
+    }
+
+    if (watcher.files[path].names.indexOf(moduleMeta.name) === -1) {
+      watcher.files[path].names.push(moduleMeta.name);
+    }
+  };
+
+
+  /**
+   * Records a file change. Changes are batched until there are no changes for
+   * `delay` milliseconds.
+   *
+   * @param {string} path - Path of the file that changed
+   */
+  Watcher.prototype.change = function(path) {
+    var watcher = this;
+
+    watcher.changed[path] = true;
+    clearTimeout(watcher.timer);
+
+    watcher.timer = setTimeout(function() {
+      watcher.flush();
+    }, watcher.delay);
+  };
+
+
+  /**
+   * Invalidates the modules of the files that changed and imports the entries
+   * again. If the entries are already being imported, this waits for that to
+   * finish first.
+   *
+   * @returns {Promise}
+   */
+  Watcher.prototype.flush = function() {
+    var watcher = this;
+
+    if (watcher.running) {
+      return watcher.running.then(function() {
+        return watcher.flush();
+      });
+    }
+
+    // Modules from an import that failed are invalidated again, because the
+    // ones that loaded before the failure can be left behind in the loader.
+    var names = Object.keys(watcher.changed).reduce(function(names, path) {
+      return watcher.files.hasOwnProperty(path) ? names.concat(watcher.files[path].names) : names;
+    }, watcher.failed);
+
+    watcher.changed = {};
+
+    var invalidated = watcher.invalidate(names);
+    logger.log("changed", invalidated);
+
+    function importFinished(codes) {
+      watcher.running = null;
+      watcher.failed  = [];
+      watcher.callback(null, codes, invalidated);
+    }
+
+    function importFailed(error) {
+      watcher.running = null;
+      watcher.failed  = invalidated;
+      watcher.callback(error, null, invalidated);
+    }
+
+    var importing = watcher.import().then(importFinished, importFailed);
+
+    // Failed imports are reported to the callback, so `running` resolves either
+    // way and the changes that are waiting on it are flushed after it.
+    return (watcher.running = new Promise(function(resolve) {
+      importing.then(function() {
+        resolve();
+      }, function() {
+        resolve();
+      });
+    }));
+  };
+
+
+  /**
+   * Removes modules and all the modules that depend on them from the module
+   * registry and from the loader, so that they are loaded again.
+   *
+   * @param {Array.<string>} names - Names of the modules that changed
+   *
+   * @returns {Array.<string>} Names of all the modules that were removed
+   */
+  Watcher.prototype.invalidate = function(names) {
+    var manager = this.manager;
+    var loader  = manager.providers.loader;
+    var graph   = Graph.create(manager);
+
+    var invalidated = names.reduce(function(invalidated, name) {
+      var dependents = graph.hasNode(name) ? graph.dependents(name, true) : [];
+
+      [name].concat(dependents).forEach(function(name) {
+        if (invalidated.indexOf(name) === -1) {
+          invalidated.push(name);
+        }
+      });
+
+      return invalidated;
+    }, []);
+
+    invalidated.forEach(function(name) {
+      if (manager.isModuleCached(name)) {
+        manager.deleteModule(name);
+      }
+
+      if (loader.hasModule(name)) {
+        loader.deleteModule(name);
+      }
+    });
+
+    return invalidated;
+  };
+
+
+  /**
+   * Imports the entries
+   *
+   * @returns {Promise} That when resolved, the codes of the entries are returned
+   */
+  Watcher.prototype.import = function() {
+    return this.manager.import(this.entries);
+  };
+
+
+  function watchFailed(watcher, path, error) {
+    logger.error("Unable to watch", path, error);
+    watcher.callback(error, null, []);
+  }
+
+
+  module.exports = Watcher;
+})();
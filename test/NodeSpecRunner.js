@@ -0,0 +1,47 @@
+/* jshint node: true */
+
+/**
+ * Runs the specs for the parts of bit-loader that only work in nodejs, and
+ * that are therefore left out of the browser build, against the sources.
+ *
+ * mocha test/NodeSpecRunner.js
+ */
+var path = require("path");
+var chai = require("chai");
+
+global.sinon  = require("sinon");
+global.expect = chai.expect;
+global.assert = chai.assert;
+
+// Specs are written for the browser, where timers are on `window`. Sinon is
+// loaded first because it tells the browser and nodejs apart by `window`.
+global.window = global;
+
+var baseUrl = path.join(__dirname, "..");
+var modules = {
+  "dist/bit-loader": require(path.join(baseUrl, "src/bit-loader"))
+};
+
+
+/**
+ * Loads an AMD module relative to the root of the project. Modules are loaded
+ * synchronously, so the value of the module is whatever `define` got last.
+ */
+function load(name) {
+  if (!modules.hasOwnProperty(name)) {
+    require(path.join(baseUrl, name));
+    modules[name] = global.define.result;
+  }
+
+  return modules[name];
+}
+
+
+global.define = function(deps, factory) {
+  global.define.result = factory.apply(null, deps.map(load));
+};
+
+
+[
+  "test/spec/node-fetcher"
+].forEach(load);
@@ -17,6 +17,31 @@ require([
   "test/spec/plugin",
   "test/spec/ignore",
   "test/spec/transform",
+  "test/spec/circular",
+  "test/spec/hot",
+  "test/spec/graph",
+  "test/spec/bundler",
+  "test/spec/cache",
+  "test/spec/abort",
+  "test/spec/module-error",
+  "test/spec/events",
+  "test/spec/profiler",
+  "test/spec/source-map",
+  "test/spec/node-resolver",
+  "test/spec/import-map",
+  "test/spec/resolve-config",
+  "test/spec/resolve-pipeline",
+  "test/spec/plugin-prefix",
+  "test/spec/conditions",
+  "test/spec/browser-fetcher",
+  "test/spec/node-fetcher",
+  "test/spec/watcher",
+  "test/spec/scheduler",
+  "test/spec/cjs-compiler",
+  "test/spec/amd-compiler",
+  "test/spec/dependency-extractor",
+  "test/spec/es-module",
+  "test/spec/system-compiler",
   "test/spec/bit-loader"
 ], function() {
   mocha.run();
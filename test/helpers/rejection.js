@@ -0,0 +1,19 @@
+define(["dist/bit-loader"], function(Bitloader) {
+
+  /**
+   * Waits for a promise to be rejected, and resolves with the reason. Promises
+   * that resolve instead fail the test.
+   *
+   * @param {Promise} promise - Promise that is expected to be rejected
+   *
+   * @returns {Promise}
+   */
+  return function rejection(promise) {
+    return new Bitloader.Promise(function(resolve, reject) {
+      promise.then(function() {
+        reject(new Error("expected rejection"));
+      }, resolve);
+    });
+  };
+
+});
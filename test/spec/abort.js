@@ -0,0 +1,220 @@
+define(["dist/bit-loader", "test/helpers/rejection"], function(Bitloader, rejection) {
+  var AbortController = Bitloader.AbortController;
+
+  describe("Abort Test Suite", function() {
+    var bitloader, controller, fetchStub, fetchDeferreds;
+
+    beforeEach(function() {
+      controller     = new AbortController();
+      fetchDeferreds = {};
+
+      fetchStub = sinon.spy(function(moduleMeta) {
+        return new Bitloader.Promise(function(resolve) {
+          fetchDeferreds[moduleMeta.name] = function() {
+            resolve({source: moduleMeta.name + " source"});
+          };
+        });
+      });
+
+      bitloader = new Bitloader({
+        fetch: fetchStub
+      });
+
+      bitloader.pipelines.dependency.use(function(moduleMeta) {
+        moduleMeta.deps = moduleMeta.name === "main" ? ["dep"] : [];
+      });
+    });
+
+
+    describe("When aborting an AbortController", function() {
+      var listenerStub;
+
+      beforeEach(function() {
+        listenerStub = sinon.stub();
+        controller.signal.addEventListener("abort", listenerStub);
+        controller.abort();
+        controller.abort();
+      });
+
+      it("then the signal is aborted", function() {
+        expect(controller.signal.aborted).to.equal(true);
+      });
+
+      it("then the abort listeners are called once", function() {
+        expect(listenerStub.calledOnce).to.equal(true);
+      });
+    });
+
+
+    describe("When importing with a signal that is already aborted", function() {
+      var error;
+
+      beforeEach(function() {
+        controller.abort();
+        return rejection(bitloader.import("main", {signal: controller.signal})).then(function(_error) {
+          error = _error;
+        });
+      });
+
+      it("then the import is rejected with an AbortError", function() {
+        expect(error.name).to.equal("AbortError");
+      });
+
+      it("then nothing is fetched", function() {
+        expect(fetchStub.called).to.equal(false);
+      });
+    });
+
+
+    describe("When aborting an import while a dependency is being fetched", function() {
+      var error;
+
+      beforeEach(function() {
+        var importing = bitloader.import("main", {signal: controller.signal});
+
+        return waitForFetch("main").then(function() {
+          fetchDeferreds.main();
+          return waitForFetch("dep");
+        }).then(function() {
+          controller.abort();
+          return rejection(importing);
+        }).then(function(_error) {
+          error = _error;
+        });
+      });
+
+      it("then the import is rejected with an AbortError", function() {
+        expect(error.name).to.equal("AbortError");
+      });
+
+      it("then module `main` is removed from the loader", function() {
+        expect(bitloader.providers.loader.hasModule("main")).to.equal(false);
+      });
+
+      it("then module `dep` is removed from the loader", function() {
+        expect(bitloader.providers.loader.hasModule("dep")).to.equal(false);
+      });
+
+      it("then the module meta has the signal", function() {
+        expect(fetchStub.args[0][0].signal).to.equal(controller.signal);
+      });
+
+
+      describe("and fetching module `dep` finishes after the abort", function() {
+        beforeEach(function() {
+          fetchDeferreds.dep();
+          return new Bitloader.Promise(function(resolve) {
+            window.setTimeout(resolve, 10);
+          });
+        });
+
+        it("then module `dep` is not registered in the loader", function() {
+          expect(bitloader.providers.loader.hasModule("dep")).to.equal(false);
+        });
+      });
+
+
+      describe("and importing module `main` again", function() {
+        var result;
+
+        beforeEach(function() {
+          fetchStub.reset();
+          fetchDeferreds = {};
+          var importing = bitloader.import("main");
+
+          return waitForFetch("main").then(function() {
+            fetchDeferreds.main();
+            return waitForFetch("dep");
+          }).then(function() {
+            fetchDeferreds.dep();
+            return importing;
+          }).then(function(_result) {
+            result = _result;
+          });
+        });
+
+        it("then module `main` is fetched again", function() {
+          expect(fetchStub.calledWith(sinon.match({name: "main"}))).to.equal(true);
+        });
+
+        it("then module `main` is imported", function() {
+          expect(result).to.equal("main source");
+        });
+      });
+    });
+
+
+    describe("When an import with a signal finishes", function() {
+      beforeEach(function() {
+        var importing = bitloader.import("main", {signal: controller.signal});
+
+        return waitForFetch("main").then(function() {
+          fetchDeferreds.main();
+          return waitForFetch("dep");
+        }).then(function() {
+          fetchDeferreds.dep();
+          return importing;
+        });
+      });
+
+      it("then the signal has no abort listeners left", function() {
+        expect(controller.signal._listeners.length).to.equal(0);
+      });
+    });
+
+
+    describe("When aborting an import while the same module is imported without a signal", function() {
+      var error, result;
+
+      beforeEach(function() {
+        var aborted   = bitloader.import("main", {signal: controller.signal});
+        var importing = bitloader.import("main");
+
+        return waitForFetch("main").then(function() {
+          fetchDeferreds = {};
+          controller.abort();
+          return rejection(aborted);
+        }).then(function(_error) {
+          error = _error;
+          return waitForFetch("main");
+        }).then(function() {
+          fetchDeferreds.main();
+          return waitForFetch("dep");
+        }).then(function() {
+          fetchDeferreds.dep();
+          return importing;
+        }).then(function(_result) {
+          result = _result;
+        });
+      });
+
+      it("then the import with the signal is rejected with an AbortError", function() {
+        expect(error.name).to.equal("AbortError");
+      });
+
+      it("then the import without a signal is not rejected", function() {
+        expect(result).to.equal("main source");
+      });
+
+      it("then module `main` is fetched again without the signal", function() {
+        expect(fetchStub.callCount).to.equal(3);
+        expect(fetchStub.args[1][0].signal).to.equal(undefined);
+      });
+    });
+
+
+    function waitForFetch(name) {
+      return new Bitloader.Promise(function(resolve) {
+        (function check() {
+          if (fetchDeferreds[name]) {
+            resolve();
+          }
+          else {
+            window.setTimeout(check, 0);
+          }
+        })();
+      });
+    }
+  });
+
+});
@@ -0,0 +1,320 @@
+define(["dist/bit-loader", "test/helpers/rejection"], function(Bitloader, rejection) {
+
+  describe("AmdCompiler Test Suite", function() {
+    var bitloader, sources, fetch;
+
+    beforeEach(function() {
+      sources = {};
+
+      fetch = sinon.spy(function(moduleMeta) {
+        return {source: sources[moduleMeta.name]};
+      });
+
+      bitloader = new Bitloader({
+        resolve: function(moduleMeta) {
+          return {path: "js/" + moduleMeta.name + ".js"};
+        },
+        fetch: fetch
+      });
+
+      bitloader.compile = new Bitloader.AmdCompiler(bitloader).compile;
+    });
+
+    function fetchedNames() {
+      return fetch.args.map(function(args) {
+        return args[0].name;
+      });
+    }
+
+
+    describe("When creating a compiler without a manager", function() {
+      it("then an error is thrown", function() {
+        expect(function() {
+          new Bitloader.AmdCompiler();
+        }).to.throw(TypeError, "Must provide a manager");
+      });
+    });
+
+
+    describe("When evaluating a source with defines", function() {
+      var defines;
+
+      beforeEach(function() {
+        defines = Bitloader.AmdCompiler.evaluate(new Bitloader.Module.Meta({
+          name: "a",
+          source: "define(function() {}); define('b', ['c'], function(c) {}); define('d', {value: 1}); define(define.amd);"
+        }));
+      });
+
+      it("then all the defines are returned", function() {
+        expect(defines.length).to.equal(4);
+      });
+
+      it("then anonymous defines do not have a name", function() {
+        expect(defines[0].name).to.equal(null);
+        expect(defines[0].deps).to.eql([]);
+      });
+
+      it("then named defines have their name and dependencies", function() {
+        expect(defines[1].name).to.equal("b");
+        expect(defines[1].deps).to.eql(["c"]);
+      });
+
+      it("then defines can have values as factories", function() {
+        expect(defines[2].name).to.equal("d");
+        expect(defines[2].factory).to.eql({value: 1});
+      });
+
+      it("then `define.amd` is set", function() {
+        expect(defines[3].factory).to.eql({});
+      });
+    });
+
+
+    describe("When importing an anonymous module with dependencies", function() {
+      var result;
+
+      beforeEach(function() {
+        sources.a = "define(['b'], function(b) { return 'a' + b; });";
+        sources.b = "define(['c'], function(c) { return 'b' + c.name; });";
+        sources.c = "define({name: 'c'});";
+
+        return bitloader.import("a").then(function(code) {
+          result = code;
+        });
+      });
+
+      it("then the module code is what the factory returns", function() {
+        expect(result).to.equal("abc");
+      });
+
+      it("then the module is an AMD module", function() {
+        expect(bitloader.getModule("a").type).to.equal(Bitloader.Module.Type.AMD);
+      });
+
+      it("then the module has the dependencies from define", function() {
+        expect(bitloader.getModule("a").deps).to.eql(["b"]);
+      });
+    });
+
+
+    describe("When importing a module with `require`, `exports` and `module` dependencies", function() {
+      var result;
+
+      beforeEach(function() {
+        sources.a = "define(['require', 'exports', 'module', 'b'], function(require, exports, module, b) { exports.b = b; exports.required = require('b'); exports.id = module.id; });";
+        sources.b = "define(function() { return 'b'; });";
+
+        return bitloader.import("a").then(function(code) {
+          result = code;
+        });
+      });
+
+      it("then the module code is `exports`", function() {
+        expect(result.b).to.equal("b");
+      });
+
+      it("then `require` returns the code of the dependency", function() {
+        expect(result.required).to.equal("b");
+      });
+
+      it("then `module` has the id of the module", function() {
+        expect(result.id).to.equal("a");
+      });
+
+      it("then the special dependencies are not loaded", function() {
+        expect(fetchedNames().sort()).to.eql(["a", "b"]);
+      });
+    });
+
+
+    describe("When importing a module defined CJS style without dependencies", function() {
+      var result;
+
+      beforeEach(function() {
+        sources.a = "define(function(require, exports, module) {\n  // require('ignored')\n  module.exports = require('b') + require(\"c\");\n});";
+        sources.b = "define('b', [], 'b');";
+        sources.c = "define('c', function() { return 'c'; });";
+
+        return bitloader.import("a").then(function(code) {
+          result = code;
+        });
+      });
+
+      it("then the modules in `require` calls are loaded", function() {
+        expect(fetchedNames().sort()).to.eql(["a", "b", "c"]);
+      });
+
+      it("then the module code is `module.exports`", function() {
+        expect(result).to.equal("bc");
+      });
+    });
+
+
+    describe("When importing a file that defines several modules", function() {
+      var result;
+
+      beforeEach(function() {
+        sources.a = "define('c', function() { return 'c'; }); define(['c'], function(c) { return 'a' + c; }); define('d', ['c'], function(c) { return 'd' + c; });";
+
+        return bitloader.import("a").then(function(code) {
+          result = code;
+        });
+      });
+
+      it("then the anonymous define is the module", function() {
+        expect(result).to.equal("ac");
+      });
+
+      it("then the modules defined in the file are not fetched", function() {
+        expect(fetchedNames()).to.eql(["a"]);
+      });
+
+
+      describe("and importing another module defined in the file", function() {
+        beforeEach(function() {
+          return bitloader.import("d").then(function(code) {
+            result = code;
+          });
+        });
+
+        it("then the module is built from its define", function() {
+          expect(result).to.equal("dc");
+        });
+
+        it("then the module is not fetched", function() {
+          expect(fetchedNames()).to.eql(["a"]);
+        });
+      });
+    });
+
+
+    describe("When importing a module with a named define for the module", function() {
+      var result;
+
+      beforeEach(function() {
+        sources.jquery = "define('jquery', [], function() { return 'jquery'; });";
+
+        return bitloader.import("jquery").then(function(code) {
+          result = code;
+        });
+      });
+
+      it("then the named define is the module", function() {
+        expect(result).to.equal("jquery");
+      });
+    });
+
+
+    describe("When importing a module that does not define itself", function() {
+      var result;
+
+      beforeEach(function() {
+        sources.a = "var a = 1;";
+
+        return bitloader.import("a").then(function(code) {
+          result = code;
+        });
+      });
+
+      it("then the module code is undefined", function() {
+        expect(result).to.equal(undefined);
+        expect(bitloader.isModuleCached("a")).to.equal(true);
+      });
+    });
+
+
+    describe("When importing a module with two anonymous defines", function() {
+      var error;
+
+      beforeEach(function() {
+        sources.a = "define(function() {}); define(function() {});";
+
+        return rejection(bitloader.import("a")).then(function(err) {
+          error = err;
+        });
+      });
+
+      it("then the import is rejected with a `CompileError`", function() {
+        expect(error).to.be.an.instanceof(Bitloader.ModuleError.CompileError);
+        expect(error.cause.message).to.equal("Module `a` has more than one anonymous define");
+      });
+    });
+
+
+    describe("When importing modules that define a circular dependency", function() {
+      var result;
+
+      beforeEach(function() {
+        sources.a = "define(['b', 'exports'], function(b, exports) { exports.name = 'a'; exports.b = b; });";
+        sources.b = "define(['a'], function(a) { return {name: 'b', a: a}; });";
+
+        return bitloader.import("a").then(function(a) {
+          result = a;
+        });
+      });
+
+      it("then the import resolves to the code of the module", function() {
+        expect(result.name).to.equal("a");
+        expect(result.b.name).to.equal("b");
+      });
+
+      it("then the module that closes the cycle gets the exports of the module", function() {
+        expect(result.b.a).to.equal(result);
+      });
+
+      it("then the modules are fetched only once", function() {
+        expect(fetchedNames()).to.eql(["a", "b"]);
+      });
+    });
+
+
+    describe("When importing modules that define a circular dependency with `strictCircular`", function() {
+      var error;
+
+      beforeEach(function() {
+        bitloader.settings.strictCircular = true;
+        sources.a = "define(['b'], function(b) { return 'a'; });";
+        sources.b = "define(['a'], function(a) { return 'b'; });";
+
+        return rejection(bitloader.import("a")).then(function(err) {
+          error = err;
+        });
+      });
+
+      it("then the import is rejected with a `LinkError`", function() {
+        expect(error).to.be.an.instanceof(Bitloader.ModuleError.LinkError);
+        expect(error.cause.message).to.equal("Circular dependency detected: b -> a -> b");
+      });
+
+      it("then the modules are fetched only once", function() {
+        expect(fetchedNames()).to.eql(["a", "b"]);
+      });
+    });
+
+
+    describe("When a module requires modules asynchronously", function() {
+      var result;
+
+      beforeEach(function() {
+        sources.a = "define(['require'], function(require) { return {load: function(callback) { require(['b', 'c'], callback); }}; });";
+        sources.b = "define(function() { return 'b'; });";
+        sources.c = "define(function() { return 'c'; });";
+
+        return bitloader.import("a").then(function(a) {
+          return new Bitloader.Promise(function(resolve) {
+            a.load(function(b, c) {
+              resolve([b, c]);
+            });
+          });
+        }).then(function(codes) {
+          result = codes;
+        });
+      });
+
+      it("then the callback is called with the code of the modules", function() {
+        expect(result).to.eql(["b", "c"]);
+      });
+    });
+  });
+});
@@ -0,0 +1,265 @@
+define(["dist/bit-loader", "test/helpers/rejection"], function(Bitloader, rejection) {
+
+  describe("BrowserFetcher Test Suite", function() {
+    var XMLHttpRequest, requests;
+
+    beforeEach(function() {
+      requests = [];
+      XMLHttpRequest = window.XMLHttpRequest;
+      window.XMLHttpRequest = sinon.FakeXMLHttpRequest;
+      sinon.FakeXMLHttpRequest.onCreate = function(xhr) {
+        requests.push(xhr);
+      };
+    });
+
+    afterEach(function() {
+      window.XMLHttpRequest = XMLHttpRequest;
+      sinon.FakeXMLHttpRequest.onCreate = null;
+    });
+
+    // Responds to requests as they are made, so that retries get responses too
+    function respondWith(responses) {
+      var index = 0;
+
+      sinon.FakeXMLHttpRequest.onCreate = function(xhr) {
+        requests.push(xhr);
+
+        var response = responses[Math.min(index++, responses.length - 1)];
+        if (response) {
+          window.setTimeout(function() {
+            xhr.respond(response[0], response[1], response[2]);
+          }, 0);
+        }
+      };
+    }
+
+
+    describe("When fetching a module with a base URL, headers and credentials", function() {
+      var result;
+
+      beforeEach(function() {
+        respondWith([[200, {"Content-Type": "application/javascript; charset=utf-8"}, "module source"]]);
+
+        var fetcher = new Bitloader.BrowserFetcher({
+          baseUrl: "http://localhost/app/",
+          headers: {"X-Requested-With": "bit-loader"},
+          credentials: true
+        });
+
+        return fetcher.fetch({name: "a", path: "js/a.js"}).then(function(_result) {
+          result = _result;
+        });
+      });
+
+      it("then the path is requested relative to the base URL", function() {
+        expect(requests[0].url).to.equal("http://localhost/app/js/a.js");
+      });
+
+      it("then the request has the headers", function() {
+        expect(requests[0].requestHeaders["X-Requested-With"]).to.equal("bit-loader");
+      });
+
+      it("then the request is made with credentials", function() {
+        expect(requests[0].withCredentials).to.equal(true);
+      });
+
+      it("then the result has the source, url and content type", function() {
+        expect(result).to.eql({
+          source: "module source",
+          url: "http://localhost/app/js/a.js",
+          contentType: "application/javascript"
+        });
+      });
+    });
+
+
+    describe("When fetching a module with a generic content type", function() {
+      it("then the content type is sniffed from the extension", function() {
+        respondWith([[200, {"Content-Type": "text/plain"}, "{}"]]);
+
+        return new Bitloader.BrowserFetcher().fetch({name: "a", path: "/data.json?v=1"}).then(function(result) {
+          expect(result.contentType).to.equal("application/json");
+        });
+      });
+    });
+
+
+    describe("When fetching a module fails with a server error and then succeeds", function() {
+      var result;
+
+      beforeEach(function() {
+        respondWith([[503, {}, ""], [500, {}, ""], [200, {}, "source"]]);
+
+        return new Bitloader.BrowserFetcher({retryDelay: 0}).fetch({name: "a", path: "a.js"}).then(function(_result) {
+          result = _result;
+        });
+      });
+
+      it("then the request is retried", function() {
+        expect(requests.length).to.equal(3);
+        expect(result.source).to.equal("source");
+      });
+    });
+
+
+    describe("When fetching a module keeps failing with a server error", function() {
+      var error;
+
+      beforeEach(function() {
+        respondWith([[500, {}, ""]]);
+
+        return rejection(new Bitloader.BrowserFetcher({retries: 1, retryDelay: 0}).fetch({name: "a", path: "a.js"})).then(function(_error) {
+          error = _error;
+        });
+      });
+
+      it("then the request is retried up to `retries` times", function() {
+        expect(requests.length).to.equal(2);
+      });
+
+      it("then the fetch fails with the status", function() {
+        expect(error).to.be.an.instanceof(TypeError);
+        expect(error.status).to.equal(500);
+      });
+    });
+
+
+    describe("When fetching a module that is not found", function() {
+      var error;
+
+      beforeEach(function() {
+        respondWith([[404, {}, ""]]);
+
+        return rejection(new Bitloader.BrowserFetcher({retryDelay: 0}).fetch({name: "a", path: "a.js"})).then(function(_error) {
+          error = _error;
+        });
+      });
+
+      it("then the request is not retried", function() {
+        expect(requests.length).to.equal(1);
+        expect(error.message).to.equal("Unable to fetch `a.js`. Status 404");
+      });
+    });
+
+
+    describe("When fetching a module times out", function() {
+      var error;
+
+      beforeEach(function() {
+        respondWith([null]);
+
+        return rejection(new Bitloader.BrowserFetcher({timeout: 5, retries: 0}).fetch({name: "a", path: "a.js"})).then(function(_error) {
+          error = _error;
+        });
+      });
+
+      it("then the fetch fails with a timeout error", function() {
+        expect(error.message).to.equal("Unable to fetch `a.js`. Timed out after 5ms");
+      });
+
+      it("then the request is aborted", function() {
+        expect(requests[0].aborted).to.equal(true);
+      });
+    });
+
+
+    describe("When the signal of a module is aborted while it is being fetched", function() {
+      var controller, signal, error;
+
+      beforeEach(function() {
+        respondWith([null]);
+        controller = new Bitloader.AbortController();
+        signal = controller.signal;
+        sinon.spy(signal, "removeEventListener");
+
+        var fetching = new Bitloader.BrowserFetcher().fetch({name: "a", path: "a.js", signal: signal});
+        controller.abort();
+
+        return rejection(fetching).then(function(_error) {
+          error = _error;
+        });
+      });
+
+      it("then the fetch fails with an AbortError", function() {
+        expect(Bitloader.AbortController.isAbortError(error)).to.equal(true);
+      });
+
+      it("then the request is aborted", function() {
+        expect(requests[0].aborted).to.equal(true);
+      });
+
+      it("then the abort listener is removed", function() {
+        expect(signal.removeEventListener.calledWith("abort")).to.equal(true);
+        expect(signal._listeners.length).to.equal(0);
+      });
+    });
+
+
+    describe("When the signal of a module is aborted while waiting to retry the request", function() {
+      var error;
+
+      beforeEach(function() {
+        respondWith([[500, {}, ""], [200, {}, "source"]]);
+        var controller = new Bitloader.AbortController();
+        var fetcher    = new Bitloader.BrowserFetcher({retryDelay: 1000});
+
+        var fetching = fetcher.fetch({name: "a", path: "a.js", signal: controller.signal});
+
+        // Abort once the first request has failed and the retry is waiting
+        window.setTimeout(function() {
+          controller.abort();
+        }, 10);
+
+        return rejection(fetching).then(function(_error) {
+          error = _error;
+        });
+      });
+
+      it("then the fetch fails with an AbortError without waiting for the retry", function() {
+        expect(Bitloader.AbortController.isAbortError(error)).to.equal(true);
+        expect(requests.length).to.equal(1);
+      });
+    });
+
+
+    describe("When fetching a module with a signal that is already aborted", function() {
+      it("then no request is made", function() {
+        var controller = new Bitloader.AbortController();
+        controller.abort();
+
+        return rejection(new Bitloader.BrowserFetcher().fetch({name: "a", path: "a.js", signal: controller.signal})).then(function(error) {
+          expect(Bitloader.AbortController.isAbortError(error)).to.equal(true);
+          expect(requests.length).to.equal(0);
+        });
+      });
+    });
+
+
+    describe("When importing a module with a loader that uses the fetcher", function() {
+      var bitloader, result;
+
+      beforeEach(function() {
+        respondWith([[200, {"Content-Type": "text/css"}, "body {}"]]);
+
+        var fetcher = new Bitloader.BrowserFetcher({baseUrl: "http://localhost/"});
+        bitloader = new Bitloader({fetch: fetcher.fetch});
+
+        bitloader.plugin("css", {
+          match: {contentType: ["text/css"]},
+          transform: function(moduleMeta) {
+            return {source: "/* css */ " + moduleMeta.source};
+          }
+        });
+
+        return bitloader.import("style.css").then(function(_result) {
+          result = _result;
+        });
+      });
+
+      it("then plugins can match on the content type", function() {
+        expect(result).to.equal("/* css */ body {}");
+      });
+    });
+  });
+
+});
@@ -0,0 +1,104 @@
+define(["dist/bit-loader"], function(Bitloader) {
+
+  describe("Bundler Test Suite", function() {
+    var bitloader, sources, dependencies;
+
+    beforeEach(function() {
+      sources = {
+        "main": "var util = require('util'); module.exports = {value: util.double(21)};",
+        "util": "exports.double = function(value) { return value * 2; };"
+      };
+
+      dependencies = {
+        "main": ["util"],
+        "util": []
+      };
+
+      bitloader = new Bitloader({
+        fetch: function(moduleMeta) {
+          return {source: sources[moduleMeta.name]};
+        }
+      });
+
+      bitloader.pipelines.dependency.use(function(moduleMeta) {
+        moduleMeta.deps = dependencies[moduleMeta.name];
+      });
+    });
+
+
+    describe("When creating a Bundler without a manager", function() {
+      it("then a TypeError is thrown", function() {
+        expect(function() {
+          new Bitloader.Bundler();
+        }).to.throw(TypeError, "Must provide a manager");
+      });
+    });
+
+
+    describe("When bundling module `main`", function() {
+      var bundle;
+
+      beforeEach(function() {
+        return bitloader.bundle("main", {expose: "testBundle"}).then(function(_bundle) {
+          bundle = _bundle;
+        });
+      });
+
+      it("then the bundle is a string", function() {
+        expect(bundle).to.be.a("string");
+      });
+
+      it("then module `util` is registered before module `main`", function() {
+        expect(bundle.indexOf("register(\"util\", [],")).to.be.below(bundle.indexOf("register(\"main\", [\"util\"],"));
+      });
+
+      it("then the bundle has the transformed source of the modules", function() {
+        expect(bundle).to.contain(sources.util);
+      });
+
+
+      describe("and running the bundle", function() {
+        var context;
+
+        beforeEach(function() {
+          context = {};
+          /* jshint -W054 */
+          (new Function("window", bundle))(context);
+          /* jshint +W054 */
+        });
+
+        it("then the bundle `require` is exposed", function() {
+          expect(context.testBundle).to.be.a("function");
+        });
+
+        it("then module `main` is linked with module `util`", function() {
+          expect(context.testBundle("main").value).to.equal(42);
+        });
+      });
+    });
+
+
+    describe("When bundling a registered module", function() {
+      var bundle;
+
+      beforeEach(function() {
+        bitloader.register("registered", ["util"], function(util) {
+          return util.double(2);
+        });
+
+        return bitloader.bundle(["registered"], {expose: "testBundle"}).then(function(_bundle) {
+          bundle = _bundle;
+        });
+      });
+
+      it("then the factory gets its dependencies as arguments", function() {
+        var context = {};
+        /* jshint -W054 */
+        (new Function("window", bundle))(context);
+        /* jshint +W054 */
+        expect(context.testBundle("registered")).to.equal(4);
+      });
+    });
+  });
+
+});
@@ -0,0 +1,170 @@
+define(["dist/bit-loader"], function(Bitloader) {
+  var Cache = Bitloader.Cache;
+
+  describe("Cache Test Suite", function() {
+    var storage, sources, transformStub, dependencyStub;
+
+    function createLoader() {
+      var bitloader = new Bitloader({
+        cache: storage,
+        resolve: function(moduleMeta) {
+          return {path: "js/" + moduleMeta.name + ".js"};
+        },
+        fetch: function(moduleMeta) {
+          return {source: sources[moduleMeta.name]};
+        }
+      });
+
+      bitloader.plugin("js", {
+        transform: transformStub,
+        dependency: dependencyStub
+      });
+
+      return bitloader;
+    }
+
+    beforeEach(function() {
+      storage = new Cache.MemoryStorage();
+      sources = {main: "main source", dep: "dep source"};
+      transformStub = sinon.spy(function(moduleMeta) {
+        moduleMeta.source = "transformed " + moduleMeta.source;
+      });
+      dependencyStub = sinon.spy(function(moduleMeta) {
+        moduleMeta.deps = moduleMeta.name === "main" ? ["dep"] : [];
+        moduleMeta.dynamicDeps = moduleMeta.name === "main" ? ["lazy"] : [];
+      });
+    });
+
+
+    describe("When creating a Cache without a manager", function() {
+      it("then a TypeError is thrown", function() {
+        expect(function() {
+          new Cache();
+        }).to.throw(TypeError, "Must provide a manager");
+      });
+    });
+
+
+    describe("When importing module `main` with a cold cache", function() {
+      var result;
+
+      beforeEach(function() {
+        return createLoader().import("main").then(function(_result) {
+          result = _result;
+        });
+      });
+
+      it("then the transform plugin runs for `main` and `dep`", function() {
+        expect(transformStub.callCount).to.equal(2);
+      });
+
+      it("then the dependency plugin runs for `main` and `dep`", function() {
+        expect(dependencyStub.callCount).to.equal(2);
+      });
+
+      it("then the module code is the transformed source", function() {
+        expect(result).to.equal("transformed main source");
+      });
+
+      it("then both modules are saved in the storage", function() {
+        expect(Object.keys(storage.items).length).to.equal(2);
+      });
+
+
+      describe("and importing module `main` again with a warm cache", function() {
+        var bitloader, warmResult;
+
+        beforeEach(function() {
+          transformStub.reset();
+          dependencyStub.reset();
+
+          bitloader = createLoader();
+          return bitloader.import("main").then(function(_result) {
+            warmResult = _result;
+          });
+        });
+
+        it("then the transform plugin is not called", function() {
+          expect(transformStub.called).to.equal(false);
+        });
+
+        it("then the dependency plugin is not called", function() {
+          expect(dependencyStub.called).to.equal(false);
+        });
+
+        it("then the module code is the transformed source from the cache", function() {
+          expect(warmResult).to.equal("transformed main source");
+        });
+
+        it("then the dependencies from the cache are loaded", function() {
+          expect(bitloader.getModuleCode("dep")).to.equal("transformed dep source");
+        });
+
+        it("then the dynamic dependencies are restored from the cache", function() {
+          expect(bitloader.getModule("main").meta.dynamicDeps).to.eql(["lazy"]);
+        });
+      });
+
+
+      describe("and importing module `main` again after `dep` changed", function() {
+        beforeEach(function() {
+          transformStub.reset();
+          dependencyStub.reset();
+          sources.dep = "new dep source";
+          return createLoader().import("main");
+        });
+
+        it("then the transform plugin only runs for `dep`", function() {
+          expect(transformStub.callCount).to.equal(1);
+          expect(transformStub.args[0][0].name).to.equal("dep");
+        });
+      });
+
+
+      describe("and importing module `main` again with a storage key that collides with `dep`", function() {
+        var collidingResult;
+
+        beforeEach(function() {
+          var depEntry = storage.items[Object.keys(storage.items).filter(function(key) {
+            return storage.items[key].path === "js/dep.js";
+          })[0]];
+
+          transformStub.reset();
+          sinon.stub(storage, "get").returns(depEntry);
+
+          return createLoader().import("main").then(function(_result) {
+            collidingResult = _result;
+          });
+        });
+
+        it("then the entry of `dep` is not used for `main`", function() {
+          expect(collidingResult).to.equal("transformed main source");
+        });
+
+        it("then the transform plugin only runs for `main`", function() {
+          expect(transformStub.callCount).to.equal(1);
+          expect(transformStub.args[0][0].name).to.equal("main");
+        });
+      });
+
+
+      describe("and importing module `main` again after the plugin configuration changed", function() {
+        beforeEach(function() {
+          transformStub.reset();
+
+          var bitloader = createLoader();
+          bitloader.plugin("js", {
+            transform: [transformStub, function() {}]
+          });
+
+          return bitloader.import("main");
+        });
+
+        it("then the transform plugin runs for `main` and `dep`", function() {
+          expect(transformStub.callCount).to.equal(2);
+        });
+      });
+    });
+  });
+
+});
@@ -0,0 +1,148 @@
+define(["dist/bit-loader", "test/helpers/rejection"], function(Bitloader, rejection) {
+
+  describe("Circular Dependency Test Suite", function() {
+
+    function createLoader(dependencies, factories, options) {
+      options = options || {};
+
+      options.fetch = function() {
+        return {source: ""};
+      };
+
+      options.compile = function(moduleMeta) {
+        return {factory: factories[moduleMeta.name]};
+      };
+
+      var bitloader = new Bitloader(options);
+      bitloader.pipelines.dependency.use(function(moduleMeta) {
+        moduleMeta.deps = dependencies[moduleMeta.name] || [];
+      });
+
+      return bitloader;
+    }
+
+
+    describe("When importing module `a` that depends on `b`, which depends on `a`", function() {
+      var result, bFactoryStub;
+
+      beforeEach(function() {
+        bFactoryStub = sinon.spy(function(a) {
+          return {a: a};
+        });
+
+        var bitloader = createLoader({a: ["b"], b: ["a"]}, {
+          a: function(b) {
+            return {b: b, name: "a"};
+          },
+          b: bFactoryStub
+        });
+
+        return bitloader.import("a").then(function(_result) {
+          result = _result;
+        });
+      });
+
+      it("then module `a` is imported", function() {
+        expect(result.name).to.equal("a");
+      });
+
+      it("then module `b` factory is called once", function() {
+        expect(bFactoryStub.callCount).to.equal(1);
+      });
+
+      it("then module `a` gets module `b`", function() {
+        expect(result.b).to.equal(bFactoryStub.returnValues[0]);
+      });
+
+      it("then module `b` gets the exports of module `a` once it is linked", function() {
+        expect(result.b.a).to.equal(result);
+      });
+    });
+
+
+    describe("When importing modules `a` and `b` at the same time and they depend on each other", function() {
+      var result;
+
+      beforeEach(function() {
+        var bitloader = createLoader({a: ["b"], b: ["c"], c: ["a"]}, {
+          a: function(b) { return {b: b}; },
+          b: function(c) { return {c: c}; },
+          c: function(a) { return {a: a}; }
+        });
+
+        return bitloader.import(["a", "b"]).then(function(_result) {
+          result = _result;
+        });
+      });
+
+      it("then module `a` is imported", function() {
+        expect(result[0].b).to.equal(result[1]);
+      });
+
+      it("then module `b` gets module `c`, which gets module `a`", function() {
+        expect(result[1].c.a).to.equal(result[0]);
+      });
+    });
+
+
+    describe("When loading modules with a circular dependency and `strictCircular` is enabled", function() {
+      var error;
+
+      beforeEach(function() {
+        var bitloader = createLoader({a: ["b"], b: ["c"], c: ["a"]}, {}, {
+          strictCircular: true
+        });
+
+        return rejection(bitloader.load("a")).then(function(_error) {
+          error = _error;
+        });
+      });
+
+      it("then loading the module fails", function() {
+        expect(error).to.be.an.instanceof(TypeError);
+      });
+
+      it("then the error lists the full path of the circular dependency", function() {
+        expect(error.message).to.equal("Circular dependency detected: c -> a -> b -> c");
+      });
+    });
+
+
+    describe("When linking loaded modules with a circular dependency and `strictCircular` is enabled", function() {
+      var bitloader;
+
+      beforeEach(function() {
+        bitloader = new Bitloader({strictCircular: true});
+        bitloader.providers.loader.setLoaded("a", new Bitloader.Module.Meta({name: "a", deps: ["b"], factory: function() {}}));
+        bitloader.providers.loader.setLoaded("b", new Bitloader.Module.Meta({name: "b", deps: ["a"], factory: function() {}}));
+      });
+
+      it("then building the module throws an error with the full path of the circular dependency", function() {
+        expect(function() {
+          bitloader.getModule("a");
+        }).to.throw(TypeError, "Circular dependency detected: a -> b -> a");
+      });
+    });
+
+
+    describe("When loading a module whose dependency fails to load", function() {
+      var bitloader;
+
+      beforeEach(function() {
+        bitloader = createLoader({a: ["b"]}, {});
+        bitloader.pipelines.transform.use(function(moduleMeta) {
+          if (moduleMeta.name === "b") {
+            throw new Error("transform failed");
+          }
+        });
+
+        return rejection(bitloader.load("a"));
+      });
+
+      it("then the module metas that failed are not left as fetching", function() {
+        expect(bitloader.providers.loader.fetching).to.eql({});
+      });
+    });
+  });
+
+});
@@ -0,0 +1,196 @@
+define(["dist/bit-loader", "test/helpers/rejection"], function(Bitloader, rejection) {
+
+  describe("CjsCompiler Test Suite", function() {
+    var bitloader, sources, dependencies;
+
+    beforeEach(function() {
+      sources      = {};
+      dependencies = {};
+
+      bitloader = new Bitloader({
+        resolve: function(moduleMeta) {
+          return {path: "/js/" + moduleMeta.name + ".js"};
+        },
+        fetch: function(moduleMeta) {
+          return {source: sources[moduleMeta.name]};
+        }
+      });
+
+      bitloader.compile = new Bitloader.CjsCompiler(bitloader).compile;
+
+      bitloader.pipelines.dependency.use(function(moduleMeta) {
+        moduleMeta.deps = dependencies[moduleMeta.name] || [];
+      });
+    });
+
+
+    describe("When creating a compiler without a manager", function() {
+      it("then an error is thrown", function() {
+        expect(function() {
+          new Bitloader.CjsCompiler();
+        }).to.throw(TypeError, "Must provide a manager");
+      });
+    });
+
+
+    describe("When compiling a module meta", function() {
+      var result;
+
+      beforeEach(function() {
+        result = new Bitloader.CjsCompiler(bitloader).compile(new Bitloader.Module.Meta({name: "a", source: "module.exports = 1;"}));
+      });
+
+      it("then a factory is returned", function() {
+        expect(result.factory).to.be.a("function");
+      });
+
+      it("then the factory returns the exports", function() {
+        expect(result.factory()).to.equal(1);
+      });
+    });
+
+
+    describe("When compiling a module meta with a syntax error", function() {
+      it("then the error is thrown", function() {
+        expect(function() {
+          new Bitloader.CjsCompiler(bitloader).compile(new Bitloader.Module.Meta({name: "a", source: "module.exports = ;"}));
+        }).to.throw(SyntaxError);
+      });
+    });
+
+
+    describe("When importing a module that sets `module.exports`", function() {
+      var result;
+
+      beforeEach(function() {
+        sources.a = "module.exports = function() { return 'a'; };";
+
+        return bitloader.import("a").then(function(code) {
+          result = code;
+        });
+      });
+
+      it("then the module code is `module.exports`", function() {
+        expect(result()).to.equal("a");
+      });
+    });
+
+
+    describe("When importing a module that sets properties on `exports`", function() {
+      var result;
+
+      beforeEach(function() {
+        sources.a = "exports.name = 'a'; this.self = this === exports;";
+
+        return bitloader.import("a").then(function(code) {
+          result = code;
+        });
+      });
+
+      it("then the module code has the properties", function() {
+        expect(result.name).to.equal("a");
+      });
+
+      it("then `this` is `exports`", function() {
+        expect(result.self).to.equal(true);
+      });
+    });
+
+
+    describe("When importing a module that uses `__filename` and `__dirname`", function() {
+      var result;
+
+      beforeEach(function() {
+        sources.a = "module.exports = {filename: __filename, dirname: __dirname};";
+
+        return bitloader.import("a").then(function(code) {
+          result = code;
+        });
+      });
+
+      it("then `__filename` is the path of the module", function() {
+        expect(result.filename).to.equal("/js/a.js");
+      });
+
+      it("then `__dirname` is the directory of the module", function() {
+        expect(result.dirname).to.equal("/js");
+      });
+    });
+
+
+    describe("When importing a module that requires its dependencies", function() {
+      var result;
+
+      beforeEach(function() {
+        sources.a = "var b = require('b'); module.exports = 'a' + b;";
+        sources.b = "module.exports = 'b' + require('c').name;";
+        sources.c = "exports.name = 'c';";
+
+        dependencies.a = ["b"];
+        dependencies.b = ["c"];
+
+        sinon.spy(bitloader, "getModuleCode");
+
+        return bitloader.import("a").then(function(code) {
+          result = code;
+        });
+      });
+
+      it("then `require` returns the code of the dependencies", function() {
+        expect(result).to.equal("abc");
+      });
+
+      it("then `require` gets the code from the loader", function() {
+        expect(bitloader.getModuleCode.calledWith("b")).to.equal(true);
+        expect(bitloader.getModuleCode.calledWith("c")).to.equal(true);
+      });
+    });
+
+
+    describe("When importing a module that requires a module that is not a dependency", function() {
+      var error;
+
+      beforeEach(function() {
+        sources.a = "require('b');";
+
+        return rejection(bitloader.import("a")).then(function(err) {
+          error = err;
+        });
+      });
+
+      it("then the import is rejected with a `LinkError`", function() {
+        expect(error).to.be.an.instanceof(Bitloader.ModuleError.LinkError);
+        expect(error.cause.message).to.equal("Module `b` is not a dependency of `a`");
+      });
+    });
+
+
+    describe("When importing modules with a circular dependency", function() {
+      var result;
+
+      beforeEach(function() {
+        sources.a = "var b = require('b'); exports.name = 'a';";
+        sources.b = "var a = require('a'); exports.nameAtRequire = a.name; exports.getA = function() { return a.name; };";
+
+        dependencies.a = ["b"];
+        dependencies.b = ["a"];
+
+        return bitloader.import("a").then(function(code) {
+          result = code;
+        });
+      });
+
+      it("then the dependency gets the partial exports of the module", function() {
+        expect(bitloader.getModuleCode("b").nameAtRequire).to.equal(undefined);
+      });
+
+      it("then the partial exports are filled in once the module is linked", function() {
+        expect(bitloader.getModuleCode("b").getA()).to.equal("a");
+      });
+
+      it("then the module code has its exports", function() {
+        expect(result.name).to.equal("a");
+      });
+    });
+  });
+});
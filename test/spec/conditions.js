@@ -0,0 +1,145 @@
+define(["dist/bit-loader"], function(Bitloader) {
+
+  describe("Conditions Test Suite", function() {
+
+    describe("When creating a loader without `conditions`", function() {
+      it("then there are no conditions", function() {
+        expect(new Bitloader().conditions).to.eql([]);
+      });
+    });
+
+
+    describe("When importing a module with a loader with conditions", function() {
+      var bitloader, resolve, transforms;
+
+      beforeEach(function() {
+        transforms = [];
+
+        resolve = sinon.spy(function(moduleMeta) {
+          return {path: moduleMeta.name};
+        });
+
+        bitloader = new Bitloader({
+          conditions: ["browser", "production"],
+          resolve: resolve,
+          fetch: function() {
+            return {source: ""};
+          }
+        });
+
+        bitloader.plugin("minify", {
+          match: {env: ["production"]},
+          transform: function() {
+            transforms.push("minify");
+          }
+        });
+
+        bitloader.plugin("hot", {
+          match: {env: ["development"]},
+          transform: function() {
+            transforms.push("hot");
+          }
+        });
+
+        bitloader.plugin("js", {
+          match: {env: ["browser"], path: ["**/*.js"]},
+          transform: function() {
+            transforms.push("js");
+          }
+        });
+
+        return bitloader.import("a.js");
+      });
+
+      it("then the resolve hook gets the conditions in `env`", function() {
+        expect(resolve.args[0][0].env).to.eql(["browser", "production"]);
+      });
+
+      it("then plugins with matching `env` rules run", function() {
+        expect(transforms).to.contain("minify");
+      });
+
+      it("then plugins with `env` rules that do not match do not run", function() {
+        expect(transforms).to.not.contain("hot");
+      });
+
+      it("then `env` rules must match along with the other rules", function() {
+        expect(transforms).to.contain("js");
+      });
+    });
+
+
+    describe("When a plugin has `env` rules and other rules that match but the environment does not", function() {
+      var transform;
+
+      beforeEach(function() {
+        transform = sinon.spy();
+
+        var bitloader = new Bitloader({
+          conditions: ["node"],
+          fetch: function() {
+            return {source: ""};
+          }
+        });
+
+        bitloader.plugin("js", {
+          match: {env: ["browser"], path: ["**/*.js"]},
+          transform: transform
+        });
+
+        return bitloader.import("a.js");
+      });
+
+      it("then the plugin does not run", function() {
+        expect(transform.called).to.equal(false);
+      });
+    });
+
+
+    describe("When importing a module replaced with `false` in the `browser` field with the NodeResolver", function() {
+      var result, fetch;
+
+      beforeEach(function() {
+        var files = {
+          "/app/package.json": JSON.stringify({browser: {"fs": false}}),
+          "/app/main.js": ""
+        };
+
+        var resolver = new Bitloader.NodeResolver({
+          base: "/app",
+          fs: {
+            isFile: function(path) {
+              return Bitloader.Promise.resolve(files.hasOwnProperty(path));
+            },
+            readFile: function(path) {
+              return Bitloader.Promise.resolve(files[path]);
+            }
+          }
+        });
+
+        fetch = sinon.spy(function() {
+          return {source: ""};
+        });
+
+        var bitloader = new Bitloader({
+          conditions: ["browser"],
+          resolve: resolver.resolve,
+          fetch: fetch
+        });
+
+        return bitloader.import("fs").then(function(_result) {
+          result = _result;
+        });
+      });
+
+      it("then the module is an empty module", function() {
+        expect(result).to.eql({});
+      });
+
+      it("then nothing is fetched", function() {
+        expect(fetch.called).to.equal(false);
+      });
+    });
+  });
+
+});
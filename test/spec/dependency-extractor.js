@@ -0,0 +1,199 @@
+define(["dist/bit-loader"], function(Bitloader) {
+
+  describe("DependencyExtractor Test Suite", function() {
+    var extract = Bitloader.DependencyExtractor.extract;
+
+
+    describe("When extracting `require` calls", function() {
+      var result;
+
+      beforeEach(function() {
+        result = extract("var a = require('a');\nvar b = require(\"b\");\nloader.require('c');\nrequire(name);\nrequire('a');");
+      });
+
+      it("then the required modules are static dependencies", function() {
+        expect(result.deps).to.eql(["a", "b"]);
+      });
+
+      it("then there are no dynamic dependencies", function() {
+        expect(result.dynamicDeps).to.eql([]);
+      });
+    });
+
+
+    describe("When extracting `import` statements", function() {
+      var result;
+
+      beforeEach(function() {
+        result = extract([
+          "import a from 'a';",
+          "import * as b from 'b';",
+          "import {c1, c2 as other} from 'c';",
+          "import d, {d1} from 'd';",
+          "import 'e';",
+          "import {\n  f\n} from \"f\";",
+          "console.log(import.meta.url);"
+        ].join("\n"));
+      });
+
+      it("then the imported modules are static dependencies", function() {
+        expect(result.deps).to.eql(["a", "b", "c", "d", "e", "f"]);
+      });
+    });
+
+
+    describe("When extracting `export` statements", function() {
+      var result;
+
+      beforeEach(function() {
+        result = extract([
+          "export * from 'a';",
+          "export * as b from 'b';",
+          "export {c, d as e} from 'c';",
+          "export {local};",
+          "export default from;",
+          "export const from = 'x';"
+        ].join("\n"));
+      });
+
+      it("then the modules exported from are static dependencies", function() {
+        expect(result.deps).to.eql(["a", "b", "c"]);
+      });
+    });
+
+
+    describe("When extracting dynamic `import` calls", function() {
+      var result;
+
+      beforeEach(function() {
+        result = extract("import('a').then(run);\nimport(\"b\", {with: {type: 'json'}});\nimport(name);\nimport c from 'c';\nimport('c');");
+      });
+
+      it("then the imported modules are dynamic dependencies", function() {
+        expect(result.dynamicDeps).to.eql(["a", "b"]);
+      });
+
+      it("then modules that are also imported statically are only static dependencies", function() {
+        expect(result.deps).to.eql(["c"]);
+      });
+    });
+
+
+    describe("When extracting AMD `define` calls", function() {
+      var result;
+
+      beforeEach(function() {
+        result = extract("define(['require', 'exports', 'module', 'a'], function() {});\ndefine('named', [\"b\", 'c'], function() {});\ndefine({value: 'd'});");
+      });
+
+      it("then the modules in the dependency arrays are static dependencies", function() {
+        expect(result.deps).to.eql(["a", "b", "c"]);
+      });
+    });
+
+
+    describe("When extracting from comments, strings, templates and regular expressions", function() {
+      var result;
+
+      beforeEach(function() {
+        result = extract([
+          "// require('a')",
+          "/* import b from 'b'; */",
+          "var s = \"require('c')\" + 'import(\"d\")';",
+          "var t = `require('e') ${require('f')} import('g')`;",
+          "var r = /require\\('h'\\)/g;",
+          "var q = 4 / 2; require('i'); var w = 1 / 2;",
+          "var x = 'it\\'s' + require('j');"
+        ].join("\n"));
+      });
+
+      it("then only code is matched", function() {
+        expect(result.deps).to.eql(["f", "i", "j"]);
+      });
+    });
+
+
+    describe("When extracting after a regular expression that follows a condition in parentheses", function() {
+      it("then the regular expression is skipped", function() {
+        expect(extract("if (a) /foo\"/.test(b); require(\"x\");").deps).to.eql(["x"]);
+        expect(extract("while (f(a)) /'/.test(b); require('y');").deps).to.eql(["y"]);
+      });
+
+      it("then a `/` after other parentheses is a division", function() {
+        expect(extract("var a = (b) / 2; require('x'); var c = d / 3;").deps).to.eql(["x"]);
+      });
+    });
+
+
+    describe("When extracting `require` calls with template literals", function() {
+      it("then template literals without expressions are matched as strings", function() {
+        expect(extract("require(`x`); require(`y${z}`);").deps).to.eql(["x"]);
+      });
+    });
+
+
+    describe("When running the dependency handler", function() {
+      var moduleMeta;
+
+      beforeEach(function() {
+        moduleMeta = new Bitloader.Module.Meta({
+          name: "a",
+          deps: ["x"],
+          source: "import b from 'b'; import('c'); require('x');"
+        });
+
+        Bitloader.DependencyExtractor.dependency(moduleMeta);
+      });
+
+      it("then the static dependencies are added to `deps`", function() {
+        expect(moduleMeta.deps).to.eql(["x", "b"]);
+      });
+
+      it("then the dynamic dependencies are set in `dynamicDeps`", function() {
+        expect(moduleMeta.dynamicDeps).to.eql(["c"]);
+      });
+    });
+
+
+    describe("When importing modules with the dependency handler", function() {
+      var bitloader, fetch;
+
+      beforeEach(function() {
+        var sources = {
+          a: "var b = require('b'); import('c');",
+          b: "module.exports = 'b';",
+          c: "module.exports = 'c';"
+        };
+
+        fetch = sinon.spy(function(moduleMeta) {
+          return {source: sources[moduleMeta.name]};
+        });
+
+        bitloader = new Bitloader({
+          resolve: function(moduleMeta) {
+            return {path: "js/" + moduleMeta.name + ".js"};
+          },
+          fetch: fetch,
+          compile: function() {
+            return {code: null};
+          }
+        });
+
+        bitloader.pipelines.dependency.use(Bitloader.DependencyExtractor.dependency);
+        return bitloader.import("a");
+      });
+
+      it("then the static dependencies are loaded", function() {
+        expect(bitloader.isModuleCached("b")).to.equal(true);
+      });
+
+      it("then the dynamic dependencies are not loaded", function() {
+        var names = fetch.args.map(function(args) {
+          return args[0].name;
+        });
+
+        expect(names).to.eql(["a", "b"]);
+      });
+    });
+  });
+});
@@ -0,0 +1,343 @@
+define(["dist/bit-loader", "test/helpers/rejection"], function(Bitloader, rejection) {
+
+  describe("EsModule Test Suite", function() {
+    var bitloader, modules, executed;
+
+    beforeEach(function() {
+      modules  = {};
+      executed = [];
+
+      bitloader = new Bitloader({
+        resolve: function(moduleMeta) {
+          return {path: "js/" + moduleMeta.name + ".js"};
+        },
+        fetch: function() {
+          return {source: ""};
+        },
+        compile: function(moduleMeta) {
+          return modules[moduleMeta.name];
+        }
+      });
+
+      bitloader.pipelines.dependency.use(function(moduleMeta) {
+        moduleMeta.deps = modules[moduleMeta.name].deps || [];
+      });
+    });
+
+    // ES module that exports the values in `values` when it is executed
+    function esModule(name, deps, values, exportStar) {
+      return {
+        deps: deps,
+        exportStar: exportStar,
+        declare: function(_export) {
+          return {
+            execute: function() {
+              executed.push(name);
+              _export(values || {});
+            }
+          };
+        }
+      };
+    }
+
+
+    describe("When importing an ES module", function() {
+      var result;
+
+      beforeEach(function() {
+        modules.a = esModule("a", [], {"default": "a", name: "named a"});
+
+        return bitloader.import("a").then(function(code) {
+          result = code;
+        });
+      });
+
+      it("then the module code is the namespace with the exports", function() {
+        expect(result.default).to.equal("a");
+        expect(result.name).to.equal("named a");
+      });
+
+      it("then the namespace is flagged with `__esModule`", function() {
+        expect(result.__esModule).to.equal(true);
+        expect(Object.keys(result)).to.eql(["default", "name"]);
+      });
+
+      it("then the module is an ES module", function() {
+        expect(bitloader.getModule("a").type).to.equal(Bitloader.Module.Type.ESM);
+      });
+    });
+
+
+    describe("When a module imports an export that is changed later", function() {
+      var result;
+
+      beforeEach(function() {
+        modules.counter = {
+          declare: function(_export) {
+            var count;
+
+            _export("increment", function() {
+              _export("count", ++count);
+            });
+
+            return {
+              execute: function() {
+                _export("count", count = 0);
+              }
+            };
+          }
+        };
+
+        modules.a = {
+          deps: ["counter"],
+          declare: function(_export) {
+            var count;
+
+            return {
+              setters: [function(counter) {
+                count = counter.count;
+              }],
+              execute: function() {
+                _export("getCount", function() {
+                  return count;
+                });
+              }
+            };
+          }
+        };
+
+        return bitloader.import(["a", "counter"]).then(function(codes) {
+          result = codes;
+          result[1].increment();
+          result[1].increment();
+        });
+      });
+
+      it("then the namespace has the current value", function() {
+        expect(result[1].count).to.equal(2);
+      });
+
+      it("then the setters of the importing modules get the current value", function() {
+        expect(result[0].getCount()).to.equal(2);
+      });
+    });
+
+
+    describe("When a module has `export *` from modules with the same export names", function() {
+      var result, record;
+
+      beforeEach(function() {
+        modules.a = esModule("a", ["b", "c", "d"], {z: "local z"}, ["b", "c", "d"]);
+        modules.b = esModule("b", [], {"default": "b", x: "x", y: "b y"});
+        modules.c = esModule("c", [], {y: "c y", z: "c z"});
+        modules.d = esModule("d", ["b"], {}, ["b"]);
+
+        return bitloader.import("a").then(function(code) {
+          result = code;
+          record = bitloader.getModule("a").esModule;
+        });
+      });
+
+      it("then names from different bindings are ambiguous and left out", function() {
+        expect(result.hasOwnProperty("y")).to.equal(false);
+        expect(record.ambiguous).to.eql(["y"]);
+      });
+
+      it("then names re-exported from the same binding are not ambiguous", function() {
+        expect(result.x).to.equal("x");
+      });
+
+      it("then local exports take precedence", function() {
+        expect(result.z).to.equal("local z");
+      });
+
+      it("then `default` is not re-exported", function() {
+        expect(result.hasOwnProperty("default")).to.equal(false);
+      });
+
+      it("then the namespace has all the names", function() {
+        expect(Object.keys(result).sort()).to.eql(["x", "z"]);
+      });
+    });
+
+
+    describe("When a module re-exports an export that is changed later", function() {
+      var result;
+
+      beforeEach(function() {
+        modules.a = esModule("a", ["b"], {}, ["b"]);
+        modules.b = esModule("b", [], {value: 1});
+
+        return bitloader.import(["a", "b"]).then(function(codes) {
+          result = codes[0];
+          bitloader.getModule("b").esModule.export("value", 2);
+        });
+      });
+
+      it("then the re-export has the current value", function() {
+        expect(result.value).to.equal(2);
+      });
+    });
+
+
+    describe("When a module has `export *` from a module with top-level await", function() {
+      var result;
+
+      beforeEach(function() {
+        modules.a = esModule("a", ["b"], {name: "a"}, ["b"]);
+        modules.b = {
+          declare: function(_export) {
+            return {
+              execute: function() {
+                return new Bitloader.Promise(function(resolve) {
+                  window.setTimeout(function() {
+                    _export("x", "b x");
+                    resolve();
+                  }, 5);
+                });
+              }
+            };
+          }
+        };
+
+        return bitloader.import("a").then(function(code) {
+          result = code;
+        });
+      });
+
+      it("then the names exported after the await are re-exported", function() {
+        expect(result.x).to.equal("b x");
+        expect(Object.keys(result).sort()).to.eql(["name", "x"]);
+      });
+    });
+
+
+    describe("When an ES module imports CJS modules", function() {
+      var namespaces;
+
+      beforeEach(function() {
+        namespaces = [];
+
+        modules.a = {
+          deps: ["b", "c"],
+          declare: function() {
+            return {
+              setters: [function(b) { namespaces[0] = b; }, function(c) { namespaces[1] = c; }]
+            };
+          }
+        };
+
+        modules.b = {factory: function() { return {name: "b"}; }};
+        modules.c = {factory: function() { return {__esModule: true, "default": "c", name: "named c"}; }};
+
+        return bitloader.import("a");
+      });
+
+      it("then `default` is the code of the module", function() {
+        expect(namespaces[0].default).to.eql({name: "b"});
+      });
+
+      it("then the properties of the code are named exports", function() {
+        expect(namespaces[0].name).to.equal("b");
+      });
+
+      it("then transpiled modules use their own `default`", function() {
+        expect(namespaces[1].default).to.equal("c");
+        expect(namespaces[1].name).to.equal("named c");
+      });
+
+      it("then the namespace is shared by the modules that import it", function() {
+        expect(bitloader.getModule("b").namespace).to.equal(namespaces[0]);
+      });
+    });
+
+
+    describe("When a CJS module imports an ES module", function() {
+      var result;
+
+      beforeEach(function() {
+        modules.a = {deps: ["b"], factory: function(b) { return b.__esModule ? b.default : b; }};
+        modules.b = esModule("b", [], {"default": "b"});
+
+        return bitloader.import("a").then(function(code) {
+          result = code;
+        });
+      });
+
+      it("then it gets the namespace", function() {
+        expect(result).to.equal("b");
+      });
+    });
+
+
+    describe("When importing ES modules with a circular dependency", function() {
+      var result;
+
+      beforeEach(function() {
+        modules.a = esModule("a", ["b"], {name: "a"});
+        modules.b = {
+          deps: ["a"],
+          declare: function(_export) {
+            var a;
+
+            return {
+              setters: [function(ns) {
+                a = ns.name;
+              }],
+              execute: function() {
+                executed.push("b");
+                _export({nameAtExecute: a, getA: function() { return a; }});
+              }
+            };
+          }
+        };
+
+        return bitloader.import("a").then(function(code) {
+          result = code;
+        });
+      });
+
+      it("then the dependency is executed first", function() {
+        expect(executed).to.eql(["b", "a"]);
+      });
+
+      it("then the dependency does not have the exports when it is executed", function() {
+        expect(bitloader.getModuleCode("b").nameAtExecute).to.equal(undefined);
+      });
+
+      it("then the dependency gets the exports once the module is executed", function() {
+        expect(bitloader.getModuleCode("b").getA()).to.equal("a");
+      });
+
+      it("then the module code has its exports", function() {
+        expect(result.name).to.equal("a");
+      });
+    });
+
+
+    describe("When importing an ES module that throws when executed", function() {
+      var error;
+
+      beforeEach(function() {
+        modules.a = {
+          declare: function() {
+            return {
+              execute: function() {
+                throw new Error("failed");
+              }
+            };
+          }
+        };
+
+        return rejection(bitloader.import("a")).then(function(err) {
+          error = err;
+        });
+      });
+
+      it("then the import is rejected with a `LinkError`", function() {
+        expect(error).to.be.an.instanceof(Bitloader.ModuleError.LinkError);
+        expect(error.cause.message).to.equal("failed");
+      });
+    });
+  });
+});
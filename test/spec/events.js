@@ -0,0 +1,157 @@
+define(["dist/bit-loader", "test/helpers/rejection"], function(Bitloader, rejection) {
+  var Events = Bitloader.Events;
+
+  describe("Events Test Suite", function() {
+
+    describe("When registering a listener that is not a function", function() {
+      it("then a TypeError is thrown", function() {
+        expect(function() {
+          new Events().on("resolve", "listener");
+        }).to.throw(TypeError, "Event listener must be a function");
+      });
+    });
+
+
+    describe("When emitting an event", function() {
+      var events, listenerStub, throwingStub;
+
+      beforeEach(function() {
+        events       = new Events();
+        listenerStub = sinon.stub();
+        throwingStub = sinon.stub().throws(new TypeError("listener failed"));
+
+        events.on("resolve", throwingStub);
+        events.on("resolve", listenerStub);
+        events.emit("resolve", {name: "a"});
+      });
+
+      it("then all the listeners are called with the payload", function() {
+        expect(throwingStub.calledWithExactly({name: "a"})).to.equal(true);
+        expect(listenerStub.calledWithExactly({name: "a"})).to.equal(true);
+      });
+
+
+      describe("and removing a listener and emitting again", function() {
+        beforeEach(function() {
+          events.off("resolve", listenerStub);
+          events.emit("resolve", {name: "b"});
+        });
+
+        it("then the removed listener is not called again", function() {
+          expect(listenerStub.calledOnce).to.equal(true);
+        });
+
+        it("then the other listener is called again", function() {
+          expect(throwingStub.calledTwice).to.equal(true);
+        });
+      });
+    });
+
+
+    describe("When importing module `main` with listeners for all events", function() {
+      var bitloader, events;
+
+      beforeEach(function() {
+        events = [];
+
+        bitloader = new Bitloader({
+          fetch: function(moduleMeta) {
+            return {source: moduleMeta.name + " source"};
+          }
+        });
+
+        bitloader.plugin("js", {
+          transform: function() {}
+        });
+
+        bitloader.pipelines.dependency.use(function(moduleMeta) {
+          moduleMeta.deps = moduleMeta.name === "main" ? ["dep"] : [];
+        });
+
+        ["resolve", "fetch:start", "fetch:end", "transform", "dependency", "compile", "link", "error"].forEach(function(name) {
+          bitloader.on(name, function(payload) {
+            events.push({type: name, payload: payload});
+          });
+        });
+
+        return bitloader.import("main");
+      });
+
+      function getEvents(type, name) {
+        return events.filter(function(event) {
+          return event.type === type && event.payload.name === name;
+        });
+      }
+
+      it("then the stage events are emitted in order for module `main`", function() {
+        var types = events.filter(function(event) {
+          return event.payload.name === "main";
+        }).map(function(event) {
+          return event.type;
+        });
+
+        expect(types).to.eql(["resolve", "fetch:start", "fetch:end", "transform", "dependency", "compile", "link"]);
+      });
+
+      it("then the stage events are emitted for module `dep`", function() {
+        expect(getEvents("fetch:end", "dep").length).to.equal(1);
+        expect(getEvents("link", "dep").length).to.equal(1);
+      });
+
+      it("then module `dep` is linked before module `main`", function() {
+        expect(events.indexOf(getEvents("link", "dep")[0])).to.be.below(events.indexOf(getEvents("link", "main")[0]));
+      });
+
+      it("then the payload has the module meta", function() {
+        expect(getEvents("transform", "main")[0].payload.moduleMeta.source).to.equal("main source");
+      });
+
+      it("then the payload has the timing of the stage", function() {
+        var payload = getEvents("fetch:end", "main")[0].payload;
+        expect(payload.start).to.be.a("number");
+        expect(payload.end).to.be.at.least(payload.start);
+        expect(payload.duration).to.equal(payload.end - payload.start);
+      });
+
+      it("then the transform payload has the plugin that handled the stage", function() {
+        expect(getEvents("transform", "main")[0].payload.plugins).to.eql(["js"]);
+      });
+
+      it("then the dependency payload has the dependencies", function() {
+        expect(getEvents("dependency", "main")[0].payload.deps).to.eql(["dep"]);
+      });
+
+      it("then no error event is emitted", function() {
+        expect(events.filter(function(event) { return event.type === "error"; }).length).to.equal(0);
+      });
+    });
+
+
+    describe("When importing a module that fails to fetch", function() {
+      var errorStub;
+
+      beforeEach(function() {
+        var bitloader = new Bitloader({
+          fetch: function() {
+            throw new TypeError("Not found");
+          }
+        });
+
+        errorStub = sinon.stub();
+        bitloader.on("error", errorStub);
+
+        return rejection(bitloader.import("main"));
+      });
+
+      it("then an error event is emitted once", function() {
+        expect(errorStub.calledOnce).to.equal(true);
+      });
+
+      it("then the error event has the module name and the error", function() {
+        expect(errorStub.args[0][0].name).to.equal("main");
+        expect(errorStub.args[0][0].error).to.be.an.instanceof(Bitloader.ModuleError.FetchError);
+      });
+    });
+  });
+
+});
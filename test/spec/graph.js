@@ -0,0 +1,147 @@
+define(["dist/bit-loader"], function(Bitloader) {
+
+  describe("Graph Test Suite", function() {
+    var bitloader, graph;
+
+    beforeEach(function() {
+      var dependencies = {a: ["b", "c"], b: ["c"], c: []};
+
+      bitloader = new Bitloader({
+        resolve: function(moduleMeta) {
+          return {path: "js/" + moduleMeta.name + ".js"};
+        },
+        fetch: function() {
+          return {source: ""};
+        },
+        compile: function() {
+          return {factory: function() {}};
+        }
+      });
+
+      bitloader.pipelines.dependency.use(function(moduleMeta) {
+        moduleMeta.deps = dependencies[moduleMeta.name];
+      });
+
+      bitloader.register("d", ["a"], function() {});
+
+      return bitloader.import("a").then(function() {
+        graph = bitloader.graph();
+      });
+    });
+
+
+    describe("When getting the names of the modules in the graph", function() {
+      it("then all linked and pending modules are included", function() {
+        expect(graph.getNames().sort()).to.eql(["a", "b", "c", "d"]);
+      });
+    });
+
+
+    describe("When getting the node for module `a`", function() {
+      it("then the node is linked", function() {
+        expect(graph.getNode("a").state).to.equal("linked");
+      });
+
+      it("then the node has the path of the module", function() {
+        expect(graph.getNode("a").path).to.equal("js/a.js");
+      });
+
+      it("then the node has the dependencies of the module", function() {
+        expect(graph.getNode("a").deps).to.eql(["b", "c"]);
+      });
+    });
+
+
+    describe("When getting the node for registered module `d`", function() {
+      it("then the node is pending", function() {
+        expect(graph.getNode("d").state).to.equal("pending");
+      });
+    });
+
+
+    describe("When getting the node for a module that is not in the graph", function() {
+      it("then a TypeError is thrown", function() {
+        expect(function() {
+          graph.getNode("x");
+        }).to.throw(TypeError, "Module `x` is not in the graph");
+      });
+    });
+
+
+    describe("When getting the dependencies of module `d`", function() {
+      it("then only module `a` is a direct dependency", function() {
+        expect(graph.dependencies("d")).to.eql(["a"]);
+      });
+
+      it("then modules `a`, `b` and `c` are transitive dependencies", function() {
+        expect(graph.dependencies("d", true)).to.eql(["a", "b", "c"]);
+      });
+    });
+
+
+    describe("When getting the dependents of module `c`", function() {
+      it("then modules `a` and `b` depend on it directly", function() {
+        expect(graph.dependents("c").sort()).to.eql(["a", "b"]);
+      });
+
+      it("then modules `a`, `b` and `d` depend on it transitively", function() {
+        expect(graph.dependents("c", true).sort()).to.eql(["a", "b", "d"]);
+      });
+    });
+
+
+    describe("When sorting the modules in topological order", function() {
+      var order;
+
+      beforeEach(function() {
+        order = graph.topologicalOrder();
+      });
+
+      it("then dependencies come before their dependents", function() {
+        expect(order.indexOf("c")).to.be.below(order.indexOf("b"));
+        expect(order.indexOf("b")).to.be.below(order.indexOf("a"));
+        expect(order.indexOf("a")).to.be.below(order.indexOf("d"));
+      });
+    });
+
+
+    describe("When exporting the graph to JSON", function() {
+      var json;
+
+      beforeEach(function() {
+        json = JSON.parse(JSON.stringify(graph));
+      });
+
+      it("then all modules are nodes", function() {
+        expect(json.nodes.length).to.equal(4);
+      });
+
+      it("then all dependencies are edges", function() {
+        expect(json.edges).to.deep.include.members([
+          {from: "a", to: "b"},
+          {from: "a", to: "c"},
+          {from: "b", to: "c"},
+          {from: "d", to: "a"}
+        ]);
+      });
+    });
+
+
+    describe("When exporting the graph to DOT", function() {
+      var dot;
+
+      beforeEach(function() {
+        dot = graph.toDOT();
+      });
+
+      it("then the output is a digraph", function() {
+        expect(dot.indexOf("digraph modules {")).to.equal(0);
+      });
+
+      it("then dependencies are edges", function() {
+        expect(dot).to.contain("  \"a\" -> \"b\";");
+      });
+    });
+  });
+
+});
@@ -0,0 +1,272 @@
+define(["dist/bit-loader", "test/helpers/rejection"], function(Bitloader, rejection) {
+
+  describe("Hot Module Replacement Test Suite", function() {
+    var bitloader, versions, dependencies;
+
+    beforeEach(function() {
+      versions     = {a: 1, b: 1, c: 1, d: 1};
+      dependencies = {a: ["b"], b: ["c"], c: [], d: []};
+
+      bitloader = new Bitloader({
+        fetch: function(moduleMeta) {
+          return {source: moduleMeta.name + versions[moduleMeta.name]};
+        },
+        compile: function(moduleMeta) {
+          var source = moduleMeta.source;
+          return {
+            factory: function() {
+              return {
+                source: source,
+                deps: Array.prototype.slice.call(arguments)
+              };
+            }
+          };
+        }
+      });
+
+      bitloader.pipelines.dependency.use(function(moduleMeta) {
+        moduleMeta.deps = dependencies[moduleMeta.name];
+      });
+
+      return bitloader.import(["a", "d"]);
+    });
+
+
+    describe("When getting the dependents of module `c`", function() {
+      var result;
+
+      beforeEach(function() {
+        result = bitloader.providers.hot.getDependents("c").map(function(mod) {
+          return mod.name;
+        });
+      });
+
+      it("then modules `b` and `a` are returned in the order they are linked", function() {
+        expect(result).to.eql(["b", "a"]);
+      });
+    });
+
+
+    describe("When reloading module `c` after it changed", function() {
+      var result, oldA, oldD, disposeStub, acceptStub, acceptDependentStub, disposedSource;
+
+      beforeEach(function() {
+        oldA = bitloader.getModuleCode("a");
+        oldD = bitloader.getModuleCode("d");
+        disposeStub = sinon.spy(function(data) {
+          disposedSource = bitloader.getModuleCode("a").deps[0].deps[0].source;
+          data.value = "saved";
+        });
+
+        acceptStub = sinon.stub();
+        acceptDependentStub = sinon.stub();
+
+        bitloader.hot("c")
+          .dispose(disposeStub)
+          .accept(acceptStub);
+
+        bitloader.hot("a").accept(acceptDependentStub);
+
+        versions.c = 2;
+        return bitloader.reload("c").then(function(_result) {
+          result = _result;
+        });
+      });
+
+      it("then the new code for module `c` is returned", function() {
+        expect(result.source).to.equal("c2");
+      });
+
+      it("then module `b` is linked with the new module `c`", function() {
+        expect(bitloader.getModuleCode("b").deps[0]).to.equal(result);
+      });
+
+      it("then module `a` is linked with the new module `b`", function() {
+        expect(bitloader.getModuleCode("a").deps[0]).to.equal(bitloader.getModuleCode("b"));
+      });
+
+      it("then module `a` is a new module", function() {
+        expect(bitloader.getModuleCode("a")).to.not.equal(oldA);
+      });
+
+      it("then module `d` is not replaced", function() {
+        expect(bitloader.getModuleCode("d")).to.equal(oldD);
+      });
+
+      it("then the `dispose` callback is called once", function() {
+        expect(disposeStub.callCount).to.equal(1);
+      });
+
+      it("then the `dispose` callback is called once the new modules are linked", function() {
+        expect(disposedSource).to.equal("c2");
+      });
+
+      it("then the data from the `dispose` callback is available in `hot.data`", function() {
+        expect(bitloader.hot("c").data).to.eql({value: "saved"});
+      });
+
+      it("then the `accept` callback is called with the new code", function() {
+        expect(acceptStub.calledWithExactly(result)).to.equal(true);
+      });
+
+      it("then the `accept` callback for the dependent module `a` is called with its new code", function() {
+        expect(acceptDependentStub.calledWithExactly(bitloader.getModuleCode("a"))).to.equal(true);
+      });
+
+
+      describe("and reloading module `c` again", function() {
+        beforeEach(function() {
+          versions.c = 3;
+          return bitloader.reload("c");
+        });
+
+        it("then the `dispose` callback from the previous module instance is not called again", function() {
+          expect(disposeStub.callCount).to.equal(1);
+        });
+
+        it("then module `a` is linked with the latest module `c`", function() {
+          expect(bitloader.getModuleCode("a").deps[0].deps[0].source).to.equal("c3");
+        });
+      });
+    });
+
+
+    describe("When reloading module `c` and its new source does not compile", function() {
+      var error, oldA, oldC, disposeStub, acceptStub;
+
+      beforeEach(function() {
+        oldA = bitloader.getModuleCode("a");
+        oldC = bitloader.getModuleCode("c");
+        disposeStub = sinon.stub();
+        acceptStub = sinon.stub();
+
+        bitloader.hot("c")
+          .dispose(disposeStub)
+          .accept(acceptStub);
+
+        var compile = bitloader.compile;
+        bitloader.compile = function(moduleMeta) {
+          if (moduleMeta.source === "cbad") {
+            throw new SyntaxError("Unexpected token");
+          }
+
+          return compile.apply(this, arguments);
+        };
+
+        versions.c = "bad";
+        return rejection(bitloader.reload("c")).then(function(_error) {
+          error = _error;
+        });
+      });
+
+      it("then reload fails with a `CompileError`", function() {
+        expect(error).to.be.an.instanceof(Bitloader.ModuleError.CompileError);
+      });
+
+      it("then the old modules are kept", function() {
+        expect(bitloader.getModuleCode("c")).to.equal(oldC);
+        expect(bitloader.getModuleCode("a")).to.equal(oldA);
+      });
+
+      it("then the `dispose` and `accept` callbacks are not called", function() {
+        expect(disposeStub.called).to.equal(false);
+        expect(acceptStub.called).to.equal(false);
+      });
+
+
+      describe("and reloading module `c` once its source is fixed", function() {
+        beforeEach(function() {
+          versions.c = 2;
+          return bitloader.reload("c");
+        });
+
+        it("then the callbacks of the old module are called", function() {
+          expect(disposeStub.callCount).to.equal(1);
+          expect(acceptStub.calledWithExactly(bitloader.getModuleCode("c"))).to.equal(true);
+        });
+
+        it("then the dependents are linked with the new module", function() {
+          expect(bitloader.getModuleCode("a").deps[0].deps[0].source).to.equal("c2");
+        });
+      });
+    });
+
+
+    describe("When reloading module `c` and linking a dependent fails", function() {
+      var error, oldB, factoryB, disposeStub, acceptStub;
+
+      beforeEach(function() {
+        oldB = bitloader.getModuleCode("b");
+        factoryB = bitloader.getModule("b").factory;
+        disposeStub = sinon.spy(function(data) {
+          data.value = "saved";
+        });
+
+        acceptStub = sinon.stub();
+
+        bitloader.hot("c")
+          .dispose(disposeStub)
+          .accept(acceptStub);
+
+        bitloader.getModule("b").factory = function() {
+          throw new Error("b failed");
+        };
+
+        versions.c = 2;
+        return rejection(bitloader.reload("c")).then(function(_error) {
+          error = _error;
+        });
+      });
+
+      it("then reload fails with a `LinkError`", function() {
+        expect(error).to.be.an.instanceof(Bitloader.ModuleError.LinkError);
+      });
+
+      it("then the old modules are kept", function() {
+        expect(bitloader.getModuleCode("b")).to.equal(oldB);
+        expect(bitloader.getModuleCode("c").source).to.equal("c1");
+      });
+
+      it("then the old modules are not disposed", function() {
+        expect(disposeStub.called).to.equal(false);
+        expect(acceptStub.called).to.equal(false);
+        expect(bitloader.hot("c").data).to.eql({});
+      });
+
+
+      describe("and reloading module `c` once module `b` links", function() {
+        beforeEach(function() {
+          bitloader.getModule("b").factory = factoryB;
+          versions.c = 3;
+          return bitloader.reload("c");
+        });
+
+        it("then the restored `dispose` callback is called once", function() {
+          expect(disposeStub.callCount).to.equal(1);
+          expect(bitloader.hot("c").data).to.eql({value: "saved"});
+        });
+
+        it("then the restored `accept` callback is called with the new code", function() {
+          expect(acceptStub.calledWithExactly(bitloader.getModuleCode("c"))).to.equal(true);
+          expect(bitloader.getModuleCode("c").source).to.equal("c3");
+        });
+      });
+    });
+
+
+    describe("When reloading a module that is not loaded", function() {
+      var error;
+
+      beforeEach(function() {
+        return rejection(bitloader.reload("x")).then(function(_error) {
+          error = _error;
+        });
+      });
+
+      it("then reload fails with a TypeError", function() {
+        expect(error).to.be.an.instanceof(TypeError);
+      });
+    });
+  });
+
+});
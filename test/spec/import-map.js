@@ -0,0 +1,215 @@
+define(["dist/bit-loader", "test/helpers/rejection"], function(Bitloader, rejection) {
+
+  describe("ImportMap Test Suite", function() {
+    var importMap;
+
+    beforeEach(function() {
+      importMap = new Bitloader.ImportMap({
+        imports: {
+          "react": "/vendor/react.js",
+          "lodash/": "/vendor/lodash/",
+          "lodash/fp/": "/vendor/lodash-fp/"
+        },
+        scopes: {
+          "/legacy/": {
+            "react": "/vendor/react-15.js"
+          },
+          "/legacy/old/": {
+            "react": "/vendor/react-14.js"
+          }
+        }
+      });
+    });
+
+
+    describe("When resolving names", function() {
+      it("then exact matches are remapped", function() {
+        expect(importMap.resolve("react")).to.equal("/vendor/react.js");
+      });
+
+      it("then names with a matching prefix are remapped", function() {
+        expect(importMap.resolve("lodash/map")).to.equal("/vendor/lodash/map");
+      });
+
+      it("then the longest prefix wins", function() {
+        expect(importMap.resolve("lodash/fp/map")).to.equal("/vendor/lodash-fp/map");
+      });
+
+      it("then names without a match are not changed", function() {
+        expect(importMap.resolve("./local")).to.equal("./local");
+      });
+
+      it("then the scope for the parent path is used", function() {
+        expect(importMap.resolve("react", "/legacy/app.js")).to.equal("/vendor/react-15.js");
+      });
+
+      it("then the most specific scope is used", function() {
+        expect(importMap.resolve("react", "/legacy/old/app.js")).to.equal("/vendor/react-14.js");
+      });
+
+      it("then `imports` are used when the scope does not have the name", function() {
+        expect(importMap.resolve("lodash/map", "/legacy/app.js")).to.equal("/vendor/lodash/map");
+      });
+    });
+
+
+    describe("When resolving names with an import map that has relative keys and addresses", function() {
+      beforeEach(function() {
+        importMap = new Bitloader.ImportMap({
+          imports: {
+            "./app/util.js": "./app/util-v2.js",
+            "/shared/": "/vendor/shared/",
+            "lodash/": "/vendor/lodash/"
+          },
+          scopes: {
+            "./app/legacy/": {
+              "./app/util.js": null
+            }
+          }
+        }, "http://localhost/site/index.html");
+      });
+
+      it("then relative names are resolved against the parent path", function() {
+        expect(importMap.resolve("./util.js", "http://localhost/site/app/main.js")).to.equal("http://localhost/site/app/util-v2.js");
+      });
+
+      it("then keys and addresses are resolved against the base URL", function() {
+        expect(importMap.resolve("http://localhost/site/app/util.js")).to.equal("http://localhost/site/app/util-v2.js");
+        expect(importMap.resolve("/shared/x.js")).to.equal("http://localhost/vendor/shared/x.js");
+      });
+
+      it("then relative names without a match are not changed", function() {
+        expect(importMap.resolve("./other.js", "http://localhost/site/app/main.js")).to.equal("./other.js");
+      });
+
+      it("then names blocked with a `null` address throw a TypeError", function() {
+        expect(function() {
+          importMap.resolve("../util.js", "http://localhost/site/app/legacy/main.js");
+        }).to.throw(TypeError, "Import of `../util.js` is blocked by the import map");
+      });
+
+      it("then names that resolve above the address of their prefix throw a TypeError", function() {
+        expect(function() {
+          importMap.resolve("lodash/../../secret.js");
+        }).to.throw(TypeError, "resolves above");
+      });
+    });
+
+
+    describe("When extending the import map", function() {
+      beforeEach(function() {
+        importMap.extend({
+          imports: {
+            "react": "/vendor/react-next.js"
+          },
+          scopes: {
+            "/legacy/": {
+              "react-dom": "/vendor/react-dom-15.js"
+            }
+          }
+        });
+      });
+
+      it("then new entries replace existing entries", function() {
+        expect(importMap.resolve("react")).to.equal("/vendor/react-next.js");
+      });
+
+      it("then scopes are merged", function() {
+        expect(importMap.resolve("react", "/legacy/app.js")).to.equal("/vendor/react-15.js");
+        expect(importMap.resolve("react-dom", "/legacy/app.js")).to.equal("/vendor/react-dom-15.js");
+      });
+    });
+
+
+    describe("When creating an import map with a prefix key and an address without a trailing slash", function() {
+      it("then a TypeError is thrown", function() {
+        expect(function() {
+          new Bitloader.ImportMap({imports: {"lodash/": "/vendor/lodash"}});
+        }).to.throw(TypeError, "Import map address for `lodash/` must end with `/` like its key");
+      });
+    });
+
+
+    describe("When importing modules with an import map", function() {
+      var bitloader, resolvedNames, fetch;
+
+      beforeEach(function() {
+        resolvedNames = [];
+
+        function resolve(moduleMeta) {
+          resolvedNames.push(moduleMeta.name);
+          return {path: moduleMeta.name};
+        }
+
+        fetch = sinon.spy(function(moduleMeta) {
+          return {source: moduleMeta.path};
+        });
+
+        bitloader = new Bitloader({
+          resolve: resolve,
+          fetch: fetch,
+          importMap: {
+            imports: {
+              "react": "/vendor/react.js",
+              "blocked": null
+            }
+          }
+        });
+      });
+
+      describe("and importing a module that is blocked", function() {
+        var error;
+
+        beforeEach(function() {
+          return rejection(bitloader.import("blocked")).then(function(_error) {
+            error = _error;
+          });
+        });
+
+        it("then the import fails with a `ResolveError`", function() {
+          expect(error).to.be.an.instanceof(Bitloader.ModuleError.ResolveError);
+          expect(resolvedNames).to.eql([]);
+        });
+      });
+
+      describe("and importing module `react`", function() {
+        var result;
+
+        beforeEach(function() {
+          return bitloader.import("react").then(function(_result) {
+            result = _result;
+          });
+        });
+
+        it("then the resolve hook gets the remapped name", function() {
+          expect(resolvedNames).to.eql(["/vendor/react.js"]);
+        });
+
+        it("then the module keeps its original name", function() {
+          expect(bitloader.hasModule("react")).to.equal(true);
+        });
+
+        it("then the module is fetched from the remapped path", function() {
+          expect(result).to.equal("/vendor/react.js");
+        });
+      });
+
+      describe("and extending the import map before importing module `react-dom`", function() {
+        beforeEach(function() {
+          bitloader.importMap.extend({
+            imports: {
+              "react-dom": "/vendor/react-dom.js"
+            }
+          });
+
+          return bitloader.import("react-dom");
+        });
+
+        it("then the resolve hook gets the name from the extended map", function() {
+          expect(resolvedNames).to.eql(["/vendor/react-dom.js"]);
+        });
+      });
+    });
+  });
+
+});
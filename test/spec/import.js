@@ -279,6 +279,26 @@ define(["dist/bit-loader"], function(Bitloader) {
       });
     });
 
+    describe("When importing module `modA` twice at the same time", function() {
+      var results;
+
+      beforeEach(function() {
+        var loader = new Bitloader({
+          fetch: function() {
+            return {source: "modA source"};
+          }
+        });
+
+        return Promise.all([loader.import("modA"), loader.import("modA")]).then(function(_results) {
+          results = _results;
+        });
+      });
+
+      it("then both imports resolve to the module code", function() {
+        expect(results).to.eql(["modA source", "modA source"]);
+      });
+    });
+
     describe("When registering a module whose factory does not return anything", function() {
       var loader, importDoneStub;
 
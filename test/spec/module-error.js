@@ -0,0 +1,174 @@
+define(["dist/bit-loader", "test/helpers/rejection"], function(Bitloader, rejection) {
+  var ModuleError = Bitloader.ModuleError;
+
+  describe("ModuleError Test Suite", function() {
+    var bitloader, sources, dependencies;
+
+    function importError(name) {
+      return rejection(bitloader.import(name));
+    }
+
+    beforeEach(function() {
+      sources = {
+        "entry": "entry source",
+        "a": "a source",
+        "b": "b source"
+      };
+
+      dependencies = {
+        "entry": ["a"],
+        "a": ["b"],
+        "b": ["c"]
+      };
+
+      bitloader = new Bitloader({
+        fetch: function(moduleMeta) {
+          if (!sources.hasOwnProperty(moduleMeta.name)) {
+            throw new TypeError("Not found");
+          }
+
+          return {source: sources[moduleMeta.name]};
+        }
+      });
+
+      bitloader.pipelines.dependency.use(function(moduleMeta) {
+        moduleMeta.deps = dependencies[moduleMeta.name] || [];
+      });
+    });
+
+
+    describe("When module `c` fails to fetch", function() {
+      var error;
+
+      beforeEach(function() {
+        return importError("entry").then(function(_error) {
+          error = _error;
+        });
+      });
+
+      it("then the error is a FetchError", function() {
+        expect(error).to.be.an.instanceof(ModuleError.FetchError);
+        expect(error).to.be.an.instanceof(ModuleError);
+        expect(error).to.be.an.instanceof(Error);
+        expect(error.name).to.equal("FetchError");
+      });
+
+      it("then the error has the fetch stage", function() {
+        expect(error.stage).to.equal("fetch");
+      });
+
+      it("then the error has the name of the module that failed", function() {
+        expect(error.moduleName).to.equal("c");
+      });
+
+      it("then the error has the chain of modules that lead to module `c`", function() {
+        expect(error.chain).to.eql(["entry", "a", "b", "c"]);
+      });
+
+      it("then the error has the original error", function() {
+        expect(error.cause).to.be.an.instanceof(TypeError);
+        expect(error.cause.message).to.equal("Not found");
+      });
+
+      it("then the message has the chain and the original message", function() {
+        expect(error.message).to.equal("Unable to fetch module `c` (entry -> a -> b -> c): Not found");
+      });
+    });
+
+
+    describe("When a plugin transform handler throws", function() {
+      var error;
+
+      beforeEach(function() {
+        bitloader.plugin("js", {
+          transform: function brokenTransform(moduleMeta) {
+            if (moduleMeta.name === "b") {
+              throw new TypeError("Unexpected token");
+            }
+          }
+        });
+
+        return importError("entry").then(function(_error) {
+          error = _error;
+        });
+      });
+
+      it("then the error is a TransformError", function() {
+        expect(error).to.be.an.instanceof(ModuleError.TransformError);
+        expect(error.stage).to.equal("transform");
+      });
+
+      it("then the error has the name of the plugin", function() {
+        expect(error.plugin).to.equal("js");
+      });
+
+      it("then the error has the name of the handler", function() {
+        expect(error.handler).to.equal("brokenTransform");
+      });
+
+      it("then the message has the plugin and handler names", function() {
+        expect(error.message).to.equal("Unable to transform module `b` (entry -> a -> b) in `js:brokenTransform`: Unexpected token");
+      });
+    });
+
+
+    describe("When the resolver fails", function() {
+      var error;
+
+      beforeEach(function() {
+        bitloader.resolve = function() {
+          throw new TypeError("Invalid name");
+        };
+
+        return importError("entry").then(function(_error) {
+          error = _error;
+        });
+      });
+
+      it("then the error is a ResolveError", function() {
+        expect(error).to.be.an.instanceof(ModuleError.ResolveError);
+        expect(error.chain).to.eql(["entry"]);
+      });
+    });
+
+
+    describe("When the module factory throws", function() {
+      var error;
+
+      beforeEach(function() {
+        dependencies.b = [];
+        bitloader.pipelines.compile.use(function(moduleMeta) {
+          if (moduleMeta.name === "b") {
+            moduleMeta.configure({
+              factory: function() {
+                throw new TypeError("Factory failed");
+              }
+            });
+          }
+        });
+
+        return importError("entry").then(function(_error) {
+          error = _error;
+        });
+      });
+
+      it("then the error is a LinkError", function() {
+        expect(error).to.be.an.instanceof(ModuleError.LinkError);
+        expect(error.stage).to.equal("link");
+      });
+
+      it("then the error has the chain of modules that lead to module `b`", function() {
+        expect(error.chain).to.eql(["entry", "a", "b"]);
+      });
+    });
+
+
+    describe("When wrapping an error that is already a ModuleError", function() {
+      it("then the same error is returned", function() {
+        var error = new ModuleError.FetchError({name: "c"}, new TypeError("Not found"));
+        expect(ModuleError.wrap(ModuleError.DependencyError, {name: "b"}, error)).to.equal(error);
+      });
+    });
+  });
+
+});
@@ -0,0 +1,211 @@
+define(["dist/bit-loader", "test/helpers/rejection"], function(Bitloader, rejection) {
+
+  // NodeFetcher is left out of the browser build
+  var describeFetcher = typeof(Bitloader.NodeFetcher) === "function" ? describe : describe.skip;
+
+  describeFetcher("NodeFetcher Test Suite", function() {
+    var fs, files, failures, active, maxActive;
+
+    function fileError(code) {
+      var error = new Error(code);
+      error.code = code;
+      return error;
+    }
+
+    beforeEach(function() {
+      files     = {"/app/js/a.js": "a source", "/other/b.js": "b source"};
+      failures  = {};
+      active    = 0;
+      maxActive = 0;
+
+      // In memory file system that fails with `EMFILE` as many times as
+      // `failures` says for each file
+      fs = {
+        stat: sinon.spy(function(file, callback) {
+          active++;
+          maxActive = Math.max(active, maxActive);
+
+          window.setTimeout(function() {
+            if (failures[file]) {
+              failures[file]--;
+              active--;
+              callback(fileError("EMFILE"));
+            }
+            else if (!files.hasOwnProperty(file)) {
+              active--;
+              callback(fileError("ENOENT"));
+            }
+            else {
+              callback(null, {mtime: new Date(1000), size: files[file].length});
+            }
+          }, 0);
+        }),
+        readFile: sinon.spy(function(file, encoding, callback) {
+          window.setTimeout(function() {
+            active--;
+            callback(null, files[file]);
+          }, 0);
+        })
+      };
+    });
+
+
+    describe("When fetching a module meta without a path", function() {
+      var error;
+
+      beforeEach(function() {
+        var fetcher = new Bitloader.NodeFetcher({fs: fs});
+
+        return rejection(fetcher.fetch({name: "a"})).then(function(_error) {
+          error = _error;
+        });
+      });
+
+      it("then the fetch is rejected with a TypeError", function() {
+        expect(error).to.be.an.instanceof(TypeError);
+        expect(error.message).to.equal("Module `a` does not have a path to fetch");
+      });
+    });
+
+
+    describe("When fetching a module meta with a relative path", function() {
+      var result;
+
+      beforeEach(function() {
+        var fetcher = new Bitloader.NodeFetcher({fs: fs, baseDir: "/app"});
+
+        return fetcher.fetch({name: "a", path: "js/a.js"}).then(function(_result) {
+          result = _result;
+        });
+      });
+
+      it("then the file is read from `baseDir`", function() {
+        expect(fs.stat.args[0][0]).to.equal("/app/js/a.js");
+        expect(fs.readFile.args[0][0]).to.equal("/app/js/a.js");
+      });
+
+      it("then the file is read with the default encoding", function() {
+        expect(fs.readFile.args[0][1]).to.equal("utf8");
+      });
+
+      it("then the result has the source of the file", function() {
+        expect(result.source).to.equal("a source");
+      });
+
+      it("then the result has the absolute path of the file", function() {
+        expect(result.filename).to.equal("/app/js/a.js");
+      });
+
+      it("then the result has the modification time and the size of the file", function() {
+        expect(result.mtime).to.equal(1000);
+        expect(result.size).to.equal(8);
+      });
+    });
+
+
+    describe("When fetching a module meta with an absolute path", function() {
+      var result;
+
+      beforeEach(function() {
+        var fetcher = new Bitloader.NodeFetcher({fs: fs, baseDir: "/app"});
+
+        return fetcher.fetch({name: "b", path: "/other/b.js"}).then(function(_result) {
+          result = _result;
+        });
+      });
+
+      it("then the file is read from the path", function() {
+        expect(fs.stat.args[0][0]).to.equal("/other/b.js");
+        expect(result.source).to.equal("b source");
+      });
+    });
+
+
+    describe("When fetching more module metas than the concurrency limit", function() {
+      var results;
+
+      beforeEach(function() {
+        var fetcher = new Bitloader.NodeFetcher({fs: fs, baseDir: "/app", concurrency: 2});
+        var names   = ["a", "b", "c", "d", "e"];
+
+        names.forEach(function(name) {
+          files["/app/js/" + name + ".js"] = name + " source";
+        });
+
+        return Bitloader.Promise.all(names.map(function(name) {
+          return fetcher.fetch({name: name, path: "js/" + name + ".js"});
+        })).then(function(_results) {
+          results = _results;
+        });
+      });
+
+      it("then no more than `concurrency` files are read at the same time", function() {
+        expect(maxActive).to.equal(2);
+      });
+
+      it("then all the files are read", function() {
+        expect(results.map(function(result) { return result.source; })).to.eql(["a source", "b source", "c source", "d source", "e source"]);
+      });
+    });
+
+
+    describe("When reading a file fails with `EMFILE` fewer times than `retries`", function() {
+      var result;
+
+      beforeEach(function() {
+        var fetcher = new Bitloader.NodeFetcher({fs: fs, baseDir: "/app", retries: 2, retryDelay: 0});
+        failures["/app/js/a.js"] = 2;
+
+        return fetcher.fetch({name: "a", path: "js/a.js"}).then(function(_result) {
+          result = _result;
+        });
+      });
+
+      it("then the read is retried until it succeeds", function() {
+        expect(fs.stat.callCount).to.equal(3);
+        expect(result.source).to.equal("a source");
+      });
+    });
+
+
+    describe("When reading a file fails with `EMFILE` more times than `retries`", function() {
+      var error;
+
+      beforeEach(function() {
+        var fetcher = new Bitloader.NodeFetcher({fs: fs, baseDir: "/app", retries: 2, retryDelay: 0});
+        failures["/app/js/a.js"] = 3;
+
+        return rejection(fetcher.fetch({name: "a", path: "js/a.js"})).then(function(_error) {
+          error = _error;
+        });
+      });
+
+      it("then the read is retried `retries` times", function() {
+        expect(fs.stat.callCount).to.equal(3);
+      });
+
+      it("then the fetch is rejected with the `EMFILE` error", function() {
+        expect(error.code).to.equal("EMFILE");
+      });
+    });
+
+
+    describe("When reading a file that does not exist", function() {
+      var error;
+
+      beforeEach(function() {
+        var fetcher = new Bitloader.NodeFetcher({fs: fs, baseDir: "/app", retryDelay: 0});
+
+        return rejection(fetcher.fetch({name: "x", path: "js/x.js"})).then(function(_error) {
+          error = _error;
+        });
+      });
+
+      it("then the read is not retried", function() {
+        expect(fs.stat.callCount).to.equal(1);
+        expect(error.code).to.equal("ENOENT");
+      });
+    });
+  });
+
+});
@@ -0,0 +1,401 @@
+define(["dist/bit-loader", "test/helpers/rejection"], function(Bitloader, rejection) {
+
+  describe("NodeResolver Test Suite", function() {
+    var files;
+
+    // In memory file system
+    function createFileSystem() {
+      return {
+        isFile: sinon.spy(function(path) {
+          return Bitloader.Promise.resolve(files.hasOwnProperty(path));
+        }),
+        readFile: function(path) {
+          return Bitloader.Promise.resolve(files[path]);
+        }
+      };
+    }
+
+    function resolve(resolver, name, parentPath) {
+      return resolver.resolve({name: name}, parentPath ? {path: parentPath} : null).then(function(result) {
+        return result.path;
+      });
+    }
+
+
+    beforeEach(function() {
+      files = {
+        "/app/main.js": "",
+        "/app/util.js": "",
+        "/app/data.json": "",
+        "/app/lib/index.js": "",
+        "/app/node_modules/a/package.json": JSON.stringify({main: "./lib/a"}),
+        "/app/node_modules/a/lib/a.js": "",
+        "/app/node_modules/a/other.js": "",
+        "/app/node_modules/b/index.js": "",
+        "/app/node_modules/b/package.json": JSON.stringify({main: "./node.js", browser: "./browser.js"}),
+        "/app/node_modules/b/node.js": "",
+        "/app/node_modules/b/browser.js": "",
+        "/app/node_modules/@scope/c/package.json": JSON.stringify({
+          exports: {
+            ".": {browser: "./c.browser.js", require: "./c.cjs", "default": "./c.js"},
+            "./features/*": "./src/features/*.js",
+            "./internal/*": null
+          }
+        }),
+        "/app/node_modules/@scope/c/c.js": "",
+        "/app/node_modules/@scope/c/c.cjs": "",
+        "/app/node_modules/@scope/c/c.browser.js": "",
+        "/app/node_modules/@scope/c/src/features/x.js": "",
+        "/node_modules/d/index.js": "",
+        "/app/node_modules/e.js": "",
+        "/app/node_modules/e/index.js": ""
+      };
+    });
+
+
+    describe("When resolving names with a resolver for `/app`", function() {
+      var resolver;
+
+      beforeEach(function() {
+        resolver = new Bitloader.NodeResolver({base: "/app", fs: createFileSystem()});
+      });
+
+      it("then relative names without a parent are resolved against the base", function() {
+        return resolve(resolver, "./main").then(function(path) {
+          expect(path).to.equal("/app/main.js");
+        });
+      });
+
+      it("then relative names are resolved against the parent path", function() {
+        return resolve(resolver, "../util", "/app/lib/index.js").then(function(path) {
+          expect(path).to.equal("/app/util.js");
+        });
+      });
+
+      it("then extensions are probed in order", function() {
+        return resolve(resolver, "./data", "/app/main.js").then(function(path) {
+          expect(path).to.equal("/app/data.json");
+          expect(resolver.fs.isFile.args.map(function(args) { return args[0]; })).to.eql(["/app/data", "/app/data.js", "/app/data.json"]);
+        });
+      });
+
+      it("then directories are resolved with their index file", function() {
+        return resolve(resolver, "./lib", "/app/main.js").then(function(path) {
+          expect(path).to.equal("/app/lib/index.js");
+        });
+      });
+
+      it("then packages are resolved with `main`", function() {
+        return resolve(resolver, "a", "/app/lib/index.js").then(function(path) {
+          expect(path).to.equal("/app/node_modules/a/lib/a.js");
+        });
+      });
+
+      it("then files in packages are resolved", function() {
+        return resolve(resolver, "a/other", "/app/main.js").then(function(path) {
+          expect(path).to.equal("/app/node_modules/a/other.js");
+        });
+      });
+
+      it("then the `browser` field is ignored", function() {
+        return resolve(resolver, "b", "/app/main.js").then(function(path) {
+          expect(path).to.equal("/app/node_modules/b/node.js");
+        });
+      });
+
+      it("then scoped packages are resolved with `exports` conditions", function() {
+        return resolve(resolver, "@scope/c", "/app/main.js").then(function(path) {
+          expect(path).to.equal("/app/node_modules/@scope/c/c.cjs");
+        });
+      });
+
+      it("then `exports` patterns are resolved", function() {
+        return resolve(resolver, "@scope/c/features/x", "/app/main.js").then(function(path) {
+          expect(path).to.equal("/app/node_modules/@scope/c/src/features/x.js");
+        });
+      });
+
+      it("then subpaths that are not exported are rejected", function() {
+        return rejection(resolver.resolve({name: "@scope/c/internal/y"}, {path: "/app/main.js"})).then(function(error) {
+          expect(error).to.be.an.instanceof(TypeError);
+          expect(error.message).to.contain("is not exported");
+        });
+      });
+
+      it("then files in `node_modules` are probed before directories", function() {
+        return resolve(resolver, "e", "/app/main.js").then(function(path) {
+          expect(path).to.equal("/app/node_modules/e.js");
+        });
+      });
+
+      it("then `node_modules` directories are looked up walking up the parent directories", function() {
+        return resolve(resolver, "d", "/app/lib/index.js").then(function(path) {
+          expect(path).to.equal("/node_modules/d/index.js");
+        });
+      });
+
+      it("then modules that are not found are rejected", function() {
+        return rejection(resolver.resolve({name: "missing"}, {path: "/app/main.js"})).then(function(error) {
+          expect(error).to.be.an.instanceof(TypeError);
+          expect(error.message).to.equal("Cannot find module `missing` from `/app`");
+        });
+      });
+    });
+
+
+    describe("When resolving packages with a resolver for the browser", function() {
+      var resolver;
+
+      beforeEach(function() {
+        resolver = new Bitloader.NodeResolver({base: "/app", fs: createFileSystem(), browser: true});
+      });
+
+      it("then the `browser` field takes precedence over `main`", function() {
+        return resolve(resolver, "b", "/app/main.js").then(function(path) {
+          expect(path).to.equal("/app/node_modules/b/browser.js");
+        });
+      });
+
+      it("then the `browser` condition in `exports` is matched", function() {
+        return resolve(resolver, "@scope/c", "/app/main.js").then(function(path) {
+          expect(path).to.equal("/app/node_modules/@scope/c/c.browser.js");
+        });
+      });
+    });
+
+
+    describe("When resolving with the `browser` condition from the loader", function() {
+      var resolver;
+
+      function resolveWithEnv(name, parentPath) {
+        return resolver.resolve({name: name, env: ["browser"]}, {path: parentPath});
+      }
+
+      beforeEach(function() {
+        files["/app/package.json"] = JSON.stringify({
+          browser: {
+            "fs": false,
+            "http": "./shims/http.js",
+            "./util.js": "./util-browser.js",
+            "./data": false
+          }
+        });
+
+        files["/app/shims/http.js"] = "";
+        files["/app/util-browser.js"] = "";
+
+        resolver = new Bitloader.NodeResolver({base: "/app", fs: createFileSystem()});
+      });
+
+      it("then the `browser` condition in `exports` is matched", function() {
+        return resolveWithEnv("@scope/c", "/app/main.js").then(function(result) {
+          expect(result.path).to.equal("/app/node_modules/@scope/c/c.browser.js");
+        });
+      });
+
+      it("then modules replaced with `false` resolve to an empty module", function() {
+        return resolveWithEnv("fs", "/app/main.js").then(function(result) {
+          expect(result.source).to.equal("");
+          expect(result.code).to.eql({});
+        });
+      });
+
+      it("then modules are replaced with files in the package", function() {
+        return resolveWithEnv("http", "/app/lib/index.js").then(function(result) {
+          expect(result.path).to.equal("/app/shims/http.js");
+        });
+      });
+
+      it("then files are replaced", function() {
+        return resolveWithEnv("./util", "/app/main.js").then(function(result) {
+          expect(result.path).to.equal("/app/util-browser.js");
+        });
+      });
+
+      it("then files replaced with `false` without the extension resolve to an empty module", function() {
+        return resolveWithEnv("./data.json", "/app/main.js").then(function(result) {
+          expect(result.code).to.eql({});
+        });
+      });
+
+      it("then replacements are not applied without the `browser` condition", function() {
+        return resolve(resolver, "./util", "/app/main.js").then(function(path) {
+          expect(path).to.equal("/app/util.js");
+        });
+      });
+    });
+
+
+    describe("When resolving names against a URL base", function() {
+      var resolver;
+
+      beforeEach(function() {
+        files = {
+          "http://localhost/app/main.js": "",
+          "http://localhost/node_modules/d/index.js": ""
+        };
+
+        resolver = new Bitloader.NodeResolver({base: "http://localhost/app", fs: createFileSystem()});
+      });
+
+      it("then relative names are resolved to URLs", function() {
+        return resolve(resolver, "./main").then(function(path) {
+          expect(path).to.equal("http://localhost/app/main.js");
+        });
+      });
+
+      it("then packages are looked up walking up the URL path", function() {
+        return resolve(resolver, "d", "http://localhost/app/main.js").then(function(path) {
+          expect(path).to.equal("http://localhost/node_modules/d/index.js");
+        });
+      });
+    });
+
+
+    describe("When resolving a name with the URL file system and the first probe is not found", function() {
+      var XMLHttpRequest, requests, path;
+
+      beforeEach(function() {
+        requests = [];
+        XMLHttpRequest = window.XMLHttpRequest;
+        window.XMLHttpRequest = sinon.FakeXMLHttpRequest;
+        sinon.FakeXMLHttpRequest.onCreate = function(xhr) {
+          requests.push(xhr);
+          window.setTimeout(function() {
+            xhr.respond(/\.js$/.test(xhr.url) ? 200 : 404, {}, "");
+          }, 0);
+        };
+
+        var resolver = new Bitloader.NodeResolver({
+          base : "http://localhost/app",
+          fs   : new Bitloader.NodeResolver.UrlFileSystem()
+        });
+
+        return resolve(resolver, "./data").then(function(_path) {
+          path = _path;
+        });
+      });
+
+      afterEach(function() {
+        window.XMLHttpRequest = XMLHttpRequest;
+        sinon.FakeXMLHttpRequest.onCreate = null;
+      });
+
+      it("then the next candidate is probed", function() {
+        expect(requests.map(function(xhr) { return xhr.method + " " + xhr.url; })).to.eql([
+          "HEAD http://localhost/app/data",
+          "HEAD http://localhost/app/data.js"
+        ]);
+      });
+
+      it("then the name resolves to the candidate that exists", function() {
+        expect(path).to.equal("http://localhost/app/data.js");
+      });
+    });
+
+
+    describe("When importing modules with a loader that uses the resolver", function() {
+      var fetch;
+
+      beforeEach(function() {
+        fetch = sinon.spy(function() {
+          return {source: ""};
+        });
+
+        var resolver = new Bitloader.NodeResolver({base: "/app", fs: createFileSystem()});
+        var bitloader = new Bitloader({resolve: resolver.resolve, fetch: fetch});
+
+        return bitloader.import("./main");
+      });
+
+      it("then the module is fetched from the resolved path", function() {
+        expect(fetch.args[0][0].path).to.equal("/app/main.js");
+      });
+    });
+
+
+    describe("When importing modules that require the same relative name from different directories", function() {
+      var bitloader, result;
+
+      beforeEach(function() {
+        files = {
+          "/app/src/x.js": "module.exports = require('./util');",
+          "/app/src/util.js": "module.exports = 'src util';",
+          "/app/lib/y.js": "module.exports = require('./util');",
+          "/app/lib/util.js": "module.exports = 'lib util';"
+        };
+
+        var resolver = new Bitloader.NodeResolver({base: "/app", fs: createFileSystem()});
+
+        bitloader = new Bitloader({
+          resolve: resolver.resolve,
+          fetch: function(moduleMeta) {
+            return {source: files[moduleMeta.path]};
+          }
+        });
+
+        bitloader.compile = new Bitloader.CjsCompiler(bitloader).compile;
+        bitloader.pipelines.dependency.use(function(moduleMeta) {
+          moduleMeta.deps = /require\(/.test(moduleMeta.source) ? ["./util"] : [];
+        });
+
+        return bitloader.import("./src/x").then(function() {
+          return bitloader.import(["./src/x", "./lib/y"]);
+        }).then(function(_result) {
+          result = _result;
+        });
+      });
+
+      it("then each module gets the dependency in its own directory", function() {
+        expect(result).to.eql(["src util", "lib util"]);
+      });
+
+      it("then the dependencies are registered with the directory they are in", function() {
+        expect(bitloader.getModuleCode("/app/src/util")).to.equal("src util");
+        expect(bitloader.getModuleCode("/app/lib/util")).to.equal("lib util");
+      });
+    });
+
+
+    describe("When importing modules with a loader that is created with a file system", function() {
+      var fetch;
+
+      beforeEach(function() {
+        fetch = sinon.spy(function() {
+          return {source: ""};
+        });
+
+        var fs = createFileSystem();
+        fs.cwd = function() {
+          return "/app";
+        };
+
+        var bitloader = new Bitloader({fs: fs, fetch: fetch});
+        return bitloader.import("a");
+      });
+
+      it("then the default resolver uses the nodejs algorithm", function() {
+        expect(fetch.args[0][0].path).to.equal("/app/node_modules/a/lib/a.js");
+      });
+    });
+
+
+    describe("When importing modules with a loader that is created without a file system", function() {
+      var fetch;
+
+      beforeEach(function() {
+        fetch = sinon.spy(function() {
+          return {source: ""};
+        });
+
+        var bitloader = new Bitloader({fetch: fetch});
+        return bitloader.import("a");
+      });
+
+      it("then the default resolver maps the name to the path", function() {
+        expect(fetch.args[0][0].path).to.equal("a");
+      });
+    });
+  });
+
+});
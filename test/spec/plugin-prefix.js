@@ -0,0 +1,144 @@
+define(["dist/bit-loader", "test/helpers/rejection"], function(Bitloader, rejection) {
+
+  describe("Plugin Prefix Test Suite", function() {
+    var bitloader, resolvedNames, transforms;
+
+    beforeEach(function() {
+      resolvedNames = [];
+      transforms    = [];
+
+      bitloader = new Bitloader({
+        resolve: function(moduleMeta) {
+          resolvedNames.push(moduleMeta.name);
+          return {path: "/app/" + moduleMeta.name};
+        },
+        fetch: function(moduleMeta) {
+          return {source: moduleMeta.path};
+        }
+      });
+
+      function createTransform(name) {
+        return function(moduleMeta) {
+          transforms.push(name);
+          return {source: name + "(" + moduleMeta.source + ")"};
+        };
+      }
+
+      bitloader.plugin("text", {transform: createTransform("text")});
+      bitloader.plugin("less", {transform: createTransform("less")});
+      bitloader.plugin("css", {transform: createTransform("css")});
+    });
+
+
+    describe("When importing `text!foo.html`", function() {
+      var result;
+
+      beforeEach(function() {
+        return bitloader.import("text!foo.html").then(function(_result) {
+          result = _result;
+        });
+      });
+
+      it("then the resolve hook gets the resource name", function() {
+        expect(resolvedNames).to.eql(["foo.html"]);
+      });
+
+      it("then only the plugin in the prefix processes the module", function() {
+        expect(transforms).to.eql(["text"]);
+        expect(result).to.equal("text(/app/foo.html)");
+      });
+
+      it("then the module is registered with the full name", function() {
+        expect(bitloader.hasModule("text!foo.html")).to.equal(true);
+        expect(bitloader.hasModule("foo.html")).to.equal(false);
+      });
+    });
+
+
+    describe("When importing `css!less!style.less` with chained plugins", function() {
+      var result;
+
+      beforeEach(function() {
+        return bitloader.import("css!less!style.less").then(function(_result) {
+          result = _result;
+        });
+      });
+
+      it("then the plugins run from the innermost to the outermost", function() {
+        expect(transforms).to.eql(["less", "css"]);
+        expect(result).to.equal("css(less(/app/style.less))");
+      });
+    });
+
+
+    describe("When importing a resource with a plugin that normalizes names", function() {
+      var normalize;
+
+      beforeEach(function() {
+        normalize = sinon.spy(function(name) {
+          return name.replace(/\.html$/, "") + ".html";
+        });
+
+        bitloader.plugin("text", {normalize: normalize});
+        return bitloader.import("text!foo");
+      });
+
+      it("then `normalize` is called with the resource name", function() {
+        expect(normalize.args[0][0]).to.equal("foo");
+      });
+
+      it("then the resolve hook gets the normalized name", function() {
+        expect(resolvedNames).to.eql(["foo.html"]);
+      });
+    });
+
+
+    describe("When importing a resource with a plugin that resolves it", function() {
+      var result;
+
+      beforeEach(function() {
+        bitloader.plugin("cdn", {
+          resolve: function(moduleMeta) {
+            return {path: "https://cdn/" + moduleMeta.name};
+          }
+        });
+
+        return bitloader.import("cdn!lib.js").then(function(_result) {
+          result = _result;
+        });
+      });
+
+      it("then the resource is resolved by the plugin", function() {
+        expect(resolvedNames).to.eql([]);
+        expect(result).to.equal("https://cdn/lib.js");
+      });
+    });
+
+
+    describe("When importing a resource with a plugin that is not registered", function() {
+      var error;
+
+      beforeEach(function() {
+        return rejection(bitloader.import("missing!foo.html")).then(function(_error) {
+          error = _error;
+        });
+      });
+
+      it("then the import fails with a ResolveError", function() {
+        expect(error).to.be.an.instanceof(Bitloader.ModuleError.ResolveError);
+        expect(error.moduleName).to.equal("missing!foo.html");
+        expect(error.cause.message).to.equal("Plugin `missing` is not registered");
+      });
+    });
+
+
+    describe("When configuring a plugin with a `normalize` that is not a function", function() {
+      it("then a TypeError is thrown", function() {
+        expect(function() {
+          bitloader.plugin("text", {normalize: "name"});
+        }).to.throw(TypeError, "Plugin `normalize` must be a function");
+      });
+    });
+  });
+
+});
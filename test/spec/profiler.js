@@ -0,0 +1,166 @@
+define(["dist/bit-loader"], function(Bitloader) {
+
+  describe("Profiler Test Suite", function() {
+
+    describe("When creating a Profiler without a manager", function() {
+      it("then a TypeError is thrown", function() {
+        expect(function() {
+          new Bitloader.Profiler();
+        }).to.throw(TypeError, "Must provide a manager");
+      });
+    });
+
+
+    describe("When creating a loader without `profile`", function() {
+      it("then there is no profiler", function() {
+        expect(new Bitloader().profiler).to.equal(null);
+      });
+    });
+
+
+    describe("When importing module `main` with profiling enabled", function() {
+      var bitloader, profiler;
+
+      beforeEach(function() {
+        bitloader = new Bitloader({
+          profile: true,
+          fetch: function(moduleMeta) {
+            return {source: moduleMeta.name + " source"};
+          }
+        });
+
+        bitloader.plugin("js", {
+          transform: function babel() {}
+        });
+
+        bitloader.pipelines.dependency.use({
+          name: "deps",
+          handler: function(moduleMeta) {
+            moduleMeta.deps = {main: ["a", "b"], a: ["c"]}[moduleMeta.name] || [];
+          }
+        });
+
+        profiler = bitloader.profiler;
+        return bitloader.import("main");
+      });
+
+      it("then the profiler records the stages for each module", function() {
+        var modules = profiler.getModuleTimings();
+        expect(Object.keys(modules).sort()).to.eql(["a", "b", "c", "main"]);
+        expect(Object.keys(modules.main.stages)).to.eql(["resolve", "fetch", "transform", "dependency", "compile", "link"]);
+      });
+
+
+      describe("and creating a report", function() {
+        var report;
+
+        beforeEach(function() {
+          report = profiler.report();
+        });
+
+        it("then the report has all the modules", function() {
+          expect(report.modules.length).to.equal(4);
+        });
+
+        it("then the modules are sorted slowest first", function() {
+          for (var i = 1; i < report.modules.length; i++) {
+            expect(report.modules[i - 1].duration).to.be.at.least(report.modules[i].duration);
+          }
+        });
+
+        it("then the report has the plugin handler", function() {
+          var plugin = report.plugins.filter(function(plugin) {
+            return plugin.name === "js:babel";
+          })[0];
+
+          expect(plugin.type).to.equal("handler");
+          expect(plugin.count).to.equal(4);
+        });
+
+        it("then the report has the middleware provider", function() {
+          var provider = report.plugins.filter(function(plugin) {
+            return plugin.name === "deps";
+          })[0];
+
+          expect(provider.type).to.equal("provider");
+          expect(provider.count).to.equal(4);
+        });
+
+        it("then the plugin is not reported as a provider as well", function() {
+          expect(report.plugins.filter(function(plugin) {
+            return plugin.name === "js";
+          }).length).to.equal(0);
+        });
+
+        it("then the critical path starts at module `main`", function() {
+          expect(report.criticalPath.modules[0]).to.equal("main");
+        });
+      });
+
+
+      describe("and exporting a trace", function() {
+        var trace;
+
+        beforeEach(function() {
+          trace = profiler.toTrace();
+        });
+
+        it("then there is a complete event for each recorded timing", function() {
+          expect(trace.traceEvents.filter(function(event) {
+            return event.ph === "X";
+          }).length).to.equal(profiler.entries.length);
+        });
+
+        it("then each module has a named thread", function() {
+          expect(trace.traceEvents.filter(function(event) {
+            return event.ph === "M";
+          }).map(function(event) {
+            return event.args.name;
+          }).sort()).to.eql(["a", "b", "c", "main"]);
+        });
+
+        it("then the trace can be serialized", function() {
+          expect(JSON.parse(JSON.stringify(trace)).traceEvents.length).to.equal(trace.traceEvents.length);
+        });
+      });
+
+
+      describe("and stopping the profiler before importing another module", function() {
+        var count;
+
+        beforeEach(function() {
+          count = profiler.entries.length;
+          profiler.stop();
+          return bitloader.import("other");
+        });
+
+        it("then nothing else is recorded", function() {
+          expect(profiler.entries.length).to.equal(count);
+        });
+      });
+    });
+
+
+    describe("When finding the critical path", function() {
+      var criticalPath;
+
+      beforeEach(function() {
+        var profiler = new Bitloader.Profiler(new Bitloader());
+        profiler.deps = {main: ["a", "b"], a: ["c"], b: [], c: ["main"]};
+
+        criticalPath = profiler.getCriticalPath({
+          main : {duration: 1},
+          a    : {duration: 2},
+          b    : {duration: 5},
+          c    : {duration: 2}
+        });
+      });
+
+      it("then the path with the largest total time is returned", function() {
+        expect(criticalPath.modules).to.eql(["main", "b"]);
+        expect(criticalPath.duration).to.equal(6);
+      });
+    });
+  });
+
+});
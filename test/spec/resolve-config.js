@@ -0,0 +1,203 @@
+define(["dist/bit-loader"], function(Bitloader) {
+
+  describe("ResolveConfig Test Suite", function() {
+    var resolveConfig;
+
+    beforeEach(function() {
+      resolveConfig = new Bitloader.ResolveConfig({
+        paths: {
+          "jquery": "vendor/jquery-2.1.4",
+          "vendor": "lib/vendor",
+          "vendor/special": "lib/special",
+          "fallback": ["cdn/fallback", "local/fallback"]
+        },
+        packages: [
+          "simple",
+          {name: "cart", location: "app/cart/", main: "./index.js"}
+        ],
+        map: {
+          "*": {"underscore": "lodash"},
+          "legacy": {"jquery": "jquery-1.11"},
+          "legacy/old": {"jquery": "jquery-1.8"}
+        }
+      });
+    });
+
+
+    describe("When resolving names with `paths`", function() {
+      it("then exact matches are remapped", function() {
+        expect(resolveConfig.resolve("jquery")).to.equal("vendor/jquery-2.1.4");
+      });
+
+      it("then the first segments are remapped", function() {
+        expect(resolveConfig.resolve("vendor/a")).to.equal("lib/vendor/a");
+      });
+
+      it("then the longest match wins", function() {
+        expect(resolveConfig.resolve("vendor/special/a")).to.equal("lib/special/a");
+      });
+
+      it("then only whole segments match", function() {
+        expect(resolveConfig.resolve("vendors/a")).to.equal("vendors/a");
+      });
+
+      it("then the first path of an array is used", function() {
+        expect(resolveConfig.resolve("fallback")).to.equal("cdn/fallback");
+      });
+
+      it("then relative names are not remapped", function() {
+        expect(resolveConfig.resolve("./jquery")).to.equal("./jquery");
+      });
+    });
+
+
+    describe("When resolving names with `packages`", function() {
+      it("then the package name resolves to the main module in the location", function() {
+        expect(resolveConfig.resolve("cart")).to.equal("app/cart/index");
+      });
+
+      it("then modules in the package resolve to the location", function() {
+        expect(resolveConfig.resolve("cart/item")).to.equal("app/cart/item");
+      });
+
+      it("then packages configured with a name default to `main`", function() {
+        expect(resolveConfig.resolve("simple")).to.equal("simple/main");
+      });
+    });
+
+
+    describe("When resolving names with `map`", function() {
+      it("then `*` applies to all consumers", function() {
+        expect(resolveConfig.resolve("underscore", "app")).to.equal("lodash");
+      });
+
+      it("then the substitution for the consumer is used", function() {
+        expect(resolveConfig.resolve("jquery", "legacy/main")).to.equal("jquery-1.11");
+      });
+
+      it("then the most specific consumer wins", function() {
+        expect(resolveConfig.resolve("jquery", "legacy/old/main")).to.equal("jquery-1.8");
+      });
+
+      it("then substituted names are remapped with `paths`", function() {
+        expect(resolveConfig.resolve("jquery", "app")).to.equal("vendor/jquery-2.1.4");
+      });
+    });
+
+
+    describe("When extending the configuration", function() {
+      beforeEach(function() {
+        resolveConfig.extend({
+          paths: {"jquery": "vendor/jquery-3.0.0"},
+          map: {"*": {"backbone": "exoskeleton"}}
+        });
+      });
+
+      it("then existing entries are replaced", function() {
+        expect(resolveConfig.resolve("jquery")).to.equal("vendor/jquery-3.0.0");
+      });
+
+      it("then `map` is merged per consumer", function() {
+        expect(resolveConfig.resolve("underscore", "app")).to.equal("lodash");
+        expect(resolveConfig.resolve("backbone", "app")).to.equal("exoskeleton");
+      });
+    });
+
+
+    describe("When configuring a package without a name", function() {
+      it("then a TypeError is thrown", function() {
+        expect(function() {
+          new Bitloader.ResolveConfig({packages: [{location: "app"}]});
+        }).to.throw(TypeError, "Package must have a `name`");
+      });
+    });
+
+
+    describe("When importing modules with a loader configured with `paths`", function() {
+      var bitloader, resolvedNames;
+
+      beforeEach(function() {
+        resolvedNames = [];
+
+        bitloader = new Bitloader({
+          resolveConfig: {
+            paths: {"jquery": "vendor/jquery"}
+          },
+          resolve: function(moduleMeta) {
+            resolvedNames.push(moduleMeta.name);
+            return {path: moduleMeta.name + ".js"};
+          },
+          fetch: function(moduleMeta) {
+            return {source: moduleMeta.path};
+          }
+        });
+      });
+
+      describe("and importing module `jquery`", function() {
+        var result;
+
+        beforeEach(function() {
+          return bitloader.import("jquery").then(function(_result) {
+            result = _result;
+          });
+        });
+
+        it("then the resolve hook gets the remapped name", function() {
+          expect(resolvedNames).to.eql(["vendor/jquery"]);
+        });
+
+        it("then the module keeps its original name", function() {
+          expect(bitloader.hasModule("jquery")).to.equal(true);
+          expect(result).to.equal("vendor/jquery.js");
+        });
+      });
+
+      describe("and calling `config` with packages before importing module `cart`", function() {
+        beforeEach(function() {
+          bitloader.config({packages: [{name: "cart", location: "app/cart"}]});
+          return bitloader.import("cart");
+        });
+
+        it("then the resolve hook gets the main module of the package", function() {
+          expect(resolvedNames).to.eql(["app/cart/main"]);
+        });
+      });
+
+      describe("and calling `config` without a configuration", function() {
+        it("then a TypeError is thrown", function() {
+          expect(function() {
+            bitloader.config();
+          }).to.throw(TypeError, "Must provide a configuration");
+        });
+      });
+    });
+
+
+    describe("When importing modules with a loader that has `paths` in the top level options", function() {
+      var resolvedNames;
+
+      beforeEach(function() {
+        resolvedNames = [];
+
+        // Options that a resolve hook like bit-imports applies on its own
+        var bitloader = new Bitloader({
+          paths: {"jquery": "vendor/jquery"},
+          resolve: function(moduleMeta) {
+            resolvedNames.push(moduleMeta.name);
+            return {path: moduleMeta.name + ".js"};
+          },
+          fetch: function(moduleMeta) {
+            return {source: moduleMeta.path};
+          }
+        });
+
+        return bitloader.import("jquery");
+      });
+
+      it("then the resolve hook gets the name as it is", function() {
+        expect(resolvedNames).to.eql(["jquery"]);
+      });
+    });
+  });
+
+});
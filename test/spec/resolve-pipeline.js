@@ -0,0 +1,158 @@
+define(["dist/bit-loader", "test/helpers/rejection"], function(Bitloader, rejection) {
+
+  describe("Resolve Pipeline Test Suite", function() {
+    var bitloader, resolveHook, fetch;
+
+    beforeEach(function() {
+      resolveHook = sinon.spy(function(moduleMeta) {
+        return {path: "hook/" + moduleMeta.name};
+      });
+
+      fetch = sinon.spy(function(moduleMeta) {
+        return {source: moduleMeta.path};
+      });
+
+      bitloader = new Bitloader({resolve: resolveHook, fetch: fetch});
+    });
+
+
+    describe("When a plugin with a resolve handler matches the module name", function() {
+      var npmResolve, result;
+
+      beforeEach(function() {
+        npmResolve = sinon.spy(function(moduleMeta) {
+          return {path: "https://unpkg.com/" + moduleMeta.name.substr(4)};
+        });
+
+        bitloader.plugin("npm", {
+          match: {name: ["npm:**"]},
+          resolve: npmResolve
+        });
+
+        return bitloader.import("npm:lodash").then(function(_result) {
+          result = _result;
+        });
+      });
+
+      it("then the plugin resolve handler is called", function() {
+        expect(npmResolve.calledOnce).to.equal(true);
+      });
+
+      it("then the core resolve hook is not called", function() {
+        expect(resolveHook.called).to.equal(false);
+      });
+
+      it("then the module is fetched from the path set by the plugin", function() {
+        expect(result).to.equal("https://unpkg.com/lodash");
+      });
+
+
+      describe("and importing a module that does not match", function() {
+        beforeEach(function() {
+          return bitloader.import("local").then(function(_result) {
+            result = _result;
+          });
+        });
+
+        it("then the core resolve hook is called", function() {
+          expect(resolveHook.calledOnce).to.equal(true);
+          expect(result).to.equal("hook/local");
+        });
+      });
+    });
+
+
+    describe("When a plugin resolve handler does not set a path", function() {
+      var resolveHandler, result;
+
+      beforeEach(function() {
+        resolveHandler = sinon.spy(function(moduleMeta) {
+          moduleMeta.resolvedBy = "plugin";
+        });
+
+        bitloader.plugin("passthrough", {
+          resolve: resolveHandler
+        });
+
+        return bitloader.import("a").then(function(_result) {
+          result = _result;
+        });
+      });
+
+      it("then the core resolve hook is called with the module meta", function() {
+        expect(resolveHandler.calledOnce).to.equal(true);
+        expect(resolveHook.args[0][0].resolvedBy).to.equal("plugin");
+        expect(result).to.equal("hook/a");
+      });
+    });
+
+
+    describe("When a plugin only has matching rules on `path`", function() {
+      var resolveHandler;
+
+      beforeEach(function() {
+        resolveHandler = sinon.spy();
+
+        bitloader.plugin("js", {
+          match: {path: ["**/*.js"]},
+          resolve: resolveHandler
+        });
+
+        return bitloader.import("a.js");
+      });
+
+      it("then the plugin resolve handler is not called because the path is not known yet", function() {
+        expect(resolveHandler.called).to.equal(false);
+        expect(resolveHook.calledOnce).to.equal(true);
+      });
+    });
+
+
+    describe("When a plugin resolve handler fails", function() {
+      var error;
+
+      beforeEach(function() {
+        bitloader.plugin("broken", {
+          resolve: function brokenResolve() {
+            throw new TypeError("Bad name");
+          }
+        });
+
+        return rejection(bitloader.import("a")).then(function(_error) {
+          error = _error;
+        });
+      });
+
+      it("then the error is a ResolveError for the plugin handler", function() {
+        expect(error).to.be.an.instanceof(Bitloader.ModuleError.ResolveError);
+        expect(error.plugin).to.equal("broken");
+        expect(error.handler).to.equal("brokenResolve");
+      });
+    });
+
+
+    describe("When listening to `resolve` events with a plugin resolve handler", function() {
+      var event;
+
+      beforeEach(function() {
+        bitloader.plugin("npm", {
+          resolve: function() {
+            return {path: "npm/path"};
+          }
+        });
+
+        bitloader.on("resolve", function(_event) {
+          event = _event;
+        });
+
+        return bitloader.import("a");
+      });
+
+      it("then the event has the plugin that resolved the module", function() {
+        expect(event.plugins).to.eql(["npm"]);
+        expect(event.moduleMeta.path).to.equal("npm/path");
+      });
+    });
+  });
+
+});
@@ -0,0 +1,297 @@
+define(["dist/bit-loader", "test/helpers/rejection"], function(Bitloader, rejection) {
+
+  describe("Scheduler Test Suite", function() {
+
+    // Task that finishes when `finish` is called, and records when it starts
+    function createTask(name, started) {
+      var task = function() {
+        started.push(name);
+
+        return new Bitloader.Promise(function(resolve) {
+          task.finish = function() {
+            resolve(name);
+          };
+        });
+      };
+
+      return task;
+    }
+
+
+    describe("When creating a scheduler with concurrency `0`", function() {
+      it("then an error is thrown", function() {
+        expect(function() {
+          new Bitloader.Scheduler({concurrency: 0});
+        }).to.throw(TypeError, "Concurrency must be a number greater than 0");
+      });
+    });
+
+
+    describe("When creating a scheduler without options", function() {
+      it("then concurrency is not limited", function() {
+        expect(new Bitloader.Scheduler().concurrency).to.equal(Infinity);
+      });
+    });
+
+
+    describe("When scheduling four tasks with concurrency `2`", function() {
+      var scheduler, started, tasks, results;
+
+      beforeEach(function() {
+        scheduler = new Bitloader.Scheduler({concurrency: 2});
+        started   = [];
+        tasks     = ["a", "b", "c", "d"].map(function(name) {
+          return createTask(name, started);
+        });
+
+        results = [
+          scheduler.schedule(tasks[0], "low"),
+          scheduler.schedule(tasks[1], "low"),
+          scheduler.schedule(tasks[2], "low"),
+          scheduler.schedule(tasks[3], "high")
+        ];
+      });
+
+      it("then only two tasks are started", function() {
+        expect(started).to.eql(["a", "b"]);
+      });
+
+      it("then two tasks are in flight", function() {
+        expect(scheduler.getInFlight()).to.equal(2);
+      });
+
+      it("then two tasks are queued", function() {
+        expect(scheduler.getQueued()).to.equal(2);
+      });
+
+      it("then the stats have the queue depth per priority", function() {
+        expect(scheduler.stats()).to.eql({
+          queued      : 2,
+          inFlight    : 2,
+          concurrency : 2,
+          priorities  : {high: 1, normal: 0, low: 1}
+        });
+      });
+
+
+      describe("and the first task finishes", function() {
+        beforeEach(function() {
+          tasks[0].finish();
+          return results[0];
+        });
+
+        it("then the high priority task runs before the low priority task that was queued first", function() {
+          expect(started).to.eql(["a", "b", "d"]);
+        });
+
+        it("then one task is queued", function() {
+          expect(scheduler.getQueued()).to.equal(1);
+          expect(scheduler.getQueued("low")).to.equal(1);
+        });
+      });
+
+
+      describe("and all the tasks finish", function() {
+        var values;
+
+        beforeEach(function() {
+          tasks[0].finish();
+          tasks[1].finish();
+
+          return results[0].then(function() {
+            tasks[3].finish();
+            return results[3];
+          }).then(function() {
+            tasks[2].finish();
+            return Bitloader.Promise.all(results);
+          }).then(function(result) {
+            values = result;
+          });
+        });
+
+        it("then each task resolves with its result", function() {
+          expect(values).to.eql(["a", "b", "c", "d"]);
+        });
+
+        it("then nothing is in flight or queued", function() {
+          expect(scheduler.getInFlight()).to.equal(0);
+          expect(scheduler.getQueued()).to.equal(0);
+        });
+      });
+    });
+
+
+    describe("When scheduling a task that throws with concurrency `1`", function() {
+      var scheduler, error, next;
+
+      beforeEach(function() {
+        scheduler = new Bitloader.Scheduler({concurrency: 1});
+        next      = sinon.stub().returns("next");
+
+        var failing = scheduler.schedule(function() {
+          throw new TypeError("Task failed");
+        });
+
+        var running = scheduler.schedule(next);
+
+        return rejection(failing).then(function(err) {
+          error = err;
+          return running;
+        });
+      });
+
+      it("then the task is rejected with the error", function() {
+        expect(error).to.be.an.instanceof(TypeError);
+        expect(error.message).to.equal("Task failed");
+      });
+
+      it("then the next task still runs", function() {
+        expect(next.calledOnce).to.equal(true);
+      });
+    });
+
+
+    describe("When scheduling a task with an invalid priority", function() {
+      var error;
+
+      beforeEach(function() {
+        return rejection(new Bitloader.Scheduler().schedule(function() {}, "urgent")).then(function(err) {
+          error = err;
+        });
+      });
+
+      it("then the task is rejected", function() {
+        expect(error.message).to.equal("Priority `urgent` is not valid");
+      });
+    });
+
+
+    describe("When getting the priority of module metas", function() {
+      var entry, dependency, prefetch, prefetchDependency;
+
+      beforeEach(function() {
+        entry              = {name: "a"};
+        dependency         = {name: "b", parentMeta: {name: "a"}};
+        prefetch           = {name: "c", priority: "low"};
+        prefetchDependency = {name: "d", parentMeta: {name: "e", parentMeta: prefetch}};
+      });
+
+      it("then entry modules are `high`", function() {
+        expect(Bitloader.Scheduler.getPriority(entry)).to.equal("high");
+      });
+
+      it("then dependencies are `normal`", function() {
+        expect(Bitloader.Scheduler.getPriority(dependency)).to.equal("normal");
+      });
+
+      it("then modules with a priority use it", function() {
+        expect(Bitloader.Scheduler.getPriority(prefetch)).to.equal("low");
+      });
+
+      it("then dependencies of prefetched modules are `low`", function() {
+        expect(Bitloader.Scheduler.getPriority(prefetchDependency)).to.equal("low");
+      });
+    });
+
+
+    describe("When importing with concurrency `1`", function() {
+      var bitloader, fetched, maxInFlight;
+
+      beforeEach(function() {
+        var dependencies = {a: ["b", "c"], b: [], c: [], x: ["y"], y: [], z: []};
+
+        fetched     = [];
+        maxInFlight = 0;
+
+        bitloader = new Bitloader({
+          concurrency: 1,
+          resolve: function(moduleMeta) {
+            return {path: "js/" + moduleMeta.name + ".js"};
+          },
+          fetch: function(moduleMeta) {
+            fetched.push(moduleMeta.name);
+            maxInFlight = Math.max(maxInFlight, bitloader.scheduler.getInFlight());
+
+            return new Bitloader.Promise(function(resolve) {
+              window.setTimeout(function() {
+                resolve({source: ""});
+              }, 1);
+            });
+          },
+          compile: function() {
+            return {factory: function() {}};
+          }
+        });
+
+        bitloader.pipelines.dependency.use(function(moduleMeta) {
+          moduleMeta.deps = dependencies[moduleMeta.name];
+        });
+
+        return Bitloader.Promise.all([
+          bitloader.prefetch(["x", "z"]),
+          bitloader.import("a")
+        ]);
+      });
+
+      it("then one module is fetched at a time", function() {
+        expect(maxInFlight).to.equal(1);
+      });
+
+      // `x` starts right away because nothing else is queued yet. After that,
+      // queued entry modules and dependencies go before prefetched modules.
+      it("then entry modules and their dependencies are fetched before queued prefetched modules", function() {
+        expect(fetched).to.eql(["x", "a", "z", "b", "c", "y"]);
+      });
+
+      it("then prefetched modules are not compiled", function() {
+        expect(bitloader.isModuleCached("x")).to.equal(false);
+        expect(bitloader.providers.loader.isLoaded("x")).to.equal(true);
+      });
+
+      it("then the scheduler is empty", function() {
+        expect(bitloader.scheduler.stats().queued).to.equal(0);
+      });
+    });
+
+
+    describe("When importing with concurrency `1` and a fetch plugin handler that is a module name", function() {
+      var result;
+
+      beforeEach(function() {
+        var bitloader = new Bitloader({
+          concurrency: 1,
+          resolve: function(moduleMeta) {
+            return {path: moduleMeta.name};
+          },
+          fetch: function() {
+            return {source: ""};
+          },
+          compile: function(moduleMeta) {
+            return {
+              factory: function() {
+                return moduleMeta.name === "fetch-text" ? fetchText : moduleMeta.source;
+              }
+            };
+          }
+        });
+
+        function fetchText(moduleMeta) {
+          return {source: "text for " + moduleMeta.name};
+        }
+
+        bitloader.plugin("text", {
+          match: {path: ["**/*.txt"]},
+          fetch: "fetch-text"
+        });
+
+        return bitloader.import("a.txt").then(function(_result) {
+          result = _result;
+        });
+      });
+
+      it("then the handler is imported while the module waits on it to be fetched", function() {
+        expect(result).to.equal("text for a.txt");
+      });
+    });
+  });
+});
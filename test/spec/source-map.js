@@ -0,0 +1,223 @@
+define(["dist/bit-loader"], function(Bitloader) {
+  var SourceMap = Bitloader.SourceMap;
+
+  describe("SourceMap Test Suite", function() {
+    var older, newer;
+
+    function getInlineSourceMap(code) {
+      var dataURL = code.match(/\/\/# sourceMappingURL=data:application\/json;charset=utf-8;base64,(.*)$/)[1];
+      return JSON.parse(window.atob(dataURL));
+    }
+
+    beforeEach(function() {
+      // Maps the intermediate code back to `original.js`
+      older = {
+        version: 3,
+        sources: ["original.js"],
+        sourcesContent: ["original source"],
+        names: ["value"],
+        mappings: SourceMap.encode([[[0, 0, 0, 0], [4, 0, 1, 2, 0]]])
+      };
+
+      // Maps the final code back to the intermediate code
+      newer = {
+        version: 3,
+        sources: ["intermediate.js"],
+        names: [],
+        mappings: SourceMap.encode([[], [[2, 0, 0, 5]], [[0, 0, 0, 1]]])
+      };
+    });
+
+
+    describe("When decoding encoded mappings", function() {
+      it("then the segments are the same", function() {
+        var lines = [[[0, 0, 0, 0], [10, 0, 3, 1, 2]], [], [[5, 1, 0, 12]]];
+        expect(SourceMap.decode(SourceMap.encode(lines))).to.eql(lines);
+      });
+
+      it("then known mappings are decoded", function() {
+        expect(SourceMap.decode("AAAA,IAAI;AACA")).to.eql([[[0, 0, 0, 0], [4, 0, 0, 4]], [[0, 0, 1, 4]]]);
+      });
+    });
+
+
+    describe("When composing two source maps", function() {
+      var result;
+
+      beforeEach(function() {
+        result = SourceMap.compose(JSON.stringify(newer), older);
+      });
+
+      it("then the result maps to the sources of the older map", function() {
+        expect(result.sources).to.eql(["original.js"]);
+        expect(result.sourcesContent).to.eql(["original source"]);
+      });
+
+      it("then the mappings go all the way back to the original positions", function() {
+        expect(SourceMap.decode(result.mappings)).to.eql([[], [[2, 0, 1, 2, 0]], [[0, 0, 0, 0]]]);
+      });
+    });
+
+
+    describe("When composing a source map with more than one source", function() {
+      var result;
+
+      beforeEach(function() {
+        older.file = "intermediate.js";
+
+        // Maps the first line to a helper the transform added, and the second
+        // line to the intermediate code
+        var multiple = {
+          version: 3,
+          sources: ["helper.js", "intermediate.js"],
+          sourcesContent: ["helper source", null],
+          names: [],
+          mappings: SourceMap.encode([[[0, 0, 3, 1]], [[2, 1, 0, 5]]])
+        };
+
+        result = SourceMap.compose(multiple, older);
+      });
+
+      it("then the other sources are added to the sources of the older map", function() {
+        expect(result.sources).to.eql(["original.js", "helper.js"]);
+        expect(result.sourcesContent).to.eql(["original source", "helper source"]);
+      });
+
+      it("then only the segments of the intermediate source are mapped through the older map", function() {
+        expect(SourceMap.decode(result.mappings)).to.eql([[[0, 1, 3, 1]], [[2, 0, 1, 2, 0]]]);
+      });
+    });
+
+
+    describe("When configuring a module meta with a source map", function() {
+      var moduleMeta;
+
+      beforeEach(function() {
+        moduleMeta = new Bitloader.Module.Meta({name: "a", sourceMap: older});
+        moduleMeta.configure({source: "final", sourceMap: newer});
+      });
+
+      it("then the new source map is composed with the existing one", function() {
+        expect(moduleMeta.sourceMap.sources).to.eql(["original.js"]);
+      });
+    });
+
+
+    describe("When importing a module with a transform that returns a source map", function() {
+      var result;
+
+      beforeEach(function() {
+        var bitloader = new Bitloader({
+          fetch: function() {
+            return {source: "original source", sourceMap: older};
+          }
+        });
+
+        bitloader.plugin("js", {
+          transform: function(moduleMeta) {
+            return {source: "transformed " + moduleMeta.source, sourceMap: newer};
+          }
+        });
+
+        return bitloader.import("js/a.js").then(function(_result) {
+          result = _result;
+        });
+      });
+
+      it("then the code has the transformed source", function() {
+        expect(result.indexOf("transformed original source")).to.equal(0);
+      });
+
+      it("then the code has a sourceURL comment", function() {
+        expect(result).to.contain("\n//# sourceURL=js/a.js");
+      });
+
+      it("then the code has an inline source map with the composed maps", function() {
+        expect(getInlineSourceMap(result).sources).to.eql(["original.js"]);
+      });
+    });
+
+
+    describe("When importing a module with a transform that sets the source map directly", function() {
+      var result;
+
+      beforeEach(function() {
+        var bitloader = new Bitloader({
+          fetch: function() {
+            return {source: "original source", sourceMap: older};
+          }
+        });
+
+        bitloader.pipelines.transform.use(function(moduleMeta) {
+          moduleMeta.source = "transformed " + moduleMeta.source;
+          moduleMeta.sourceMap = newer;
+        });
+
+        return bitloader.import("a").then(function(_result) {
+          result = _result;
+        });
+      });
+
+      it("then the code has an inline source map with the composed maps", function() {
+        var sourceMap = getInlineSourceMap(result);
+        expect(sourceMap.sources).to.eql(["original.js"]);
+        expect(SourceMap.decode(sourceMap.mappings)).to.eql([[], [[2, 0, 1, 2, 0]], [[0, 0, 0, 0]]]);
+      });
+    });
+
+
+    describe("When importing a module with transform handlers that set and return source maps", function() {
+      var result;
+
+      beforeEach(function() {
+        // Maps every position to the same position in `step.js`
+        var identity = {
+          version: 3,
+          sources: ["step.js"],
+          names: [],
+          mappings: SourceMap.encode([[[0, 0, 0, 0], [4, 0, 0, 4]], [[0, 0, 1, 0]], [[0, 0, 2, 0]]])
+        };
+
+        var bitloader = new Bitloader({
+          fetch: function() {
+            return {source: "original source", sourceMap: older};
+          }
+        });
+
+        bitloader.plugin("js", {
+          transform: [function(moduleMeta) {
+            moduleMeta.sourceMap = identity;
+          }, function(moduleMeta) {
+            return {source: "transformed " + moduleMeta.source, sourceMap: newer};
+          }]
+        });
+
+        return bitloader.import("js/a.js").then(function(_result) {
+          result = _result;
+        });
+      });
+
+      it("then every source map is composed once", function() {
+        var sourceMap = getInlineSourceMap(result);
+        expect(sourceMap.sources).to.eql(["original.js"]);
+        expect(SourceMap.decode(sourceMap.mappings)).to.eql([[], [[2, 0, 1, 2, 0]], [[0, 0, 0, 0]]]);
+      });
+    });
+
+
+    describe("When importing a module without a source map", function() {
+      it("then the code is the source", function() {
+        var bitloader = new Bitloader({
+          fetch: function() {
+            return {source: "plain source"};
+          }
+        });
+
+        return bitloader.import("a").then(function(result) {
+          expect(result).to.equal("plain source");
+        });
+      });
+    });
+  });
+
+});
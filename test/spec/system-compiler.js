@@ -0,0 +1,268 @@
+define(["dist/bit-loader", "test/helpers/rejection"], function(Bitloader, rejection) {
+
+  describe("SystemCompiler Test Suite", function() {
+    var bitloader, sources, fetch;
+
+    beforeEach(function() {
+      sources = {};
+
+      fetch = sinon.spy(function(moduleMeta) {
+        return {source: sources[moduleMeta.name]};
+      });
+
+      bitloader = new Bitloader({
+        resolve: function(moduleMeta) {
+          return {path: "js/" + moduleMeta.name + ".js"};
+        },
+        fetch: fetch
+      });
+
+      bitloader.compile = new Bitloader.SystemCompiler(bitloader).compile;
+    });
+
+    function fetchedNames() {
+      return fetch.args.map(function(args) {
+        return args[0].name;
+      });
+    }
+
+
+    describe("When creating a compiler without a manager", function() {
+      it("then an error is thrown", function() {
+        expect(function() {
+          new Bitloader.SystemCompiler();
+        }).to.throw(TypeError, "Must provide a manager");
+      });
+    });
+
+
+    describe("When evaluating a source with registrations", function() {
+      var registrations;
+
+      beforeEach(function() {
+        registrations = Bitloader.SystemCompiler.evaluate(new Bitloader.Module.Meta({
+          name: "a",
+          source: "System.register(['b'], function() {}); System.register('c', [], function() {});"
+        }));
+      });
+
+      it("then all the registrations are returned", function() {
+        expect(registrations.length).to.equal(2);
+      });
+
+      it("then anonymous registrations do not have a name", function() {
+        expect(registrations[0].name).to.equal(null);
+        expect(registrations[0].deps).to.eql(["b"]);
+      });
+
+      it("then named registrations have their name", function() {
+        expect(registrations[1].name).to.equal("c");
+      });
+    });
+
+
+    describe("When importing a module compiled by Babel", function() {
+      var result;
+
+      beforeEach(function() {
+        sources.a = [
+          "System.register(['b'], function (_export, _context) {",
+          "  'use strict';",
+          "  var b, name;",
+          "  return {",
+          "    setters: [function (_b) {",
+          "      b = _b.default;",
+          "      name = _b.name;",
+          "    }],",
+          "    execute: function () {",
+          "      _export('default', 'a' + b);",
+          "      _export('getName', function () { return name; });",
+          "      _export({id: _context.id, url: _context.meta.url});",
+          "    }",
+          "  };",
+          "});"
+        ].join("\n");
+
+        sources.b = [
+          "System.register([], function (_export, _context) {",
+          "  'use strict';",
+          "  var name;",
+          "  function setName(value) {",
+          "    _export('name', name = value);",
+          "  }",
+          "  _export('setName', setName);",
+          "  return {",
+          "    setters: [],",
+          "    execute: function () {",
+          "      _export('default', 'b');",
+          "      _export('name', name = 'b');",
+          "    }",
+          "  };",
+          "});"
+        ].join("\n");
+
+        return bitloader.import("a").then(function(code) {
+          result = code;
+        });
+      });
+
+      it("then the module code is the namespace", function() {
+        expect(result.default).to.equal("ab");
+      });
+
+      it("then the module is an ES module", function() {
+        expect(bitloader.getModule("a").type).to.equal(Bitloader.Module.Type.ESM);
+      });
+
+      it("then `_context` has the id and the url of the module", function() {
+        expect(result.id).to.equal("a");
+        expect(result.url).to.equal("js/a.js");
+      });
+
+      it("then the dependencies are loaded", function() {
+        expect(fetchedNames()).to.eql(["a", "b"]);
+      });
+
+      it("then the setters keep the bindings live", function() {
+        bitloader.getModuleCode("b").setName("new b");
+        expect(result.getName()).to.equal("new b");
+      });
+    });
+
+
+    describe("When importing modules with top-level await", function() {
+      var result, executed;
+
+      beforeEach(function() {
+        executed = window.systemExecuted = [];
+
+        sources.a = [
+          "System.register(['b'], function (_export) {",
+          "  var value;",
+          "  return {",
+          "    setters: [function (_b) { value = _b.value; }],",
+          "    execute: function () {",
+          "      systemExecuted.push('a');",
+          "      _export('value', value + 1);",
+          "    }",
+          "  };",
+          "});"
+        ].join("\n");
+
+        sources.b = [
+          "System.register([], function (_export) {",
+          "  return {",
+          "    setters: [],",
+          "    execute: async function () {",
+          "      await new Promise(function (resolve) { setTimeout(resolve, 5); });",
+          "      systemExecuted.push('b');",
+          "      _export('value', 1);",
+          "    }",
+          "  };",
+          "});"
+        ].join("\n");
+
+        return bitloader.import(["a", "b"]).then(function(codes) {
+          result = codes;
+        });
+      });
+
+      afterEach(function() {
+        delete window.systemExecuted;
+      });
+
+      it("then the module runs after its async dependency finishes", function() {
+        expect(executed).to.eql(["b", "a"]);
+      });
+
+      it("then the imports resolve once the modules are evaluated", function() {
+        expect(result[0].value).to.equal(2);
+        expect(result[1].value).to.equal(1);
+      });
+    });
+
+
+    describe("When importing a module with top-level await that fails", function() {
+      var error;
+
+      beforeEach(function() {
+        sources.a = "System.register([], function () { return {setters: [], execute: async function () { throw new Error('failed'); }}; });";
+
+        return rejection(bitloader.import("a")).then(function(err) {
+          error = err;
+        });
+      });
+
+      it("then the import is rejected with a `LinkError`", function() {
+        expect(error).to.be.an.instanceof(Bitloader.ModuleError.LinkError);
+        expect(error.cause.message).to.equal("failed");
+      });
+    });
+
+
+    describe("When a module imports modules with `_context.import`", function() {
+      var result;
+
+      beforeEach(function() {
+        sources.a = "System.register([], function (_export, _context) { return {setters: [], execute: function () { _export('load', function () { return _context.import('b'); }); }}; });";
+        sources.b = "System.register([], function (_export) { return {setters: [], execute: function () { _export('default', 'b'); }}; });";
+
+        return bitloader.import("a").then(function(a) {
+          return a.load();
+        }).then(function(b) {
+          result = b;
+        });
+      });
+
+      it("then the import resolves to the namespace of the module", function() {
+        expect(result.default).to.equal("b");
+      });
+
+      it("then the module is loaded when it is imported", function() {
+        expect(fetchedNames()).to.eql(["a", "b"]);
+      });
+    });
+
+
+    describe("When importing a file that registers several modules", function() {
+      var result;
+
+      beforeEach(function() {
+        sources.a = [
+          "System.register('c', [], function (_export) { return {setters: [], execute: function () { _export('default', 'c'); }}; });",
+          "System.register(['c'], function (_export) { var c; return {setters: [function (_c) { c = _c.default; }], execute: function () { _export('default', 'a' + c); }}; });"
+        ].join("\n");
+
+        return bitloader.import("a").then(function(code) {
+          result = code;
+        });
+      });
+
+      it("then the anonymous registration is the module", function() {
+        expect(result.default).to.equal("ac");
+      });
+
+      it("then the modules registered in the file are not fetched", function() {
+        expect(fetchedNames()).to.eql(["a"]);
+      });
+    });
+
+
+    describe("When importing a module with two anonymous registrations", function() {
+      var error;
+
+      beforeEach(function() {
+        sources.a = "System.register([], function () {}); System.register([], function () {});";
+
+        return rejection(bitloader.import("a")).then(function(err) {
+          error = err;
+        });
+      });
+
+      it("then the import is rejected with a `CompileError`", function() {
+        expect(error).to.be.an.instanceof(Bitloader.ModuleError.CompileError);
+        expect(error.cause.message).to.equal("Module `a` has more than one anonymous System.register");
+      });
+    });
+  });
+});
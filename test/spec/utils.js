@@ -564,6 +564,27 @@ define(["dist/bit-loader"], function(Bitloader) {
       });
     });
 
+
+    describe("when hash", function() {
+      describe("empty string", function() {
+        it("is the FNV-1a offset basis", function() {
+          expect(Utils.hash("")).to.equal("811c9dc5");
+        });
+      });
+
+      describe("string `foobar`", function() {
+        it("is `bf9cf968`", function() {
+          expect(Utils.hash("foobar")).to.equal("bf9cf968");
+        });
+      });
+
+      describe("two different strings", function() {
+        it("are different hashes", function() {
+          expect(Utils.hash("source 1")).to.not.equal(Utils.hash("source 2"));
+        });
+      });
+    });
+
   });
 
 });
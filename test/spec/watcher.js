@@ -0,0 +1,346 @@
+define(["dist/bit-loader"], function(Bitloader) {
+
+  describe("Watcher Test Suite", function() {
+    var bitloader, fs, files, versions, watcher;
+
+    beforeEach(function() {
+      var dependencies = {a: ["b"], b: ["c"], c: [], x: []};
+
+      files    = {};
+      versions = {a: 1, b: 1, c: 1, x: 1};
+
+      fs = {
+        watch: sinon.spy(function(path, listener) {
+          files[path] = {listener: listener, close: sinon.spy()};
+          return files[path];
+        })
+      };
+
+      bitloader = new Bitloader({
+        resolve: function(moduleMeta) {
+          return {path: "js/" + moduleMeta.name + ".js"};
+        },
+        fetch: sinon.spy(function(moduleMeta) {
+          return {source: moduleMeta.name + versions[moduleMeta.name]};
+        }),
+        compile: function(moduleMeta) {
+          return {
+            factory: function() {
+              return moduleMeta.source;
+            }
+          };
+        }
+      });
+
+      bitloader.pipelines.dependency.use(function(moduleMeta) {
+        moduleMeta.deps = dependencies[moduleMeta.name];
+      });
+    });
+
+    afterEach(function() {
+      if (watcher) {
+        watcher.close();
+        watcher = null;
+      }
+    });
+
+    function change(name) {
+      versions[name]++;
+      files["js/" + name + ".js"].listener();
+    }
+
+    // Resolves with the arguments of the next callback call
+    function nextBuild(callbacks) {
+      return new Bitloader.Promise(function(resolve) {
+        callbacks.push(function() {
+          resolve(Array.prototype.slice.call(arguments));
+        });
+      });
+    }
+
+    function createWatcher() {
+      var callbacks = [];
+
+      watcher = new Bitloader.Watcher(bitloader, ["a", "x"], function() {
+        callbacks.shift().apply(null, arguments);
+      }, {fs: fs, delay: 0});
+
+      return {
+        callbacks: callbacks,
+        start: watcher.start()
+      };
+    }
+
+
+    describe("When creating a watcher without a callback", function() {
+      it("then an error is thrown", function() {
+        expect(function() {
+          new Bitloader.Watcher(bitloader, "a", null, {fs: fs});
+        }).to.throw(TypeError, "Must provide a callback function");
+      });
+    });
+
+
+    describe("When creating a watcher with a file system that can't watch files", function() {
+      it("then an error is thrown", function() {
+        expect(function() {
+          new Bitloader.Watcher(bitloader, "a", function() {}, {fs: {}});
+        }).to.throw(TypeError, "Must provide a file system that can watch files");
+      });
+    });
+
+
+    describe("When starting a watcher for entries `a` and `x`", function() {
+      var result, setup;
+
+      beforeEach(function() {
+        setup = createWatcher();
+        return setup.start.then(function(codes) {
+          result = codes;
+        });
+      });
+
+      it("then the entries are imported", function() {
+        expect(result).to.eql(["a1", "x1"]);
+      });
+
+      it("then every fetched file is watched", function() {
+        expect(Object.keys(files).sort()).to.eql(["js/a.js", "js/b.js", "js/c.js", "js/x.js"]);
+      });
+
+
+      describe("and file `js/c.js` changes", function() {
+        var args;
+
+        beforeEach(function() {
+          bitloader.fetch.reset();
+          var build = nextBuild(setup.callbacks);
+          change("c");
+
+          return build.then(function(result) {
+            args = result;
+          });
+        });
+
+        it("then the callback is called without an error", function() {
+          expect(args[0]).to.equal(null);
+        });
+
+        it("then the callback is called with the new codes of the entries", function() {
+          expect(args[1]).to.eql(["a1", "x1"]);
+        });
+
+        it("then the callback is called with `c` and the modules that depend on it", function() {
+          expect(args[2].sort()).to.eql(["a", "b", "c"]);
+        });
+
+        it("then only the changed module and its dependents are fetched again", function() {
+          var names = bitloader.fetch.args.map(function(args) {
+            return args[0].name;
+          });
+
+          expect(names.sort()).to.eql(["a", "b", "c"]);
+        });
+
+        it("then the changed module has the new code", function() {
+          expect(bitloader.getModuleCode("c")).to.equal("c2");
+        });
+
+        it("then the module that did not change keeps its code", function() {
+          expect(bitloader.getModuleCode("x")).to.equal("x1");
+        });
+
+        it("then files are not watched twice", function() {
+          expect(fs.watch.callCount).to.equal(4);
+        });
+      });
+
+
+      describe("and files `js/a.js` and `js/x.js` change at the same time", function() {
+        var args;
+
+        beforeEach(function() {
+          var build = nextBuild(setup.callbacks);
+          change("a");
+          change("x");
+
+          return build.then(function(result) {
+            args = result;
+          });
+        });
+
+        it("then the entries are imported once with the new codes", function() {
+          expect(args[1]).to.eql(["a2", "x2"]);
+          expect(setup.callbacks.length).to.equal(0);
+        });
+
+        it("then the callback is called with both modules", function() {
+          expect(args[2].sort()).to.eql(["a", "x"]);
+        });
+      });
+
+
+      describe("and the watcher is closed", function() {
+        beforeEach(function() {
+          watcher.close();
+        });
+
+        it("then all the files are closed", function() {
+          expect(files["js/a.js"].close.calledOnce).to.equal(true);
+          expect(files["js/x.js"].close.calledOnce).to.equal(true);
+        });
+
+        it("then modules fetched later are not watched", function() {
+          return bitloader.import("z").then(function() {
+            expect(files).to.not.have.property("js/z.js");
+          });
+        });
+      });
+    });
+
+
+    describe("When importing the entries fails while file `js/c.js` changes again", function() {
+      var setup, builds, failing;
+
+      beforeEach(function() {
+        bitloader.pipelines.transform.use(function(moduleMeta) {
+          if (moduleMeta.name === "c" && failing) {
+            failing = false;
+            throw new Error("bad c");
+          }
+        });
+
+        setup = createWatcher();
+
+        return setup.start.then(function() {
+          builds  = [nextBuild(setup.callbacks), nextBuild(setup.callbacks)];
+          failing = true;
+
+          versions.c++;
+          watcher.changed["js/c.js"] = true;
+          watcher.flush();
+
+          versions.c++;
+          watcher.changed["js/c.js"] = true;
+          watcher.flush();
+
+          return Bitloader.Promise.all(builds);
+        }).then(function(results) {
+          builds = results;
+        });
+      });
+
+      it("then the callback is called with the error of the failed import", function() {
+        expect(builds[0][0]).to.be.an.instanceof(Error);
+      });
+
+      it("then the entries are imported again after the failed import", function() {
+        expect(builds[1][0]).to.equal(null);
+        expect(bitloader.getModuleCode("c")).to.equal("c3");
+      });
+
+      it("then the modules of the failed import are invalidated again", function() {
+        expect(builds[1][2].sort()).to.eql(["a", "b", "c"]);
+      });
+    });
+
+
+    describe("When the fetcher sets the `filename` of the modules", function() {
+      var setup;
+
+      beforeEach(function() {
+        bitloader.fetch = function(moduleMeta) {
+          return {
+            source   : moduleMeta.name + versions[moduleMeta.name],
+            filename : "/app/js/" + moduleMeta.name + ".js"
+          };
+        };
+
+        setup = createWatcher();
+        return setup.start;
+      });
+
+      it("then the files are watched by their `filename`", function() {
+        expect(Object.keys(files).sort()).to.eql(["/app/js/a.js", "/app/js/b.js", "/app/js/c.js", "/app/js/x.js"]);
+      });
+
+      it("then the modules are imported again when the file changes", function() {
+        var build = nextBuild(setup.callbacks);
+
+        versions.c++;
+        files["/app/js/c.js"].listener();
+
+        return build.then(function(args) {
+          expect(args[2].sort()).to.eql(["a", "b", "c"]);
+          expect(bitloader.getModuleCode("c")).to.equal("c2");
+        });
+      });
+    });
+
+
+    describe("When a file cannot be watched", function() {
+      var setup, error;
+
+      beforeEach(function() {
+        fs.watch = sinon.spy(function(path, listener) {
+          if (path === "js/x.js") {
+            throw new Error("ENOENT: no such file or directory, watch 'js/x.js'");
+          }
+
+          files[path] = {listener: listener, close: sinon.spy()};
+          return files[path];
+        });
+
+        setup = createWatcher();
+        var build = nextBuild(setup.callbacks);
+
+        return setup.start.then(function() {
+          return build;
+        }).then(function(args) {
+          error = args[0];
+        });
+      });
+
+      it("then the callback is called with the error", function() {
+        expect(error.message).to.contain("js/x.js");
+      });
+
+      it("then the other files are watched", function() {
+        expect(Object.keys(files).sort()).to.eql(["js/a.js", "js/b.js", "js/c.js"]);
+      });
+    });
+
+
+    describe("When watching with `bitloader.watch`", function() {
+      var error;
+
+      beforeEach(function() {
+        var callback;
+
+        watcher = bitloader.watch("a", function() {
+          callback.apply(null, arguments);
+        }, {fs: fs, delay: 0});
+
+        return new Bitloader.Promise(function(resolve) {
+          callback = resolve;
+
+          // Give the initial import time to watch the files
+          window.setTimeout(function() {
+            change("b");
+          }, 10);
+        }).then(function(err) {
+          error = err;
+        });
+      });
+
+      it("then a watcher is returned", function() {
+        expect(watcher).to.be.an.instanceof(Bitloader.Watcher);
+      });
+
+      it("then the callback is called after the file changes", function() {
+        expect(error).to.equal(null);
+        expect(bitloader.getModuleCode("b")).to.equal("b2");
+      });
+    });
+  });
+});